@@ -0,0 +1,52 @@
+import ChatSessionModel from '../models/ChatSession.js';
+import { chatConfig } from '../config/chat.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deletes chatbot conversations, with their messages, once they have been
+// inactive longer than CHAT_RETENTION_DAYS
+class ChatPurger {
+  constructor() {
+    this.timer = null;
+    this.purging = false;
+  }
+
+  // Purge every expired session. Resolves the number removed.
+  async purgeExpired() {
+    if (this.purging) return 0;
+    this.purging = true;
+
+    let purged = 0;
+    try {
+      const cutoff = new Date(Date.now() - chatConfig.retentionDays * DAY_MS).toISOString();
+      const result = await ChatSessionModel.deleteInactiveBefore(cutoff);
+
+      if (result.error) {
+        console.error('Error purging chat sessions:', result.error);
+        return purged;
+      }
+
+      purged = result.data.length;
+      if (purged) {
+        console.log(`🗑️  Purged ${purged} inactive chat session(s)`);
+      }
+    } catch (error) {
+      console.error('Error purging chat sessions:', error);
+    } finally {
+      this.purging = false;
+    }
+
+    return purged;
+  }
+
+  // Purge expired sessions now and then every CHAT_PURGE_INTERVAL_MINUTES
+  start() {
+    if (this.timer) return;
+    this.purgeExpired();
+    this.timer = setInterval(() => this.purgeExpired(), chatConfig.purgeIntervalMs);
+    this.timer.unref();
+  }
+}
+
+const chatPurger = new ChatPurger();
+export default chatPurger;
\ No newline at end of file
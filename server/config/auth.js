@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Permissions granted to each admin role
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  editor: ['dishes:manage'],
+  inbox_manager: ['contacts:manage', 'bookings:manage', 'quotes:manage']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const authConfig = {
+  jwtSecret: process.env.JWT_SECRET || null,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '8h',
+  jwtIssuer: 'food-portfolio-api'
+};
+
+if (!authConfig.jwtSecret) {
+  console.warn('⚠️  JWT secret not found. Please add JWT_SECRET to your .env file to enable admin authentication.');
+}
+
+// Check if token signing is configured
+const isAuthConfigured = () => authConfig.jwtSecret !== null;
+
+// Check whether a role grants the given permission
+const roleHasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+export {
+  ROLES,
+  ROLE_PERMISSIONS,
+  authConfig,
+  isAuthConfigured,
+  roleHasPermission
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+// Load environment variables
+dotenv.config();
+
+// Booking calendar limits. The daily capacity here is only the starting
+// value: admins can change it through /api/bookings/settings.
+const bookingConfig = {
+  defaultDailyCapacity: numberFromEnv(process.env.BOOKING_DAILY_CAPACITY, 150),
+  // Longest range the availability endpoint returns, in days
+  maxAvailabilityDays: 366
+};
+
+// Settings key holding the admin-adjusted daily guest capacity
+const BOOKING_CAPACITY_SETTING = 'booking_daily_capacity';
+
+export {
+  bookingConfig,
+  BOOKING_CAPACITY_SETTING
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+// Load environment variables
+dotenv.config();
+
+// Limits for the public chatbot. Conversations with no messages for
+// retentionDays are purged.
+const chatConfig = {
+  ipLimit: numberFromEnv(process.env.CHAT_IP_LIMIT, 30),
+  rateWindowMs: numberFromEnv(process.env.CHAT_RATE_WINDOW_MINUTES, 10) * 60 * 1000,
+  retentionDays: numberFromEnv(process.env.CHAT_RETENTION_DAYS, 30),
+  purgeIntervalMs: numberFromEnv(process.env.CHAT_PURGE_INTERVAL_MINUTES, 60) * 60 * 1000
+};
+
+export {
+  chatConfig
+};
\ No newline at end of file
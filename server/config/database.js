@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+import { supabase, supabaseAdmin, isSupabaseConfigured, testConnection } from './supabase.js';
+import SupabaseAdapter from '../database/adapters/supabaseAdapter.js';
+import MemoryAdapter from '../database/adapters/memoryAdapter.js';
+
+// Load environment variables
+dotenv.config();
+
+// Storage adapters share one interface, all returning { data, error } results:
+//   select(table, columns, filters)  - equality filters, e.g. { id }
+//   query(table, { columns, filters, order, limit, offset, count })
+//     filters: [{ column, operator, value }] or { or: [...] } / { and: [...] } / { not: condition }
+//     operators: eq, neq, gt, gte, lt, lte, in, is, like, ilike, contains, overlaps
+//     order: [{ column, ascending, nullsFirst }]
+//   count(table, filters)             - resolves { count, error }
+//   insert(table, data)               - single row or array
+//   update(table, id, data)
+//   updateWhere(table, filters, data) - update every matching row
+//   delete(table, id)
+//   deleteWhere(table, filters)      - delete every matching row
+//   rpc(name, params)                 - call a function from schema.sql
+//   testConnection()
+const createAdapter = () => {
+  const requested = (process.env.DB_ADAPTER || '').toLowerCase();
+
+  if (requested === 'memory') {
+    return new MemoryAdapter();
+  }
+
+  if (requested && requested !== 'supabase') {
+    throw new Error(`Unknown DB_ADAPTER "${requested}". Use "supabase" or "memory".`);
+  }
+
+  if (!isSupabaseConfigured()) {
+    if (requested === 'supabase') {
+      throw new Error('Missing Supabase environment variables. Please check your .env file.');
+    }
+    console.warn('⚠️  Supabase is not configured, using the in-memory database. Data will not persist between restarts.');
+    return new MemoryAdapter();
+  }
+
+  // Server-side queries use the service role when available so admin-only
+  // tables (e.g. admin_users) stay hidden from the public anon key
+  return new SupabaseAdapter(supabaseAdmin || supabase, testConnection);
+};
+
+const dbHelpers = createAdapter();
+
+export {
+  dbHelpers
+};
\ No newline at end of file
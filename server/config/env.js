@@ -0,0 +1,14 @@
+// Helpers for reading settings from environment variables
+
+// Parse a positive number from the environment, falling back to a default
+// when it is missing, not a number or not positive. allowZero also accepts
+// 0, for rates and delays that can be switched off.
+const numberFromEnv = (value, fallback, { allowZero = false } = {}) => {
+  const number = Number(value);
+  const inRange = allowZero ? number >= 0 : number > 0;
+  return value !== undefined && value !== '' && Number.isFinite(number) && inRange ? number : fallback;
+};
+
+export {
+  numberFromEnv
+};
\ No newline at end of file
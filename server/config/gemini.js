@@ -1,37 +1,81 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { createProvider } from './llm/index.js';
+import { numberFromEnv } from './env.js';
+import { recommendationOutput, cookingTipOutput } from './llm/outputSchemas.js';
+import { validate } from '../validation/validator.js';
 
 // Load environment variables
 dotenv.config();
 
+// Rough token estimate used to keep chat history inside the context window
+const CHARS_PER_TOKEN = 4;
+
+// Output formats supported by the recommendation and cooking tip features
+const OUTPUT_FORMATS = ['json', 'text'];
+
+// Parse the JSON object in a model reply, tolerating code fences and
+// surrounding prose. Returns { value } or { error }.
+const extractJson = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { error: 'reply did not contain a JSON object' };
+  }
+
+  try {
+    return { value: JSON.parse(text.slice(start, end + 1)) };
+  } catch (error) {
+    return { error: `reply was not valid JSON (${error.message})` };
+  }
+};
+
+// AI assistant features on top of a pluggable LLM provider (see ./llm)
 class GeminiService {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    
-    if (!this.apiKey) {
-      console.warn('⚠️  Gemini API key not found. Please add GEMINI_API_KEY to your .env file.');
-      this.genAI = null;
-    } else {
-      this.genAI = new GoogleGenerativeAI(this.apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      console.log('✅ Gemini AI service initialized');
+  constructor(provider = createProvider()) {
+    this.historyTokenBudget = numberFromEnv(process.env.CHAT_HISTORY_MAX_TOKENS, 6000);
+    // A turn is a user message and the assistant's reply, stored as two rows
+    this.historyMaxTurns = numberFromEnv(process.env.CHAT_HISTORY_MAX_TURNS, 20);
+    this.historyMaxMessages = this.historyMaxTurns * 2;
+    this.structuredRetries = numberFromEnv(process.env.LLM_STRUCTURED_RETRIES, 1, { allowZero: true });
+    this.setProvider(provider);
+  }
+
+  // Swap the underlying LLM provider (e.g. the mock provider in tests)
+  setProvider(provider) {
+    this.provider = provider;
+    if (provider) {
+      console.log(`✅ AI service initialized (${provider.name}: ${provider.modelName})`);
     }
   }
 
-  // Check if Gemini service is available
+  // Check if an LLM provider is configured
   isAvailable() {
-    return this.genAI !== null;
+    return Boolean(this.provider);
   }
 
-  // Generate response with food portfolio context
-  async generateResponse(message, portfolioContext = null) {
-    if (!this.isAvailable()) {
-      throw new Error('Gemini AI service is not available. Please check your API key.');
+  // Keep the most recent turns that fit the history budget.
+  // History must start with a user turn.
+  trimHistory(history = []) {
+    const trimmed = [];
+    let tokens = 0;
+
+    for (let i = history.length - 1; i >= 0 && trimmed.length < this.historyMaxMessages; i--) {
+      const turnTokens = Math.ceil(history[i].content.length / CHARS_PER_TOKEN);
+      if (tokens + turnTokens > this.historyTokenBudget) break;
+      tokens += turnTokens;
+      trimmed.unshift(history[i]);
     }
 
-    try {
-      // Create context-aware prompt
-      const systemContext = `
+    while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+      trimmed.shift();
+    }
+
+    return trimmed.map(({ role, content }) => ({ role, content }));
+  }
+
+  // Build the context-aware prompt for a chat message
+  buildChatPrompt(message, portfolioContext = null) {
+    const systemContext = `
 You are a helpful AI assistant for "Culinary Creations", a premium food portfolio website. 
 Your role is to help customers with:
 - Information about our dishes and menu items
@@ -45,21 +89,46 @@ If asked about specific dishes, refer to the portfolio context provided.
 If you don't know something specific about our business, politely redirect them to contact us directly.
 `;
 
-      let contextPrompt = systemContext;
-      
-      // Add portfolio context if available
-      if (portfolioContext && portfolioContext.length > 0) {
-        contextPrompt += `\n\nOur Current Menu Items:\n`;
-        portfolioContext.forEach(dish => {
-          contextPrompt += `- ${dish.title}: ${dish.description} (${dish.category})\n`;
-        });
-      }
+    let contextPrompt = systemContext;
+    
+    // Add portfolio context if available
+    if (portfolioContext && portfolioContext.length > 0) {
+      contextPrompt += `\n\nOur Current Menu Items:\n`;
+      portfolioContext.forEach(dish => {
+        const tags = [
+          `contains: ${dish.allergens?.length ? dish.allergens.join(', ') : 'no listed allergens'}`,
+          dish.diets?.length ? `suitable for: ${dish.diets.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+        contextPrompt += `- ${dish.title}: ${dish.description} (${dish.category}) [${tags}]\n`;
+      });
+      contextPrompt += `\nAllergen and diet tags are based on our ingredient lists. For severe allergies, advise guests to confirm with our team.\n`;
+    }
 
-      contextPrompt += `\n\nCustomer Question: ${message}`;
+    contextPrompt += `\n\nCustomer Question: ${message}`;
+    return contextPrompt;
+  }
+
+  // Translate API errors into user-facing messages
+  toChatError(error) {
+    if (error.message?.includes('API_KEY_INVALID')) {
+      return new Error('Invalid Gemini API key. Please check your configuration.');
+    } else if (error.message?.includes('RATE_LIMIT_EXCEEDED')) {
+      return new Error('Rate limit exceeded. Please try again later.');
+    } else {
+      return new Error('Failed to generate response. Please try again.');
+    }
+  }
 
-      const result = await this.model.generateContent(contextPrompt);
-      const response = await result.response;
-      const text = response.text();
+  // Generate response with food portfolio context and earlier conversation turns
+  async generateResponse(message, portfolioContext = null, history = []) {
+    if (!this.isAvailable()) {
+      throw new Error('Gemini AI service is not available. Please check your API key.');
+    }
+
+    try {
+      const text = await this.provider.generate(this.buildChatPrompt(message, portfolioContext), {
+        history: this.trimHistory(history)
+      });
 
       return {
         success: true,
@@ -68,57 +137,163 @@ If you don't know something specific about our business, politely redirect them
       };
     } catch (error) {
       console.error('Gemini API Error:', error);
-      
-      // Handle different types of errors
-      if (error.message?.includes('API_KEY_INVALID')) {
-        throw new Error('Invalid Gemini API key. Please check your configuration.');
-      } else if (error.message?.includes('RATE_LIMIT_EXCEEDED')) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else {
-        throw new Error('Failed to generate response. Please try again.');
+      throw this.toChatError(error);
+    }
+  }
+
+  // Stream a chat response, yielding text chunks as they arrive.
+  // Pass an AbortSignal to stop generation early (e.g. client disconnected).
+  async *streamResponse(message, portfolioContext = null, history = [], { signal } = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Gemini AI service is not available. Please check your API key.');
+    }
+
+    try {
+      yield* this.provider.stream(this.buildChatPrompt(message, portfolioContext), {
+        history: this.trimHistory(history),
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) return;
+      console.error('Gemini API Error:', error);
+      throw this.toChatError(error);
+    }
+  }
+
+  // Ask for JSON matching an output schema. Replies that don't parse or
+  // validate are sent back with the problems for repair, up to
+  // structuredRetries more times.
+  async generateStructured(prompt, { schema, example }) {
+    const basePrompt = `${prompt.trim()}
+
+Respond with only a JSON object in this shape, without markdown or commentary:
+${JSON.stringify(example, null, 2)}
+`;
+    let attemptPrompt = basePrompt;
+
+    for (let attempt = 0; attempt <= this.structuredRetries; attempt++) {
+      const text = await this.provider.generate(attemptPrompt, { json: true });
+      const parsed = extractJson(text);
+      const checked = parsed.error ? null : validate(schema, parsed.value);
+
+      if (checked && checked.errors.length === 0) {
+        return checked.value;
       }
+
+      const problems = checked ? checked.errors.map(error => error.message) : [parsed.error];
+
+      console.warn(`Structured output rejected (attempt ${attempt + 1}): ${problems.join('; ')}`);
+      attemptPrompt = `${basePrompt}
+Your previous reply did not match the required format:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Previous reply:
+${text}
+
+Reply again with only the corrected JSON object.
+`;
     }
+
+    throw new Error('Model output did not match the expected format');
   }
 
-  // Generate food-specific recommendations
-  async generateFoodRecommendation(preferences, dietaryRestrictions = []) {
+  // Generate food-specific recommendations, limited to the given dishes.
+  // format 'json' returns a list of { dish_id, title, reason, pairing };
+  // 'text' renders the same recommendations as markdown.
+  async generateFoodRecommendation(preferences, dietaryRestrictions = [], dishes = [], { format = 'json' } = {}) {
     if (!this.isAvailable()) {
       throw new Error('Gemini AI service is not available.');
     }
 
+    let output;
     try {
+      const menu = dishes.map(dish => [
+        `- ${dish.id}`,
+        dish.title,
+        dish.category,
+        dish.price != null ? `$${dish.price}` : 'price on request',
+        (dish.ingredients || []).join(', ') || 'ingredients not listed',
+        dish.description || ''
+      ].join(' | ')).join('\n');
+
       const prompt = `
 As a culinary expert for Culinary Creations, recommend dishes based on these preferences:
 - Customer preferences: ${preferences}
 - Dietary restrictions: ${dietaryRestrictions.length > 0 ? dietaryRestrictions.join(', ') : 'None'}
 
-Please provide 2-3 specific dish recommendations with brief descriptions.
-Focus on dishes that would fit our upscale food portfolio.
-Be creative but realistic for a premium restaurant.
-`;
+Only recommend dishes from this menu (id | title | category | price | ingredients | description):
+${menu}
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+Rank up to 3 of these dishes for the customer, briefly explain each choice and suggest a pairing.
+Never suggest dishes that are not on the menu.
+`;
 
-      return {
-        success: true,
-        recommendations: text,
-        timestamp: new Date().toISOString()
-      };
+      output = await this.generateStructured(prompt, recommendationOutput(dishes.map(dish => dish.id)));
     } catch (error) {
       console.error('Food recommendation error:', error);
       throw new Error('Failed to generate food recommendations.');
     }
+
+    const recommendations = this.toRecommendations(output.recommendations, dishes);
+
+    return {
+      success: true,
+      format,
+      recommendations: format === 'text' ? this.formatRecommendations(recommendations) : recommendations,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Attach menu titles and drop repeated dishes
+  toRecommendations(entries, dishes) {
+    const dishesById = new Map(dishes.map(dish => [dish.id, dish]));
+    const recommendations = [];
+
+    entries.forEach(entry => {
+      if (recommendations.some(item => item.dish_id === entry.dish_id)) return;
+      recommendations.push({
+        dish_id: entry.dish_id,
+        title: dishesById.get(entry.dish_id).title,
+        reason: entry.reason,
+        pairing: entry.pairing ?? null
+      });
+    });
+
+    return recommendations;
   }
 
-  // Generate cooking tips
-  async generateCookingTip(topic) {
+  // Markdown version of structured recommendations
+  formatRecommendations(recommendations) {
+    return recommendations.map((item, index) => {
+      const pairing = item.pairing ? `\n   Pairs well with: ${item.pairing}` : '';
+      return `${index + 1}. **${item.title}** - ${item.reason}${pairing}`;
+    }).join('\n');
+  }
+
+  // Generate cooking tips.
+  // format 'json' returns { title, steps, difficulty }; 'text' a markdown string.
+  async generateCookingTip(topic, { format = 'json' } = {}) {
     if (!this.isAvailable()) {
       throw new Error('Gemini AI service is not available.');
     }
 
     try {
+      if (format === 'json') {
+        const tip = await this.generateStructured(`
+As a professional chef from Culinary Creations, provide a structured cooking tip about: ${topic}
+
+Make it practical, professional, and suitable for both home cooks and culinary enthusiasts.
+Break it into short, concrete steps and rate how hard it is.
+`, cookingTipOutput);
+
+        return {
+          success: true,
+          format,
+          tip,
+          timestamp: new Date().toISOString()
+        };
+      }
+
       const prompt = `
 As a professional chef from Culinary Creations, provide a helpful cooking tip about: ${topic}
 
@@ -126,12 +301,11 @@ Make it practical, professional, and suitable for both home cooks and culinary e
 Keep it concise but informative.
 `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const text = await this.provider.generate(prompt);
 
       return {
         success: true,
+        format,
         tip: text,
         timestamp: new Date().toISOString()
       };
@@ -146,24 +320,19 @@ Keep it concise but informative.
     if (!this.isAvailable()) {
       return {
         success: false,
-        message: 'Gemini API key not configured'
+        message: 'AI provider not configured. Set GEMINI_API_KEY or LLM_PROVIDER=mock.'
       };
     }
 
     try {
-      const result = await this.model.generateContent('Hello! Please respond with a brief greeting.');
-      const response = await result.response;
-      const text = response.text();
-
       return {
-        success: true,
-        message: 'Gemini AI connection successful',
-        testResponse: text
+        ...(await this.provider.testConnection()),
+        provider: this.provider.name
       };
     } catch (error) {
       return {
         success: false,
-        message: 'Failed to connect to Gemini AI',
+        message: `Failed to connect to AI provider (${this.provider.name})`,
         error: error.message
       };
     }
@@ -172,4 +341,5 @@ Keep it concise but informative.
 
 // Create and export singleton instance
 const geminiService = new GeminiService();
+export { OUTPUT_FORMATS };
 export default geminiService;
\ No newline at end of file
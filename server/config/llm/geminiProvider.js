@@ -0,0 +1,50 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Google Gemini implementation of the LLM provider interface
+class GeminiProvider {
+  constructor({ apiKey, model = 'gemini-1.5-flash' }) {
+    this.name = 'gemini';
+    this.modelName = model;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({ model });
+  }
+
+  // Convert { role, content } turns to Gemini's { role, parts } format
+  toGeminiHistory(history = []) {
+    return history.map(turn => ({
+      role: turn.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: turn.content }]
+    }));
+  }
+
+  // Generate a complete response. With json: true the model is asked for
+  // a JSON reply (used by the structured output mode).
+  async generate(prompt, { history = [], signal, json = false } = {}) {
+    const chat = this.model.startChat({
+      history: this.toGeminiHistory(history),
+      ...(json && { generationConfig: { responseMimeType: 'application/json' } })
+    });
+    const result = await chat.sendMessage(prompt, { signal });
+    const response = await result.response;
+    return response.text();
+  }
+
+  // Yield response text chunks as they arrive
+  async *stream(prompt, { history = [], signal } = {}) {
+    const chat = this.model.startChat({ history: this.toGeminiHistory(history) });
+    const result = await chat.sendMessageStream(prompt, { signal });
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  // Check that the API key and model work
+  async testConnection() {
+    const text = await this.generate('Hello! Please respond with a brief greeting.');
+    return { success: true, message: 'Gemini AI connection successful', testResponse: text };
+  }
+}
+
+export default GeminiProvider;
\ No newline at end of file
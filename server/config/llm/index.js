@@ -0,0 +1,42 @@
+import GeminiProvider from './geminiProvider.js';
+import MockProvider from './mockProvider.js';
+import { numberFromEnv } from '../env.js';
+
+// LLM providers share one interface:
+//   generate(prompt, { history, signal, json }) - resolves the full response text;
+//                                           json asks for a JSON reply when supported
+//   stream(prompt, { history, signal })     - async iterator of text chunks
+//   testConnection()                        - resolves { success, message, testResponse }
+// history is a list of { role: 'user' | 'assistant', content } turns.
+//
+// LLM_PROVIDER selects the implementation ("gemini" or "mock"). When unset,
+// Gemini is used if GEMINI_API_KEY is present. Returns null when no provider
+// is configured.
+const createProvider = (env = process.env) => {
+  const requested = (env.LLM_PROVIDER || '').toLowerCase();
+
+  if (requested === 'mock') {
+    return new MockProvider({
+      responsesPath: env.LLM_MOCK_RESPONSES || null,
+      chunkDelayMs: numberFromEnv(env.LLM_MOCK_CHUNK_DELAY_MS, 0, { allowZero: true })
+    });
+  }
+
+  if (requested && requested !== 'gemini') {
+    throw new Error(`Unknown LLM_PROVIDER "${requested}". Use "gemini" or "mock".`);
+  }
+
+  if (!env.GEMINI_API_KEY) {
+    console.warn('⚠️  Gemini API key not found. Please add GEMINI_API_KEY to your .env file.');
+    return null;
+  }
+
+  return new GeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || 'gemini-1.5-flash'
+  });
+};
+
+export {
+  createProvider
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+import fs from 'fs';
+
+// Scripted answers used when no LLM_MOCK_RESPONSES file is configured.
+// Each rule matches the prompt case-insensitively; the first match wins.
+const DEFAULT_RULES = [
+  { match: 'respond with a brief greeting', response: 'Hello from the mock culinary assistant!' },
+  { match: 'recommend dishes based on these preferences', response: (prompt) => recommendFromMenu(prompt) },
+  { match: 'provide a structured cooking tip about', response: JSON.stringify({ title: 'Rest your meat', steps: ['Take the meat off the heat.', 'Rest it loosely covered for 5-10 minutes so the juices redistribute.', 'Slice against the grain.'], difficulty: 'easy' }) },
+  { match: 'provide a helpful cooking tip about', response: 'Rest meat for a few minutes after cooking so the juices redistribute.' }
+];
+
+// Recommend the first menu dishes listed in a recommendation prompt
+const recommendFromMenu = (prompt) => {
+  const ids = [...prompt.matchAll(/^- ([0-9a-f-]{36}) \|/gm)].map(match => match[1]);
+  return JSON.stringify({
+    recommendations: ids.slice(0, 3).map(id => ({
+      dish_id: id,
+      reason: 'A popular choice that fits your preferences.',
+      pairing: 'A glass of sparkling water with lemon.'
+    }))
+  });
+};
+
+// Deterministic offline provider: returns scripted answers, otherwise echoes
+// the customer's question. Lets every chatbot route run without network access.
+class MockProvider {
+  constructor({ responsesPath = null, chunkDelayMs = 0 } = {}) {
+    this.name = 'mock';
+    this.modelName = 'mock-echo';
+    this.chunkDelayMs = chunkDelayMs;
+    this.rules = responsesPath
+      ? JSON.parse(fs.readFileSync(responsesPath, 'utf8'))
+      : DEFAULT_RULES;
+  }
+
+  // Pick the scripted response for a prompt, or echo the question back
+  respond(prompt, history = []) {
+    const lowerPrompt = prompt.toLowerCase();
+    const rule = this.rules.find(({ match }) => {
+      if (match.startsWith('/') && match.lastIndexOf('/') > 0) {
+        const lastSlash = match.lastIndexOf('/');
+        return new RegExp(match.slice(1, lastSlash), match.slice(lastSlash + 1) || 'i').test(prompt);
+      }
+      return lowerPrompt.includes(match.toLowerCase());
+    });
+
+    if (rule) {
+      return typeof rule.response === 'function' ? rule.response(prompt) : rule.response;
+    }
+
+    const questionMatch = prompt.match(/Customer Question:\s*([\s\S]*)$/);
+    const question = questionMatch
+      ? questionMatch[1].trim()
+      : prompt.trim().split('\n').filter(Boolean).pop() || '';
+
+    return `Echo (turn ${Math.floor(history.length / 2) + 1}): ${question}`;
+  }
+
+  async generate(prompt, { history = [], signal } = {}) {
+    if (signal?.aborted) throw new Error('Request aborted');
+    return this.respond(prompt, history);
+  }
+
+  // Stream the response word by word
+  async *stream(prompt, { history = [], signal } = {}) {
+    const words = this.respond(prompt, history).split(/(?<=\s)/);
+
+    for (const word of words) {
+      if (signal?.aborted) return;
+      if (this.chunkDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      }
+      yield word;
+    }
+  }
+
+  async testConnection() {
+    return { success: true, message: 'Mock LLM provider ready', testResponse: this.respond('Hello! Please respond with a brief greeting.') };
+  }
+}
+
+export default MockProvider;
\ No newline at end of file
@@ -0,0 +1,50 @@
+// Response schemas for the structured (JSON) output mode of the AI features.
+// Model output is checked with the request validator, so the same rule
+// format applies. `example` is shown to the model in the prompt.
+
+const TIP_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Recommendations may only reference the candidate dishes
+const recommendationOutput = (dishIds) => ({
+  schema: {
+    recommendations: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 3,
+      items: {
+        type: 'object',
+        fields: {
+          dish_id: { type: 'enum', required: true, values: dishIds },
+          title: { type: 'string', maxLength: 255 },
+          reason: { type: 'string', required: true, maxLength: 1000 },
+          pairing: { type: 'string', maxLength: 500 }
+        }
+      }
+    }
+  },
+  example: {
+    recommendations: [
+      { dish_id: '<id from the menu>', title: '<dish title>', reason: '<why it suits the customer>', pairing: '<drink or side that goes well with it>' }
+    ]
+  }
+});
+
+const cookingTipOutput = {
+  schema: {
+    title: { type: 'string', required: true, maxLength: 255 },
+    steps: { type: 'array', required: true, minItems: 1, maxItems: 10, items: { type: 'string', maxLength: 1000 } },
+    difficulty: { type: 'enum', required: true, values: TIP_DIFFICULTIES }
+  },
+  example: {
+    title: '<short title>',
+    steps: ['<first step>', '<second step>'],
+    difficulty: TIP_DIFFICULTIES.join(' | ')
+  }
+};
+
+export {
+  TIP_DIFFICULTIES,
+  recommendationOutput,
+  cookingTipOutput
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+import SmtpTransport from '../mail/transports/smtpTransport.js';
+import FileTransport from '../mail/transports/fileTransport.js';
+import ConsoleTransport from '../mail/transports/consoleTransport.js';
+
+// Load environment variables
+dotenv.config();
+
+// Split a comma-separated list of addresses
+const parseAddresses = (value) => (value || '').split(',').map(address => address.trim()).filter(Boolean);
+
+const mailConfig = {
+  from: process.env.MAIL_FROM || 'Food Portfolio <no-reply@localhost>',
+  teamAddresses: parseAddresses(process.env.MAIL_TEAM_ADDRESSES),
+  brandName: process.env.MAIL_BRAND_NAME || 'Food Portfolio',
+  maxAttempts: numberFromEnv(process.env.MAIL_MAX_ATTEMPTS, 5),
+  retryIntervalMs: numberFromEnv(process.env.MAIL_RETRY_INTERVAL_SECONDS, 60) * 1000
+};
+
+// Mail transports share one interface:
+//   send({ from, to, replyTo, subject, text, html }) - resolves { messageId }
+//
+// MAIL_TRANSPORT selects the implementation ("smtp", "file" or "console",
+// default console).
+const createTransport = (env = process.env) => {
+  const driver = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+  if (driver === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST. Please check your .env file.');
+    }
+    return new SmtpTransport({
+      host: env.SMTP_HOST,
+      port: numberFromEnv(env.SMTP_PORT, 587),
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+
+  if (driver === 'file') {
+    return new FileTransport({ dir: env.MAIL_FILE_DIR || 'mail-outbox' });
+  }
+
+  if (driver === 'console') {
+    return new ConsoleTransport();
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${driver}". Use "smtp", "file" or "console".`);
+};
+
+const mailTransport = createTransport();
+
+if (mailConfig.teamAddresses.length === 0) {
+  console.warn('⚠️  MAIL_TEAM_ADDRESSES not set. New inquiries will not be emailed to the team.');
+}
+
+export {
+  mailConfig,
+  mailTransport
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+// Load environment variables
+dotenv.config();
+
+// Defaults for new catering quotes; each quote can override the rates
+const quoteConfig = {
+  currency: (process.env.QUOTE_CURRENCY || 'USD').toUpperCase(),
+  serviceFeePercent: numberFromEnv(process.env.QUOTE_SERVICE_FEE_PERCENT, 0, { allowZero: true }),
+  taxRate: numberFromEnv(process.env.QUOTE_TAX_RATE, 0, { allowZero: true }),
+  validDays: numberFromEnv(process.env.QUOTE_VALID_DAYS, 30),
+  brandName: process.env.MAIL_BRAND_NAME || 'Food Portfolio'
+};
+
+export {
+  quoteConfig
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Check that a timezone name such as "Europe/London" is known
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Timezone dish availability schedules are read in, falling back to UTC
+// when RESTAURANT_TIMEZONE is missing or unknown
+const timezoneFromEnv = (value) => {
+  if (!value) return 'UTC';
+  if (isTimeZone(value)) return value;
+
+  console.warn(`⚠️  RESTAURANT_TIMEZONE "${value}" is not a known timezone. Using UTC.`);
+  return 'UTC';
+};
+
+const restaurantConfig = {
+  timezone: timezoneFromEnv(process.env.RESTAURANT_TIMEZONE)
+};
+
+export {
+  restaurantConfig
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+// Load environment variables
+dotenv.config();
+
+// Limits for the public contact form. The spam threshold here is only the
+// starting value: admins can change it through /api/contact/spam-settings.
+const spamConfig = {
+  ipLimit: numberFromEnv(process.env.CONTACT_IP_LIMIT, 5),
+  emailLimit: numberFromEnv(process.env.CONTACT_EMAIL_LIMIT, 3),
+  rateWindowMs: numberFromEnv(process.env.CONTACT_RATE_WINDOW_MINUTES, 60) * 60 * 1000,
+  minSubmitMs: numberFromEnv(process.env.CONTACT_MIN_SUBMIT_SECONDS, 3) * 1000,
+  duplicateWindowMs: numberFromEnv(process.env.CONTACT_DUPLICATE_WINDOW_HOURS, 24) * 60 * 60 * 1000,
+  defaultThreshold: numberFromEnv(process.env.SPAM_THRESHOLD, 5)
+};
+
+// Settings key holding the admin-adjusted threshold
+const SPAM_THRESHOLD_SETTING = 'spam_threshold';
+
+export {
+  spamConfig,
+  SPAM_THRESHOLD_SETTING
+};
\ No newline at end of file
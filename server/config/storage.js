@@ -0,0 +1,53 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import LocalStorage from '../storage/adapters/localStorage.js';
+import S3Storage from '../storage/adapters/s3Storage.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default directory for local uploads (repository root /uploads)
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+// File storage adapters share one interface:
+//   save(key, buffer, contentType) - resolves the public URL of the file
+//   delete(key)                    - removes the file (missing files are ignored)
+//   url(key)                       - public URL of a key
+//
+// STORAGE_DRIVER selects the implementation ("local" or "s3", default local).
+const createStorage = (env = process.env) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') {
+    return new LocalStorage({
+      rootDir: env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+      publicPath: env.UPLOAD_PUBLIC_PATH || '/uploads'
+    });
+  }
+
+  if (driver === 's3') {
+    if (!env.S3_BUCKET) {
+      throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET. Please check your .env file.');
+    }
+    return new S3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: env.S3_PUBLIC_URL
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "local" or "s3".`);
+};
+
+const storage = createStorage();
+
+export {
+  storage
+};
\ No newline at end of file
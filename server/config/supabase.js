@@ -9,24 +9,26 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Environment variables check:');
-  console.error('SUPABASE_URL:', supabaseUrl ? 'Set' : 'Missing');
-  console.error('SUPABASE_ANON_KEY:', supabaseKey ? 'Set' : 'Missing');
-  console.error('SUPABASE_SERVICE_ROLE_KEY:', supabaseServiceKey ? 'Set' : 'Missing');
-  throw new Error('Missing Supabase environment variables. Please check your .env file.');
-}
+// Check if Supabase credentials are present
+const isSupabaseConfigured = () => Boolean(supabaseUrl && supabaseKey);
 
 // Create Supabase client for general operations
-const supabase = createClient(supabaseUrl, supabaseKey);
+const supabase = isSupabaseConfigured()
+  ? createClient(supabaseUrl, supabaseKey)
+  : null;
 
 // Create Supabase client with service role for admin operations
-const supabaseAdmin = supabaseServiceKey 
+const supabaseAdmin = isSupabaseConfigured() && supabaseServiceKey 
   ? createClient(supabaseUrl, supabaseServiceKey)
   : null;
 
 // Test connection function
 const testConnection = async () => {
+  if (!supabase) {
+    console.warn('⚠️  Supabase is not configured. Please add SUPABASE_URL and SUPABASE_ANON_KEY to your .env file.');
+    return false;
+  }
+
   try {
     // First test basic connection
     const { data, error } = await supabase
@@ -52,83 +54,9 @@ const testConnection = async () => {
   }
 };
 
-// Database helper functions
-const dbHelpers = {
-  // Generic select function
-  select: async (table, columns = '*', filters = {}) => {
-    try {
-      let query = supabase.from(table).select(columns);
-      
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          query = query.eq(key, value);
-        }
-      });
-      
-      const { data, error } = await query;
-      
-      if (error) throw error;
-      return { data, error: null };
-    } catch (error) {
-      console.error(`Error selecting from ${table}:`, error);
-      return { data: null, error };
-    }
-  },
-
-  // Generic insert function
-  insert: async (table, data) => {
-    try {
-      const { data: result, error } = await supabase
-        .from(table)
-        .insert(data)
-        .select();
-      
-      if (error) throw error;
-      return { data: result, error: null };
-    } catch (error) {
-      console.error(`Error inserting into ${table}:`, error);
-      return { data: null, error };
-    }
-  },
-
-  // Generic update function
-  update: async (table, id, data) => {
-    try {
-      const { data: result, error } = await supabase
-        .from(table)
-        .update(data)
-        .eq('id', id)
-        .select();
-      
-      if (error) throw error;
-      return { data: result, error: null };
-    } catch (error) {
-      console.error(`Error updating ${table}:`, error);
-      return { data: null, error };
-    }
-  },
-
-  // Generic delete function
-  delete: async (table, id) => {
-    try {
-      const { error } = await supabase
-        .from(table)
-        .delete()
-        .eq('id', id);
-      
-      if (error) throw error;
-      return { error: null };
-    } catch (error) {
-      console.error(`Error deleting from ${table}:`, error);
-      return { error };
-    }
-  }
-};
-
 export {
   supabase,
   supabaseAdmin,
-  testConnection,
-  dbHelpers
+  isSupabaseConfigured,
+  testConnection
 };
\ No newline at end of file
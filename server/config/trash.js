@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+import { numberFromEnv } from './env.js';
+
+// Load environment variables
+dotenv.config();
+
+// Deleted dishes and contact messages stay in the trash, where they can be
+// restored, for retentionDays before they are purged for good
+const trashConfig = {
+  retentionDays: numberFromEnv(process.env.TRASH_RETENTION_DAYS, 30),
+  purgeIntervalMs: numberFromEnv(process.env.TRASH_PURGE_INTERVAL_MINUTES, 60) * 60 * 1000
+};
+
+// When something deleted at a given time will be purged
+const purgeDate = (deletedAt) => new Date(
+  new Date(deletedAt).getTime() + trashConfig.retentionDays * 24 * 60 * 60 * 1000
+).toISOString();
+
+export {
+  trashConfig,
+  purgeDate
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Allowed contact message status changes, as { from: { to: { reason } } }.
+// Changes marked reason: true must say why; the reason is kept on the
+// message's timeline. Override with CONTACT_STATUS_TRANSITIONS, the same
+// shape as JSON.
+const DEFAULT_CONTACT_TRANSITIONS = {
+  new: { in_progress: {}, archived: { reason: true }, spam: {} },
+  in_progress: { completed: {}, archived: { reason: true }, spam: {} },
+  completed: { in_progress: { reason: true }, archived: {} },
+  archived: { in_progress: { reason: true } },
+  spam: { new: {} }
+};
+
+const CONTACT_STATUSES = Object.keys(DEFAULT_CONTACT_TRANSITIONS);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Parse CONTACT_STATUS_TRANSITIONS, falling back to the default workflow
+// when it is missing or names unknown statuses
+const transitionsFromEnv = (value) => {
+  if (!value) return DEFAULT_CONTACT_TRANSITIONS;
+
+  try {
+    const parsed = JSON.parse(value);
+    const valid = isObject(parsed) && Object.entries(parsed).every(([from, targets]) => (
+      CONTACT_STATUSES.includes(from) &&
+      isObject(targets) &&
+      Object.entries(targets).every(([to, rule]) => CONTACT_STATUSES.includes(to) && to !== from && isObject(rule))
+    ));
+
+    if (valid) {
+      return Object.fromEntries(CONTACT_STATUSES.map(status => [status, parsed[status] || {}]));
+    }
+  } catch {
+    // Not JSON, fall through to the default
+  }
+
+  console.warn('⚠️  CONTACT_STATUS_TRANSITIONS is not valid. Using the default status workflow.');
+  return DEFAULT_CONTACT_TRANSITIONS;
+};
+
+const contactWorkflow = {
+  transitions: transitionsFromEnv(process.env.CONTACT_STATUS_TRANSITIONS)
+};
+
+// Statuses a message can move to from its current status
+const allowedTransitions = (from) => Object.keys(contactWorkflow.transitions[from] || {});
+
+// Whether moving between two statuses needs a reason
+const requiresReason = (from, to) => {
+  const rule = (contactWorkflow.transitions[from] || {})[to];
+  return Boolean(rule && rule.reason);
+};
+
+export {
+  contactWorkflow,
+  allowedTransitions,
+  requiresReason
+};
\ No newline at end of file
@@ -0,0 +1,268 @@
+import ContactModel from '../models/Contact.js';
+import MessageActivityModel from '../models/MessageActivity.js';
+import AdminUserModel from '../models/AdminUser.js';
+import EmailOutboxModel from '../models/EmailOutbox.js';
+import notifier from '../mail/notifier.js';
+import { isUuid } from '../validation/validator.js';
+import { roleHasPermission } from '../config/auth.js';
+import { findMessage, userSummary, sendMessageFailure } from './helpers.js';
+
+// Shape an activity row for the timeline, replacing user and email ids
+// with the users and emails they point at
+const timelineEntry = (activity, users, emails) => {
+  const entry = {
+    id: activity.id,
+    type: activity.type,
+    created_at: activity.created_at,
+    actor: activity.actor_id ? userSummary(users.get(activity.actor_id)) : null
+  };
+
+  switch (activity.type) {
+    case 'status_change':
+      return { ...entry, from_status: activity.from_status, to_status: activity.to_status, reason: activity.reason };
+    case 'note':
+      return { ...entry, body: activity.body };
+    case 'reply': {
+      const email = activity.email_id ? emails.get(activity.email_id) : null;
+      return {
+        ...entry,
+        body: activity.body,
+        email: email
+          ? { id: email.id, subject: email.subject, status: email.status, sent_at: email.sent_at, last_error: email.last_error }
+          : null
+      };
+    }
+    case 'assignment':
+      return { ...entry, assigned_to: activity.assigned_to ? userSummary(users.get(activity.assigned_to)) : null };
+    default:
+      return entry;
+  }
+};
+
+class ActivityController {
+  // Status changes, notes, replies and assignments of a message, oldest
+  // first, after an entry for the message arriving (admin only)
+  async getTimeline(req, res) {
+    try {
+      const message = await findMessage(req.params.id);
+      if (sendMessageFailure(res, message, 'fetching message timeline')) return;
+
+      const activities = await MessageActivityModel.getByMessage(message.data.id);
+
+      if (activities.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching message timeline',
+          error: activities.error.message
+        });
+      }
+
+      const userIds = [...new Set(activities.data.flatMap(activity => [activity.actor_id, activity.assigned_to]).filter(Boolean))];
+      const emailIds = activities.data.map(activity => activity.email_id).filter(Boolean);
+
+      const [users, emails] = await Promise.all([
+        userIds.length > 0 ? AdminUserModel.getByIds(userIds) : { data: [], error: null },
+        emailIds.length > 0 ? EmailOutboxModel.getByIds(emailIds) : { data: [], error: null }
+      ]);
+
+      if (users.error || emails.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching message timeline',
+          error: (users.error || emails.error).message
+        });
+      }
+
+      const usersById = new Map(users.data.map(user => [user.id, user]));
+      const emailsById = new Map(emails.data.map(email => [email.id, email]));
+
+      res.status(200).json({
+        success: true,
+        data: [
+          { id: null, type: 'received', created_at: message.data.created_at, actor: null },
+          ...activities.data.map(activity => timelineEntry(activity, usersById, emailsById))
+        ]
+      });
+    } catch (error) {
+      console.error('Error in getTimeline:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Add an internal note, never shown to the customer (body validated against noteSchema)
+  async addNote(req, res) {
+    try {
+      const message = await findMessage(req.params.id);
+      if (sendMessageFailure(res, message, 'adding note')) return;
+
+      const result = await MessageActivityModel.create(message.data.id, 'note', {
+        body: req.body.body,
+        actorId: req.user.id
+      });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error adding note',
+          error: result.error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Note added successfully',
+        data: timelineEntry(result.data[0], new Map([[req.user.id, req.user]]), new Map())
+      });
+    } catch (error) {
+      console.error('Error in addNote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Record a reply to the customer and email it through the outbox, unless
+  // send_email is false (e.g. the reply was made by phone). Spam is never
+  // emailed. Body validated against replySchema.
+  async addReply(req, res) {
+    try {
+      const { body, subject, send_email: sendEmail = true } = req.body;
+
+      const message = await findMessage(req.params.id);
+      if (sendMessageFailure(res, message, 'adding reply')) return;
+
+      if (sendEmail && message.data.status === 'spam') {
+        return res.status(409).json({
+          success: false,
+          message: 'Replies to spam are not emailed. Change the message status first or set send_email to false.'
+        });
+      }
+
+      let email = null;
+      if (sendEmail) {
+        const queued = await notifier.sendReply(message.data, { subject, body });
+        if (queued.error) {
+          return res.status(500).json({
+            success: false,
+            message: 'Error sending reply',
+            error: queued.error.message
+          });
+        }
+        email = queued.data[0];
+      }
+
+      const result = await MessageActivityModel.create(message.data.id, 'reply', {
+        body,
+        emailId: email && email.id,
+        actorId: req.user.id
+      });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error adding reply',
+          error: result.error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: sendEmail ? 'Reply sent successfully' : 'Reply recorded successfully',
+        data: timelineEntry(
+          result.data[0],
+          new Map([[req.user.id, req.user]]),
+          new Map(email ? [[email.id, email]] : [])
+        )
+      });
+    } catch (error) {
+      console.error('Error in addReply:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Assign a message to an active user who can manage the inbox, or
+  // unassign it with assigned_to null (body validated against assignmentSchema)
+  async assignMessage(req, res) {
+    try {
+      const { assigned_to: assignedTo } = req.body;
+
+      const message = await findMessage(req.params.id);
+      if (sendMessageFailure(res, message, 'assigning message')) return;
+
+      let assignee = null;
+      if (assignedTo) {
+        const user = isUuid(assignedTo) ? await AdminUserModel.getById(assignedTo) : { data: null, error: null };
+
+        if (user.error) {
+          return res.status(500).json({
+            success: false,
+            message: 'Error assigning message',
+            error: user.error.message
+          });
+        }
+
+        if (!user.data || !user.data.is_active || !roleHasPermission(user.data.role, 'contacts:manage')) {
+          return res.status(422).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ field: 'assigned_to', message: 'assigned_to must be an active user who can manage contact messages' }]
+          });
+        }
+        assignee = user.data;
+      }
+
+      if ((message.data.assigned_to || null) === (assignee ? assignee.id : null)) {
+        return res.status(200).json({
+          success: true,
+          message: 'Message assignment unchanged',
+          data: message.data
+        });
+      }
+
+      const result = await ContactModel.assign(message.data.id, assignee ? assignee.id : null);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error assigning message',
+          error: result.error.message
+        });
+      }
+
+      const activity = await MessageActivityModel.create(message.data.id, 'assignment', {
+        assignedTo: assignee && assignee.id,
+        actorId: req.user.id
+      });
+
+      if (activity.error) {
+        console.error('Error recording assignment:', activity.error);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: assignee ? 'Message assigned successfully' : 'Message unassigned successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in assignMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const activityController = new ActivityController();
+export default activityController;
\ No newline at end of file
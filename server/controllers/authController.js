@@ -0,0 +1,83 @@
+import AdminUserModel from '../models/AdminUser.js';
+import { authConfig, isAuthConfigured, ROLE_PERMISSIONS } from '../config/auth.js';
+import { signToken } from '../middleware/auth.js';
+
+class AuthController {
+  // Admin login
+  async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      if (!isAuthConfigured()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Authentication is not configured on this server'
+        });
+      }
+
+      const result = await AdminUserModel.getByEmail(email);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error during login',
+          error: result.error.message
+        });
+      }
+
+      const user = result.data;
+      const passwordMatches = await AdminUserModel.verifyPassword(user, password);
+
+      // Same response for unknown email and wrong password
+      if (!user || !passwordMatches || !user.is_active) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      await AdminUserModel.touchLastLogin(user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          token: signToken(user),
+          token_type: 'Bearer',
+          expires_in: authConfig.jwtExpiresIn,
+          user: AdminUserModel.toPublic(user)
+        }
+      });
+    } catch (error) {
+      console.error('Error in login:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the currently authenticated admin
+  async me(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          ...req.user,
+          permissions: ROLE_PERMISSIONS[req.user.role] || []
+        }
+      });
+    } catch (error) {
+      console.error('Error in me:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const authController = new AuthController();
+export default authController;
\ No newline at end of file
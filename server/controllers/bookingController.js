@@ -0,0 +1,619 @@
+import BookingModel from '../models/Booking.js';
+import BlackoutDateModel from '../models/BlackoutDate.js';
+import { isUuid } from '../validation/validator.js';
+import { parsePagination, decodeCursor, paginationMeta } from '../utils/pagination.js';
+import { isDateString, todayDate, addDays, daysBetween } from '../utils/dates.js';
+import { bookingConfig } from '../config/bookings.js';
+import { findMessage } from './helpers.js';
+
+// Days shown by the availability endpoint when no end date is given
+const DEFAULT_AVAILABILITY_DAYS = 90;
+
+// Parse ?from=&to= into a date range. Returns { from, to } or { error }.
+const parseRange = (query, { defaultFrom, defaultDays }) => {
+  const from = query.from || defaultFrom;
+  const to = query.to || (from && defaultDays ? addDays(from, defaultDays - 1) : undefined);
+
+  if ((from && !isDateString(from)) || (to && !isDateString(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from && to && to < from) {
+    return { error: 'to must not be before from' };
+  }
+  return { from, to };
+};
+
+// 409 response for a date that can't take the booking
+const unavailable = (res, availability, guests) => res.status(409).json({
+  success: false,
+  message: availability.status === 'blackout'
+    ? `${availability.date} is a blackout date${availability.reason ? `: ${availability.reason}` : ''}`
+    : `Not enough capacity on ${availability.date}: ${availability.remaining_guests} of ${availability.capacity} guests left, ${guests} requested`,
+  data: availability
+});
+
+class BookingController {
+  // Public calendar of open, full and blackout dates
+  async getAvailability(req, res) {
+    try {
+      const range = parseRange(req.query, { defaultFrom: todayDate(), defaultDays: DEFAULT_AVAILABILITY_DAYS });
+
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      if (daysBetween(range.from, range.to) >= bookingConfig.maxAvailabilityDays) {
+        return res.status(400).json({
+          success: false,
+          message: `Availability can be requested for at most ${bookingConfig.maxAvailabilityDays} days at a time`
+        });
+      }
+
+      const result = await BookingModel.getAvailability(range.from, range.to);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching availability',
+          error: result.error.message
+        });
+      }
+
+      // Bookings and blackout reasons stay private
+      res.status(200).json({
+        success: true,
+        data: result.data.map(day => ({
+          date: day.date,
+          status: day.status,
+          remaining_guests: day.remaining_guests
+        })),
+        from: range.from,
+        to: range.to
+      });
+    } catch (error) {
+      console.error('Error in getAvailability:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // List bookings by event date (admin only)
+  async getBookings(req, res) {
+    try {
+      const { status } = req.query;
+      const range = parseRange(req.query, {});
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      if (status && !BookingModel.statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${BookingModel.statuses.join(', ')}`
+        });
+      }
+
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await BookingModel.findAll({
+        status,
+        from: range.from,
+        to: range.to,
+        limit,
+        offset,
+        cursor: decodedCursor
+      });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching bookings',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
+      });
+    } catch (error) {
+      console.error('Error in getBookings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Get single booking (admin only)
+  async getBookingById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = isUuid(id) ? await BookingModel.getById(id) : { data: null, error: null };
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching booking',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error in getBookingById:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Turn an inquiry into a confirmed booking (body validated against
+  // bookingSchema). Refused with 409 on blackout dates and when the day's
+  // guest capacity would be exceeded.
+  async createBooking(req, res) {
+    try {
+      const { contact_message_id: contactMessageId, notes } = req.body;
+
+      const inquiry = await findMessage(contactMessageId);
+
+      if (inquiry.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating booking',
+          error: inquiry.error.message
+        });
+      }
+
+      if (!inquiry.data) {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'contact_message_id', message: 'contact_message_id does not match an inquiry' }]
+        });
+      }
+
+      if (inquiry.data.status === 'spam') {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'contact_message_id', message: 'Spam messages cannot be booked; change the status first' }]
+        });
+      }
+
+      const eventDate = req.body.event_date || inquiry.data.preferred_date;
+      const guests = req.body.guests || inquiry.data.guests;
+
+      const errors = [];
+      if (!eventDate) {
+        errors.push({ field: 'event_date', message: 'event_date is required when the inquiry has no preferred date' });
+      } else if (eventDate < todayDate()) {
+        errors.push({ field: 'event_date', message: 'event_date must not be in the past' });
+      }
+      if (!guests) {
+        errors.push({ field: 'guests', message: 'guests is required when the inquiry has no guest count' });
+      }
+      if (errors.length > 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const existing = await BookingModel.getByContactMessage(contactMessageId);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating booking',
+          error: existing.error.message
+        });
+      }
+
+      if (existing.data) {
+        return res.status(409).json({
+          success: false,
+          message: 'This inquiry already has a confirmed booking',
+          data: existing.data
+        });
+      }
+
+      const result = await BookingModel.create({
+        contact_message_id: contactMessageId,
+        event_date: eventDate,
+        guests,
+        event_type: req.body.event_type || inquiry.data.event_type,
+        customer_name: inquiry.data.name,
+        customer_email: inquiry.data.email,
+        notes,
+        created_by: req.user.id
+      });
+
+      // Another admin confirmed this inquiry since the check above
+      if (result.error && result.error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'This inquiry already has a confirmed booking'
+        });
+      }
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating booking',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data.booking) {
+        return unavailable(res, result.data.availability, guests);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Booking confirmed',
+        data: result.data.booking
+      });
+    } catch (error) {
+      console.error('Error in createBooking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Move or resize a booking (body validated against bookingUpdateSchema)
+  async updateBooking(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = isUuid(id) ? await BookingModel.getById(id) : { data: null, error: null };
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating booking',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (existing.data.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Cancelled bookings cannot be changed'
+        });
+      }
+
+      const eventDate = req.body.event_date || existing.data.event_date;
+      const guests = req.body.guests || existing.data.guests;
+
+      if ((eventDate !== existing.data.event_date || guests > existing.data.guests) && eventDate < todayDate()) {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'event_date', message: 'event_date must not be in the past' }]
+        });
+      }
+
+      const result = await BookingModel.update(id, req.body);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating booking',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data.booking && !result.data.availability) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cancelled bookings cannot be changed'
+        });
+      }
+
+      if (!result.data.booking) {
+        return unavailable(res, result.data.availability, guests);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking updated successfully',
+        data: result.data.booking
+      });
+    } catch (error) {
+      console.error('Error in updateBooking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Cancel a booking and free its capacity (admin only)
+  async cancelBooking(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = isUuid(id) ? await BookingModel.getById(id) : { data: null, error: null };
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error cancelling booking',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (existing.data.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Booking is already cancelled'
+        });
+      }
+
+      const result = await BookingModel.cancel(id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error cancelling booking',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking cancelled',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in cancelBooking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // List blackout dates (admin only)
+  async getBlackoutDates(req, res) {
+    try {
+      const range = parseRange(req.query, {});
+
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const result = await BlackoutDateModel.getAll(range);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching blackout dates',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        count: result.data.length
+      });
+    } catch (error) {
+      console.error('Error in getBlackoutDates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Block a date (body validated against blackoutDateSchema). Existing
+  // bookings on the date are kept and reported in the response.
+  async createBlackoutDate(req, res) {
+    try {
+      const { date } = req.body;
+
+      const result = await BlackoutDateModel.create(req.body);
+
+      if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: `${date} is already a blackout date`
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating blackout date',
+          error: result.error.message
+        });
+      }
+
+      const bookings = await BookingModel.findAll({ status: 'confirmed', from: date, to: date, limit: 100 });
+
+      res.status(201).json({
+        success: true,
+        message: 'Blackout date created successfully',
+        data: result.data[0],
+        existing_bookings: bookings.data || []
+      });
+    } catch (error) {
+      console.error('Error in createBlackoutDate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a blackout date (admin only)
+  async deleteBlackoutDate(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = isUuid(id) ? await BlackoutDateModel.getById(id) : { data: null, error: null };
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting blackout date',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Blackout date not found'
+        });
+      }
+
+      const result = await BlackoutDateModel.delete(id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting blackout date',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Blackout date deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteBlackoutDate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the daily guest capacity (admin only)
+  async getSettings(req, res) {
+    try {
+      const result = await BookingModel.getCapacity();
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching booking settings',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { daily_capacity: result.data }
+      });
+    } catch (error) {
+      console.error('Error in getSettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Change the daily guest capacity (body validated against bookingSettingsSchema)
+  async updateSettings(req, res) {
+    try {
+      const { daily_capacity: dailyCapacity } = req.body;
+
+      const result = await BookingModel.setCapacity(dailyCapacity);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating booking settings',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Booking settings updated successfully',
+        data: { daily_capacity: dailyCapacity }
+      });
+    } catch (error) {
+      console.error('Error in updateSettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const bookingController = new BookingController();
+export default bookingController;
\ No newline at end of file
@@ -0,0 +1,317 @@
+import CategoryModel from '../models/Category.js';
+import DishModel from '../models/Dish.js';
+import DishRevisionModel from '../models/DishRevision.js';
+
+class CategoryController {
+  // Get all categories in display order with their dish counts
+  async getCategories(req, res) {
+    try {
+      const [categories, counts] = await Promise.all([
+        CategoryModel.getAll(),
+        DishModel.countByCategory()
+      ]);
+
+      if (categories.error || counts.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching categories',
+          error: (categories.error || counts.error).message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: categories.data.map(category => ({
+          ...category,
+          dish_count: counts.data[category.id] || 0
+        }))
+      });
+    } catch (error) {
+      console.error('Error in getCategories:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Get single category
+  async getCategoryById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await CategoryModel.getById(id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching category',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error in getCategoryById:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Create new category (body validated against categorySchema)
+  async createCategory(req, res) {
+    try {
+      const result = await CategoryModel.create(req.body);
+
+      if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: `Category "${req.body.id}" already exists`
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating category',
+          error: result.error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Category created successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in createCategory:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Update category (the id/slug can't be changed)
+  async updateCategory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await CategoryModel.update(id, req.body);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating category',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data || result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Category updated successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in updateCategory:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Set the display order from a list of every category id
+  async reorderCategories(req, res) {
+    try {
+      const { order } = req.body;
+
+      const current = await CategoryModel.getAll();
+
+      if (current.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching categories',
+          error: current.error.message
+        });
+      }
+
+      const ids = current.data.map(category => category.id);
+      const missing = ids.filter(id => !order.includes(id));
+      const unknown = order.filter(id => !ids.includes(id));
+
+      if (missing.length > 0 || unknown.length > 0 || new Set(order).size !== order.length) {
+        return res.status(422).json({
+          success: false,
+          message: 'order must list every category id exactly once',
+          missing,
+          unknown
+        });
+      }
+
+      const result = await CategoryModel.reorder(order);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error reordering categories',
+          error: result.error.message
+        });
+      }
+
+      const updated = await CategoryModel.getAll();
+
+      res.status(200).json({
+        success: true,
+        message: 'Categories reordered successfully',
+        data: updated.data
+      });
+    } catch (error) {
+      console.error('Error in reorderCategories:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete category. Refused with 409 while dishes use it, unless
+  // ?reassign_to=<category id> moves those dishes first. Dishes in the
+  // trash count too, as they still reference the category.
+  async deleteCategory(req, res) {
+    try {
+      const { id } = req.params;
+      const reassignTo = req.query.reassign_to;
+
+      const [category, counts] = await Promise.all([
+        CategoryModel.getById(id),
+        DishModel.countByCategory({ includeDeleted: true })
+      ]);
+
+      if (category.error || counts.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching category',
+          error: (category.error || counts.error).message
+        });
+      }
+
+      if (!category.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      const dishCount = counts.data[id] || 0;
+
+      if (dishCount > 0 && !reassignTo) {
+        return res.status(409).json({
+          success: false,
+          message: `Category still has ${dishCount} dish${dishCount === 1 ? '' : 'es'}. Pass ?reassign_to=<category id> to move them first.`,
+          dish_count: dishCount
+        });
+      }
+
+      if (dishCount > 0) {
+        if (reassignTo === id) {
+          return res.status(422).json({
+            success: false,
+            message: 'reassign_to must be a different category'
+          });
+        }
+
+        const target = await CategoryModel.getById(reassignTo);
+
+        if (target.error) {
+          return res.status(500).json({
+            success: false,
+            message: 'Error fetching category',
+            error: target.error.message
+          });
+        }
+
+        if (!target.data) {
+          return res.status(422).json({
+            success: false,
+            message: `reassign_to category "${reassignTo}" does not exist`
+          });
+        }
+
+      }
+
+      // Moving the dishes and deleting the category succeed or fail together
+      const result = await CategoryModel.delete(id, { reassignTo: dishCount > 0 ? reassignTo : null });
+
+      if (result.error) {
+        // A dish was added to the category, or the target category was
+        // deleted, in the meantime
+        if (result.error.code === '23503') {
+          return res.status(409).json({
+            success: false,
+            message: 'Category still has dishes'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting category',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+
+      // The dishes were already moved, so failures are only logged
+      for (const { dish, previous } of result.data) {
+        const recorded = await DishRevisionModel.record(dish, { action: 'update', authorId: req.user.id, previous });
+        if (recorded.error) {
+          console.error(`Error recording revision of dish ${dish.id}:`, recorded.error);
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Category deleted successfully',
+        reassigned: result.data.length > 0 ? { to: reassignTo, dish_count: result.data.length } : null
+      });
+    } catch (error) {
+      console.error('Error in deleteCategory:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const categoryController = new CategoryController();
+export default categoryController;
\ No newline at end of file
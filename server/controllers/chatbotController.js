@@ -1,53 +1,145 @@
-import geminiService from '../config/gemini.js';
+import { randomUUID } from 'crypto';
+import geminiService, { OUTPUT_FORMATS } from '../config/gemini.js';
 import DishModel from '../models/Dish.js';
+import ChatSessionModel from '../models/ChatSession.js';
+import { parsePagination, decodeCursor, paginationMeta } from '../utils/pagination.js';
+import { isUuid } from '../validation/validator.js';
+import { filterByRestrictions } from '../utils/dietary.js';
 
-class ChatbotController {
-  // Main chat endpoint
-  async chat(req, res) {
-    try {
-      const { message, includeContext = true } = req.body;
+const FALLBACK_MESSAGE = 'I apologize, but I\'m having trouble right now. Please feel free to contact us directly through our contact form for immediate assistance.';
 
-      if (!message || message.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Message is required'
-        });
-      }
+// Load available dishes as menu context for the model
+const loadPortfolioContext = async () => {
+  try {
+    const dishesResult = await DishModel.getAvailable();
+    if (dishesResult.data) {
+      return dishesResult.data.map(dish => ({
+        title: dish.title,
+        description: dish.description,
+        category: dish.category,
+        price: dish.price,
+        allergens: dish.allergens || [],
+        diets: dish.diets || []
+      }));
+    }
+  } catch (contextError) {
+    console.warn('Failed to load portfolio context:', contextError);
+    // Continue without context
+  }
+  return null;
+};
 
-      // Check if Gemini service is available
-      if (!geminiService.isAvailable()) {
-        return res.status(503).json({
+// Accept restrictions as an array or comma-separated string.
+// Returns null when the value has the wrong shape.
+const parseRestrictions = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) return null;
+  return list.map(item => item.trim()).filter(Boolean);
+};
+
+// Output format from ?format= or the request body, defaulting to JSON.
+// Returns null for unsupported formats.
+const parseFormat = (req) => {
+  const format = String(req.query.format || req.body.format || 'json').toLowerCase();
+  return OUTPUT_FORMATS.includes(format) ? format : null;
+};
+
+// Validate a chat request and load its session, history and menu context.
+// A new conversation gets an id here but is only stored with its first
+// exchange, so nothing is written when generating the reply fails.
+// Returns { failure: { status, body } } when the request can't proceed.
+const prepareChat = async ({ message, sessionId, includeContext = true }) => {
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return { failure: { status: 400, body: { success: false, message: 'Message is required' } } };
+  }
+
+  // Check if Gemini service is available
+  if (!geminiService.isAvailable()) {
+    return {
+      failure: {
+        status: 503,
+        body: {
           success: false,
           message: 'AI chatbot service is currently unavailable. Please contact us directly for assistance.'
-        });
+        }
       }
+    };
+  }
 
-      let portfolioContext = null;
+  if (sessionId !== undefined && !isUuid(sessionId)) {
+    return { failure: { status: 400, body: { success: false, message: 'Invalid sessionId' } } };
+  }
 
-      // Get portfolio context if requested
-      if (includeContext) {
-        try {
-          const dishesResult = await DishModel.getAvailable();
-          if (dishesResult.data) {
-            portfolioContext = dishesResult.data.map(dish => ({
-              title: dish.title,
-              description: dish.description,
-              category: dish.category,
-              price: dish.price
-            }));
-          }
-        } catch (contextError) {
-          console.warn('Failed to load portfolio context:', contextError);
-          // Continue without context
+  let history = [];
+  if (sessionId) {
+    // Continue an existing conversation
+    const sessionResult = await ChatSessionModel.getById(sessionId);
+
+    if (sessionResult.error) {
+      return {
+        failure: {
+          status: 500,
+          body: { success: false, message: 'Error loading conversation', error: sessionResult.error.message }
         }
+      };
+    }
+
+    if (!sessionResult.data) {
+      return { failure: { status: 404, body: { success: false, message: 'Conversation session not found' } } };
+    }
+
+    const historyResult = await ChatSessionModel.getMessages(sessionId, { limit: geminiService.historyMaxMessages });
+    history = historyResult.data || [];
+  }
+
+  // Get portfolio context if requested
+  const portfolioContext = includeContext ? await loadPortfolioContext() : null;
+
+  return {
+    session: { id: sessionId || randomUUID(), isNew: !sessionId },
+    history,
+    portfolioContext
+  };
+};
+
+// Write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+class ChatbotController {
+  // Main chat endpoint
+  async chat(req, res) {
+    const receivedAt = new Date().toISOString();
+
+    try {
+      const { message } = req.body;
+      const prepared = await prepareChat(req.body);
+
+      if (prepared.failure) {
+        return res.status(prepared.failure.status).json(prepared.failure.body);
       }
 
+      const { session, history, portfolioContext } = prepared;
+
       // Generate AI response
-      const aiResponse = await geminiService.generateResponse(message, portfolioContext);
+      const aiResponse = await geminiService.generateResponse(message, portfolioContext, history);
+
+      const saved = await ChatSessionModel.addExchange(session.id, {
+        isNew: session.isNew,
+        userMessage: message,
+        assistantMessage: aiResponse.message,
+        receivedAt
+      });
+      if (saved.error || !saved.data) {
+        console.warn('Failed to store conversation turn:', saved.error || 'session no longer exists');
+      }
 
       res.status(200).json({
         success: true,
         data: {
+          sessionId: session.id,
           userMessage: message,
           aiResponse: aiResponse.message,
           timestamp: aiResponse.timestamp,
@@ -61,23 +153,118 @@ class ChatbotController {
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to process your message. Please try again.',
-        fallbackMessage: 'I apologize, but I\'m having trouble right now. Please feel free to contact us directly through our contact form for immediate assistance.'
+        fallbackMessage: FALLBACK_MESSAGE
+      });
+    }
+  }
+
+  // Streaming chat endpoint (Server-Sent Events)
+  // Events: session -> token* -> done, or error if generation fails partway
+  async chatStream(req, res) {
+    const receivedAt = new Date().toISOString();
+    const abortController = new AbortController();
+    let finished = false;
+
+    try {
+      const { message } = req.body;
+      const prepared = await prepareChat(req.body);
+
+      if (prepared.failure) {
+        return res.status(prepared.failure.status).json(prepared.failure.body);
+      }
+
+      const { session, history, portfolioContext } = prepared;
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+      });
+      res.flushHeaders();
+
+      // Stop generating when the client goes away
+      res.on('close', () => {
+        if (!finished) abortController.abort();
+      });
+
+      sendEvent(res, 'session', { sessionId: session.id });
+
+      let fullText = '';
+      for await (const text of geminiService.streamResponse(message, portfolioContext, history, { signal: abortController.signal })) {
+        fullText += text;
+        sendEvent(res, 'token', { text });
+      }
+
+      if (abortController.signal.aborted) {
+        return;
+      }
+
+      const saved = await ChatSessionModel.addExchange(session.id, {
+        isNew: session.isNew,
+        userMessage: message,
+        assistantMessage: fullText,
+        receivedAt
+      });
+      if (saved.error || !saved.data) {
+        console.warn('Failed to store conversation turn:', saved.error || 'session no longer exists');
+      }
+
+      finished = true;
+      sendEvent(res, 'done', {
+        sessionId: session.id,
+        contextIncluded: portfolioContext !== null,
+        timestamp: new Date().toISOString()
+      });
+      res.end();
+    } catch (error) {
+      console.error('Chat stream error:', error);
+      finished = true;
+
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          message: error.message || 'Failed to process your message. Please try again.',
+          fallbackMessage: FALLBACK_MESSAGE
+        });
+      }
+
+      sendEvent(res, 'error', {
+        message: error.message || 'Failed to process your message. Please try again.',
+        fallbackMessage: FALLBACK_MESSAGE
       });
+      res.end();
     }
   }
 
   // Food recommendation endpoint
   async getFoodRecommendation(req, res) {
     try {
-      const { preferences, dietaryRestrictions = [] } = req.body;
+      const { preferences } = req.body;
+      const dietaryRestrictions = parseRestrictions(req.body.dietaryRestrictions);
+      const format = parseFormat(req);
 
-      if (!preferences || preferences.trim().length === 0) {
+      if (!preferences || typeof preferences !== 'string' || preferences.trim().length === 0) {
         return res.status(400).json({
           success: false,
           message: 'Food preferences are required'
         });
       }
 
+      if (!dietaryRestrictions) {
+        return res.status(400).json({
+          success: false,
+          message: 'dietaryRestrictions must be an array of strings'
+        });
+      }
+
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${OUTPUT_FORMATS.join(', ')}`
+        });
+      }
+
       if (!geminiService.isAvailable()) {
         return res.status(503).json({
           success: false,
@@ -85,14 +272,49 @@ class ChatbotController {
         });
       }
 
-      const recommendation = await geminiService.generateFoodRecommendation(preferences, dietaryRestrictions);
+      const dishesResult = await DishModel.getAvailable();
+
+      if (dishesResult.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to load menu for recommendations',
+          error: dishesResult.error.message
+        });
+      }
+
+      // Only dishes that are compatible with the restrictions reach the model
+      const { allowed, excluded } = filterByRestrictions(dishesResult.data, dietaryRestrictions);
+      const excludedDishes = excluded.map(({ dish, conflicts }) => ({
+        dish_id: dish.id,
+        title: dish.title,
+        conflicts
+      }));
+
+      if (allowed.length === 0) {
+        return res.status(200).json({
+          success: true,
+          message: 'No available dishes match these dietary restrictions',
+          data: {
+            preferences,
+            dietaryRestrictions,
+            format,
+            recommendations: format === 'text' ? '' : [],
+            excluded: excludedDishes,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const recommendation = await geminiService.generateFoodRecommendation(preferences, dietaryRestrictions, allowed, { format });
 
       res.status(200).json({
         success: true,
         data: {
           preferences,
           dietaryRestrictions,
+          format,
           recommendations: recommendation.recommendations,
+          excluded: excludedDishes,
           timestamp: recommendation.timestamp
         }
       });
@@ -111,6 +333,7 @@ class ChatbotController {
   async getCookingTip(req, res) {
     try {
       const { topic } = req.body;
+      const format = parseFormat(req);
 
       if (!topic || topic.trim().length === 0) {
         return res.status(400).json({
@@ -119,6 +342,13 @@ class ChatbotController {
         });
       }
 
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${OUTPUT_FORMATS.join(', ')}`
+        });
+      }
+
       if (!geminiService.isAvailable()) {
         return res.status(503).json({
           success: false,
@@ -126,12 +356,13 @@ class ChatbotController {
         });
       }
 
-      const tip = await geminiService.generateCookingTip(topic);
+      const tip = await geminiService.generateCookingTip(topic, { format });
 
       res.status(200).json({
         success: true,
         data: {
           topic,
+          format,
           tip: tip.tip,
           timestamp: tip.timestamp
         }
@@ -173,6 +404,8 @@ class ChatbotController {
         success: true,
         data: {
           aiAvailable: isAvailable,
+          provider: isAvailable ? geminiService.provider.name : null,
+          model: isAvailable ? geminiService.provider.modelName : null,
           capabilities: [
             'General food and cooking questions',
             'Menu item information',
@@ -194,15 +427,63 @@ class ChatbotController {
     }
   }
 
-  // Conversation history (placeholder for future database integration)
+  // Transcript of a conversation session
   async getConversationHistory(req, res) {
     try {
-      // This could be extended to store conversations in database
+      const { sessionId } = req.query;
+
+      if (!sessionId) {
+        return res.status(400).json({
+          success: false,
+          message: 'sessionId is required'
+        });
+      }
+
+      if (!isUuid(sessionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sessionId'
+        });
+      }
+
+      const sessionResult = await ChatSessionModel.getById(sessionId);
+
+      if (sessionResult.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to retrieve conversation history',
+          error: sessionResult.error.message
+        });
+      }
+
+      if (!sessionResult.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation session not found'
+        });
+      }
+
+      const messagesResult = await ChatSessionModel.getMessages(sessionId);
+
+      if (messagesResult.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to retrieve conversation history',
+          error: messagesResult.error.message
+        });
+      }
+
       res.status(200).json({
         success: true,
         data: {
-          conversations: [],
-          message: 'Conversation history feature coming soon'
+          sessionId,
+          createdAt: sessionResult.data.created_at,
+          lastMessageAt: sessionResult.data.last_message_at,
+          messages: messagesResult.data.map(turn => ({
+            role: turn.role,
+            content: turn.content,
+            timestamp: turn.created_at
+          }))
         }
       });
     } catch (error) {
@@ -214,6 +495,104 @@ class ChatbotController {
       });
     }
   }
+
+  // List conversation sessions (admin only)
+  async listSessions(req, res) {
+    try {
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await ChatSessionModel.findAll({ limit, offset, cursor: decodedCursor });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching conversation sessions',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
+      });
+    } catch (error) {
+      console.error('Error in listSessions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a conversation session and its transcript (admin only)
+  async deleteSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!isUuid(id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation session not found'
+        });
+      }
+
+      const existing = await ChatSessionModel.getById(id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting conversation session',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Conversation session not found'
+        });
+      }
+
+      const result = await ChatSessionModel.delete(id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting conversation session',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Conversation session deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteSession:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
 }
 
 const chatbotController = new ChatbotController();
@@ -1,29 +1,152 @@
 import ContactModel from '../models/Contact.js';
+import SettingModel from '../models/Setting.js';
+import BookingModel from '../models/Booking.js';
+import MessageActivityModel from '../models/MessageActivity.js';
+import notifier from '../mail/notifier.js';
+import trashPurger from '../trash/purger.js';
+import { parsePagination, decodeCursor, paginationMeta } from '../utils/pagination.js';
+import { isUuid } from '../validation/validator.js';
+import { EXPORT_FORMATS, streamExport } from '../utils/export.js';
+import { todayDate } from '../utils/dates.js';
+import { scoreContent, detectBot } from '../utils/spam.js';
+import { spamConfig, SPAM_THRESHOLD_SETTING } from '../config/spam.js';
+import { contactWorkflow, allowedTransitions, requiresReason } from '../config/workflow.js';
+import { trashConfig, purgeDate } from '../config/trash.js';
+import { findMessage } from './helpers.js';
+
+// Parse an optional non-negative integer; undefined when absent
+const parseCount = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+// Parse an optional date or timestamp; undefined when absent
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return Number.isNaN(new Date(value).getTime()) ? NaN : value;
+};
+
+// Parse ?assigned_to=: a user id, 'me' or 'none'. Resolves undefined when
+// absent, null for unassigned messages and NaN when malformed.
+const parseAssignee = (value, user) => {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'me') return user.id;
+  if (value === 'none') return null;
+  return isUuid(value) ? value : NaN;
+};
+
+// Parse the filters and sorting shared by the inbox listing and export.
+// Resolves { options } for ContactModel, or { error } with a message for a
+// 400 response.
+const parseListOptions = (query, user) => {
+  const { status, event_type: eventType, sort = 'created_at', order = 'desc' } = query;
+  const createdFrom = parseDate(query.created_from);
+  const createdTo = parseDate(query.created_to);
+  const dateFrom = parseDate(query.date_from);
+  const dateTo = parseDate(query.date_to);
+  const minGuests = parseCount(query.min_guests);
+  const maxGuests = parseCount(query.max_guests);
+  const assignedTo = parseAssignee(query.assigned_to, user);
+
+  if (status && !ContactModel.statuses.includes(status)) {
+    return { error: 'Invalid status. Must be one of: ' + ContactModel.statuses.join(', ') };
+  }
+
+  if ([createdFrom, createdTo, dateFrom, dateTo].some(Number.isNaN)) {
+    return { error: 'created_from, created_to, date_from and date_to must be valid dates' };
+  }
+
+  if (Number.isNaN(minGuests) || Number.isNaN(maxGuests)) {
+    return { error: 'min_guests and max_guests must be non-negative integers' };
+  }
+
+  if (Number.isNaN(assignedTo)) {
+    return { error: "assigned_to must be a user id, 'me' or 'none'" };
+  }
+
+  if (!ContactModel.sortableColumns.includes(sort) || !['asc', 'desc'].includes(order)) {
+    return { error: `Invalid sort. sort must be one of: ${ContactModel.sortableColumns.join(', ')}; order must be asc or desc` };
+  }
+
+  return {
+    options: { status, eventType, assignedTo, createdFrom, createdTo, dateFrom, dateTo, minGuests, maxGuests, sort, order }
+  };
+};
+
+// Fields of a submission returned to the sender
+const receipt = (message) => ({
+  id: message.id,
+  name: message.name,
+  email: message.email,
+  created_at: message.created_at
+});
+
+// Warning for the sender when their preferred date can't take the event.
+// The inquiry is accepted either way; a failed check just skips the warning.
+const dateWarning = async ({ date, guests }) => {
+  if (!date) return null;
+
+  const result = await BookingModel.checkAvailability(date, guests || 1);
+  if (result.error) {
+    console.error('Error checking date availability:', result.error);
+    return null;
+  }
+  if (result.data.fits) return null;
+
+  if (result.data.status === 'blackout') {
+    return `We are not taking events on ${date}. We will get in touch about other dates.`;
+  }
+  return result.data.status === 'full'
+    ? `${date} is fully booked. We will get in touch about other dates.`
+    : `${date} only has room for ${result.data.remaining_guests} more guests. We will get in touch about the options.`;
+};
 
 class ContactController {
-  // Submit contact form
+  // Submit contact form (body validated against contactSchema, rate limited
+  // per IP and email in the route). Spam is stored with status 'spam' and
+  // answered like any other message so bots can't tell it was caught.
   async submitContact(req, res) {
     try {
-      const contactData = req.body;
+      const { website, startedAt, ...contactData } = req.body;
 
-      // Validation
-      if (!contactData.name || !contactData.email || !contactData.message) {
-        return res.status(400).json({
+      const since = new Date(Date.now() - spamConfig.duplicateWindowMs).toISOString();
+      const duplicate = await ContactModel.findDuplicate(contactData.email, contactData.message, since);
+
+      if (duplicate.error) {
+        return res.status(500).json({
           success: false,
-          message: 'Name, email, and message are required'
+          message: 'Error submitting contact form',
+          error: duplicate.error.message
         });
       }
 
-      // Basic email validation
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(contactData.email)) {
-        return res.status(400).json({
+      if (duplicate.data) {
+        return res.status(200).json({
+          success: true,
+          message: 'We already received this message and will get back to you soon.',
+          data: receipt(duplicate.data)
+        });
+      }
+
+      const threshold = await SettingModel.get(SPAM_THRESHOLD_SETTING, spamConfig.defaultThreshold);
+
+      if (threshold.error) {
+        return res.status(500).json({
           success: false,
-          message: 'Please provide a valid email address'
+          message: 'Error submitting contact form',
+          error: threshold.error.message
         });
       }
 
-      const result = await ContactModel.create(contactData);
+      const botReasons = detectBot({ website, startedAt }, { minSubmitMs: spamConfig.minSubmitMs });
+      const content = scoreContent({ ...contactData, startedAt });
+
+      const result = await ContactModel.create(contactData, {
+        flagged: botReasons.length > 0 || content.score >= threshold.data,
+        score: content.score,
+        reasons: [...botReasons, ...content.reasons]
+      });
 
       if (result.error) {
         return res.status(500).json({
@@ -33,16 +156,18 @@ class ContactController {
         });
       }
 
-      // Send success response (you might want to send an email notification here)
+      // Spam is kept for review but nobody is emailed about it
+      if (result.data[0].status !== 'spam') {
+        await notifier.notifyNewInquiry(result.data[0]);
+      }
+
+      const warning = await dateWarning(contactData);
+
       res.status(201).json({
         success: true,
         message: 'Thank you for your message! We will get back to you soon.',
-        data: {
-          id: result.data[0].id,
-          name: result.data[0].name,
-          email: result.data[0].email,
-          created_at: result.data[0].created_at
-        }
+        data: receipt(result.data[0]),
+        ...(warning && { warning })
       });
     } catch (error) {
       console.error('Error in submitContact:', error);
@@ -54,19 +179,34 @@ class ContactController {
     }
   }
 
-  // Get all contact messages (admin only)
+  // Get all contact messages (admin only; filtered, sorted and paginated in the database)
   async getAllMessages(req, res) {
     try {
-      const { status, limit = 50, offset = 0 } = req.query;
-      
-      let result;
-      
-      if (status) {
-        result = await ContactModel.getByStatus(status);
-      } else {
-        result = await ContactModel.getAll();
+      const listing = parseListOptions(req.query, req.user);
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      if (listing.error) {
+        return res.status(400).json({
+          success: false,
+          message: listing.error
+        });
+      }
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
       }
 
+      const result = await ContactModel.findAll({
+        ...listing.options,
+        limit,
+        offset,
+        cursor: decodedCursor
+      });
+
       if (result.error) {
         return res.status(500).json({
           success: false,
@@ -75,20 +215,17 @@ class ContactController {
         });
       }
 
-      // Apply pagination
-      const startIndex = parseInt(offset);
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedData = result.data ? result.data.slice(startIndex, endIndex) : [];
-
       res.status(200).json({
         success: true,
-        data: paginatedData,
-        pagination: {
-          total: result.data ? result.data.length : 0,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          has_more: result.data ? endIndex < result.data.length : false
-        }
+        data: result.data,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
       });
     } catch (error) {
       console.error('Error in getAllMessages:', error);
@@ -136,22 +273,61 @@ class ContactController {
     }
   }
 
-  // Update message status (admin only)
+  // Move a message along the status workflow (admin only; body validated
+  // against contactStatusSchema). Changes not allowed from the current
+  // status get 409; changes that need a reason get 422 without one.
   async updateMessageStatus(req, res) {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
 
-      // Validate status
-      const validStatuses = ['new', 'in_progress', 'completed', 'archived'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
+      const existing = await ContactModel.getById(id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating message status',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found'
+        });
+      }
+
+      const from = existing.data.status;
+
+      if (status === from) {
+        return res.status(200).json({
+          success: true,
+          message: 'Message status unchanged',
+          data: existing.data
+        });
+      }
+
+      const allowed = allowedTransitions(from);
+      if (!allowed.includes(status)) {
+        return res.status(409).json({
+          success: false,
+          message: allowed.length > 0
+            ? `A message with status ${from} can only become: ${allowed.join(', ')}`
+            : `A message with status ${from} can't change status`,
+          allowed_statuses: allowed
+        });
+      }
+
+      if (requiresReason(from, status) && !reason) {
+        return res.status(422).json({
           success: false,
-          message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+          message: 'Validation failed',
+          errors: [{ field: 'reason', message: `reason is required to move a message from ${from} to ${status}` }]
         });
       }
 
-      const result = await ContactModel.updateStatus(id, status);
+      const result = await ContactModel.updateStatus(existing.data, status);
 
       if (result.error) {
         return res.status(500).json({
@@ -161,13 +337,27 @@ class ContactController {
         });
       }
 
-      if (!result.data || result.data.length === 0) {
-        return res.status(404).json({
+      if (result.data.length === 0) {
+        return res.status(409).json({
           success: false,
-          message: 'Contact message not found'
+          message: 'Message status changed in the meantime; reload and try again'
         });
       }
 
+      const activity = await MessageActivityModel.create(id, 'status_change', {
+        fromStatus: from,
+        toStatus: status,
+        reason,
+        actorId: req.user.id
+      });
+      if (activity.error) {
+        console.error('Error recording status change:', activity.error);
+      }
+
+      if (status === 'completed') {
+        await notifier.notifyInquiryCompleted(result.data[0]);
+      }
+
       res.status(200).json({
         success: true,
         message: 'Message status updated successfully',
@@ -183,12 +373,24 @@ class ContactController {
     }
   }
 
-  // Delete message (admin only)
+  // Statuses and the allowed changes between them (admin only)
+  async getWorkflow(req, res) {
+    res.status(200).json({
+      success: true,
+      data: {
+        statuses: ContactModel.statuses,
+        transitions: contactWorkflow.transitions
+      }
+    });
+  }
+
+  // Move a message to the trash (admin only). It can be restored until it
+  // is purged TRASH_RETENTION_DAYS later.
   async deleteMessage(req, res) {
     try {
       const { id } = req.params;
 
-      const result = await ContactModel.delete(id);
+      const result = isUuid(id) ? await ContactModel.delete(id) : { data: [], error: null };
 
       if (result.error) {
         return res.status(500).json({
@@ -198,9 +400,17 @@ class ContactController {
         });
       }
 
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found'
+        });
+      }
+
       res.status(200).json({
         success: true,
-        message: 'Message deleted successfully'
+        message: 'Message moved to the trash',
+        data: { id, deleted_at: result.data[0].deleted_at, purge_at: purgeDate(result.data[0].deleted_at) }
       });
     } catch (error) {
       console.error('Error in deleteMessage:', error);
@@ -212,6 +422,146 @@ class ContactController {
     }
   }
 
+  // Messages in the trash, most recently deleted first (admin only). Each
+  // has purge_at, when it will be deleted for good.
+  async getTrash(req, res) {
+    try {
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await ContactModel.getTrash({ limit, offset, cursor: decodedCursor });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching trash',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data.map(message => ({ ...message, purge_at: purgeDate(message.deleted_at) })),
+        retention_days: trashConfig.retentionDays,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
+      });
+    } catch (error) {
+      console.error('Error in getTrash:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Take a message out of the trash (admin only)
+  async restoreMessage(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = isUuid(id) ? await ContactModel.restore(id) : { data: [], error: null };
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error restoring message',
+          error: result.error.message
+        });
+      }
+
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found in the trash'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Message restored',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in restoreMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a message in the trash for good, with its timeline and quotes
+  // (admin only). Messages not in the trash must be deleted first.
+  async purgeMessage(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await findMessage(id, { includeDeleted: true });
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching contact message',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data || !existing.data.deleted_at) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found in the trash'
+        });
+      }
+
+      const result = await trashPurger.purgeMessage(existing.data);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error purging message',
+          error: result.error.message
+        });
+      }
+
+      // Restored since it was looked up
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact message not found in the trash'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Message deleted permanently'
+      });
+    } catch (error) {
+      console.error('Error in purgeMessage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+
   // Get recent messages (admin only)
   async getRecentMessages(req, res) {
     try {
@@ -246,7 +596,9 @@ class ContactController {
   // Search messages (admin only)
   async searchMessages(req, res) {
     try {
-      const { q: searchTerm } = req.query;
+      const searchTerm = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      const { status } = req.query;
+      const { limit, offset } = parsePagination(req.query);
 
       if (!searchTerm) {
         return res.status(400).json({
@@ -255,7 +607,14 @@ class ContactController {
         });
       }
 
-      const result = await ContactModel.search(searchTerm);
+      if (status && !ContactModel.statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${ContactModel.statuses.join(', ')}`
+        });
+      }
+
+      const result = await ContactModel.search(searchTerm, { status, limit, offset });
 
       if (result.error) {
         return res.status(500).json({
@@ -267,9 +626,15 @@ class ContactController {
 
       res.status(200).json({
         success: true,
-        data: result.data || [],
-        count: result.data ? result.data.length : 0,
-        search_term: searchTerm
+        data: result.data,
+        count: result.data.length,
+        search_term: searchTerm,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          hasMore: result.hasMore
+        })
       });
     } catch (error) {
       console.error('Error in searchMessages:', error);
@@ -281,39 +646,123 @@ class ContactController {
     }
   }
 
+  // Download every message matching the listing filters as CSV, NDJSON or
+  // JSON, streamed in batches (admin only)
+  async exportMessages(req, res) {
+    try {
+      const { format = 'csv' } = req.query;
+      const listing = parseListOptions(req.query, req.user);
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      if (listing.error) {
+        return res.status(400).json({
+          success: false,
+          message: listing.error
+        });
+      }
+
+      await streamExport(res, {
+        format,
+        filename: `contact-messages-${todayDate()}`,
+        columns: ContactModel.exportColumns,
+        batches: ContactModel.exportBatches(listing.options)
+      });
+    } catch (error) {
+      console.error('Error in exportMessages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting contact messages',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the spam threshold and the configured limits (admin only)
+  async getSpamSettings(req, res) {
+    try {
+      const result = await SettingModel.get(SPAM_THRESHOLD_SETTING, spamConfig.defaultThreshold);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching spam settings',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          threshold: result.data,
+          ip_limit: spamConfig.ipLimit,
+          email_limit: spamConfig.emailLimit,
+          rate_window_minutes: spamConfig.rateWindowMs / 60000,
+          min_submit_seconds: spamConfig.minSubmitMs / 1000,
+          duplicate_window_hours: spamConfig.duplicateWindowMs / 3600000
+        }
+      });
+    } catch (error) {
+      console.error('Error in getSpamSettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Change the spam score threshold (body validated against spamSettingsSchema)
+  async updateSpamSettings(req, res) {
+    try {
+      const { threshold } = req.body;
+
+      const result = await SettingModel.set(SPAM_THRESHOLD_SETTING, threshold);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating spam settings',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Spam settings updated successfully',
+        data: { threshold }
+      });
+    } catch (error) {
+      console.error('Error in updateSpamSettings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
   // Get contact statistics (admin only)
   async getContactStats(req, res) {
     try {
-      const [allMessages, newMessages, recentMessages] = await Promise.all([
-        ContactModel.getAll(),
-        ContactModel.getByStatus('new'),
-        ContactModel.getRecent(30)
-      ]);
-
-      const stats = {
-        total_messages: allMessages.data ? allMessages.data.length : 0,
-        new_messages: newMessages.data ? newMessages.data.length : 0,
-        recent_messages: recentMessages.data ? recentMessages.data.length : 0,
-        status_breakdown: {
-          new: 0,
-          in_progress: 0,
-          completed: 0,
-          archived: 0
-        }
-      };
+      const result = await ContactModel.getStats(30);
 
-      // Count messages by status
-      if (allMessages.data) {
-        allMessages.data.forEach(message => {
-          if (stats.status_breakdown[message.status] !== undefined) {
-            stats.status_breakdown[message.status]++;
-          }
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching contact statistics',
+          error: result.error.message
         });
       }
 
       res.status(200).json({
         success: true,
-        data: stats
+        data: result.data
       });
     } catch (error) {
       console.error('Error in getContactStats:', error);
@@ -0,0 +1,48 @@
+import DishModel from '../models/Dish.js';
+import ContactModel from '../models/Contact.js';
+import QuoteModel from '../models/Quote.js';
+import { isUuid } from '../validation/validator.js';
+
+// Lookups and responses shared by the controllers
+
+// Load a dish, contact message or quote by id, treating malformed ids as
+// missing. options are passed on to the model's getById.
+const findDish = async (id, options) => (isUuid(id) ? await DishModel.getById(id, options) : { data: null, error: null });
+const findMessage = async (id, options) => (isUuid(id) ? await ContactModel.getById(id, options) : { data: null, error: null });
+const findQuote = async (id) => (isUuid(id) ? await QuoteModel.getById(id) : { data: null, error: null });
+
+// Who did something, as shown on timelines and revisions
+const userSummary = (user) => (user ? { id: user.id, email: user.email, name: user.name } : null);
+
+// Respond 500 when a lookup failed or 404 with notFound when it found
+// nothing; returns true if it responded
+const sendFailure = (res, result, action, notFound) => {
+  if (result.error) {
+    res.status(500).json({
+      success: false,
+      message: `Error ${action}`,
+      error: result.error.message
+    });
+    return true;
+  }
+  if (!result.data) {
+    res.status(404).json({
+      success: false,
+      message: notFound
+    });
+    return true;
+  }
+  return false;
+};
+
+// sendFailure for a contact message lookup
+const sendMessageFailure = (res, result, action) => sendFailure(res, result, action, 'Contact message not found');
+
+export {
+  findDish,
+  findMessage,
+  findQuote,
+  userSummary,
+  sendFailure,
+  sendMessageFailure
+};
\ No newline at end of file
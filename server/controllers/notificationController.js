@@ -0,0 +1,133 @@
+import EmailOutboxModel from '../models/EmailOutbox.js';
+import notifier from '../mail/notifier.js';
+import { isUuid } from '../validation/validator.js';
+import { parsePagination, decodeCursor, paginationMeta } from '../utils/pagination.js';
+
+class NotificationController {
+  // List outbox emails, newest first, optionally by status (admin only)
+  async getOutbox(req, res) {
+    try {
+      const { status } = req.query;
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      if (status && !EmailOutboxModel.statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${EmailOutboxModel.statuses.join(', ')}`
+        });
+      }
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await EmailOutboxModel.findAll({ status, limit, offset, cursor: decodedCursor });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching email outbox',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
+      });
+    } catch (error) {
+      console.error('Error in getOutbox:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Send a failed email again (admin only)
+  async retryEmail(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!isUuid(id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      const existing = await EmailOutboxModel.getById(id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error retrying email',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      if (existing.data.status !== 'failed') {
+        return res.status(409).json({
+          success: false,
+          message: `Only failed emails can be retried; this one is ${existing.data.status}`
+        });
+      }
+
+      const result = await EmailOutboxModel.retry(id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error retrying email',
+          error: result.error.message
+        });
+      }
+
+      if (result.data.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email was already retried'
+        });
+      }
+
+      await notifier.deliver(result.data[0]);
+      const updated = await EmailOutboxModel.getById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email retried',
+        data: updated.data
+      });
+    } catch (error) {
+      console.error('Error in retryEmail:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const notificationController = new NotificationController();
+export default notificationController;
\ No newline at end of file
@@ -1,25 +1,210 @@
 import DishModel from '../models/Dish.js';
+import CategoryModel from '../models/Category.js';
+import DishRevisionModel from '../models/DishRevision.js';
+import { randomUUID } from 'crypto';
+import { inferAllergens } from '../utils/dietary.js';
+import { isAvailableAt, checkSchedule } from '../utils/availability.js';
+import { inspectImage, createRenditions, removeStoredImages } from '../utils/images.js';
+import { storage } from '../config/storage.js';
+import { parsePagination, decodeCursor, paginationMeta } from '../utils/pagination.js';
+import { EXPORT_FORMATS, streamExport } from '../utils/export.js';
+import { todayDate } from '../utils/dates.js';
+import { parseCsv } from '../utils/csv.js';
+import { MAX_IMPORT_ROWS, planDishImport, applyDishImport } from '../imports/dishImport.js';
+import trashPurger from '../trash/purger.js';
+import { trashConfig, purgeDate } from '../config/trash.js';
+import { isUuid } from '../validation/validator.js';
+import { findDish } from './helpers.js';
+
+// Parse an optional "true"/"false" query flag; undefined when absent
+const parseBooleanFlag = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return NaN;
+};
+
+// Parse an optional non-negative price; undefined when absent
+const parsePrice = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : NaN;
+};
+
+// Parse an optional comma-separated list of allowed values; undefined when
+// absent, null when it contains anything else
+const parseTagList = (value, allowed) => {
+  if (value === undefined || value === '') return undefined;
+  const tags = String(value).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return tags.every(tag => allowed.includes(tag)) ? tags : null;
+};
+
+// Parse the filters and sorting shared by the dish listing and export.
+// Searches can also sort by relevance. Resolves { options } for DishModel,
+// or { error } with a message for a 400 response.
+const parseListOptions = (query, { search = '' } = {}) => {
+  const { category, order = 'desc' } = query;
+  const sort = query.sort || (search ? 'relevance' : 'created_at');
+  const featured = parseBooleanFlag(query.featured);
+  const available = parseBooleanFlag(query.available);
+  const minPrice = parsePrice(query.min_price);
+  const maxPrice = parsePrice(query.max_price);
+  const diets = parseTagList(query.diet, DishModel.diets);
+  const excludeAllergens = parseTagList(query.exclude_allergens, DishModel.allergens);
+
+  if (Number.isNaN(featured) || Number.isNaN(available)) {
+    return { error: 'featured and available must be "true" or "false"' };
+  }
+
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: 'min_price and max_price must be non-negative numbers' };
+  }
+
+  if (diets === null || excludeAllergens === null) {
+    return { error: `diet must be one of: ${DishModel.diets.join(', ')}; exclude_allergens must be one of: ${DishModel.allergens.join(', ')}` };
+  }
+
+  const sortable = search ? ['relevance', ...DishModel.sortableColumns] : DishModel.sortableColumns;
+  if (!sortable.includes(sort) || !['asc', 'desc'].includes(order)) {
+    return { error: `Invalid sort. sort must be one of: ${sortable.join(', ')}; order must be asc or desc` };
+  }
+
+  return {
+    options: { category, featured, available, minPrice, maxPrice, diets, excludeAllergens, sort, order }
+  };
+};
+
+// Read import rows from an uploaded CSV or JSON file, or from a JSON body
+// (an array, or { dishes: [...] }). Resolves { rows, format } or { error }
+// with a message for a 400 response.
+const readImportRows = (req) => {
+  let data = req.body;
+  let format = 'json';
+
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    if (req.file.format === 'csv') {
+      const parsed = parseCsv(text);
+      if (parsed.error) return { error: parsed.error };
+      data = parsed.data;
+      format = 'csv';
+    } else {
+      try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+      } catch {
+        return { error: 'File is not valid JSON' };
+      }
+    }
+  }
+
+  const rows = Array.isArray(data) ? data : data && data.dishes;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { error: 'Send dishes as a CSV or JSON file in the "file" field, or as a JSON array in "dishes"' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} dishes can be imported at once` };
+  }
+
+  return { rows, format };
+};
+
+// 422 response body when a dish refers to a category that doesn't exist,
+// or null when the category is fine
+const checkCategory = async (category) => {
+  if (category === undefined) return null;
+
+  const result = await CategoryModel.getById(category);
+  if (result.error) throw result.error;
+  if (result.data) return null;
+
+  return {
+    success: false,
+    message: 'Validation failed',
+    errors: [{ field: 'category', message: `category "${category}" does not exist` }]
+  };
+};
+
+// Response body for a schedule that fails checkSchedule(), or null
+const checkAvailabilitySchedule = (schedule) => {
+  const errors = checkSchedule(schedule);
+  return errors.length > 0 ? { success: false, message: 'Validation failed', errors } : null;
+};
+
+// Add available_now, whether a dish can be ordered at the given moment
+const withAvailableNow = (dish, now = new Date()) => ({ ...dish, available_now: isAvailableAt(dish, now) });
+
+// Record a saved dish as a revision. Failures are logged rather than
+// returned, as the dish itself was already saved.
+const recordRevision = async (dish, options) => {
+  const result = await DishRevisionModel.record(dish, options);
+  if (result.error) {
+    console.error(`Error recording revision of dish ${dish.id}:`, result.error);
+  }
+};
+
+// Resize an upload and save every rendition under dishes/<id>/.
+// Already saved files are removed if a later one fails.
+const storeRenditions = async (dishId, buffer) => {
+  const { renditions, placeholder } = await createRenditions(buffer);
+  const prefix = `dishes/${dishId}/${randomUUID()}`;
+  const stored = {};
+
+  try {
+    for (const [name, rendition] of Object.entries(renditions)) {
+      const key = `${prefix}-${name}.webp`;
+      const url = await storage.save(key, rendition.buffer, rendition.contentType);
+      stored[name] = { url, key, width: rendition.width, height: rendition.height };
+    }
+  } catch (error) {
+    await removeStoredImages(stored);
+    throw error;
+  }
+
+  return { renditions: stored, placeholder };
+};
 
 class PortfolioController {
-  // Get all dishes
+  // Get all dishes (filters combine; sorted and paginated in the database).
+  // ?search= switches to relevance-ranked full-text search. ?available=
+  // checks schedules at the current time, so it is paged by offset.
+  // Each dish gets available_now.
   async getAllDishes(req, res) {
     try {
-      const { category, featured, available, search } = req.query;
-      
-      let result;
-      
-      if (search) {
-        result = await DishModel.search(search);
-      } else if (featured === 'true') {
-        result = await DishModel.getFeatured();
-      } else if (available === 'true') {
-        result = await DishModel.getAvailable();
-      } else if (category) {
-        result = await DishModel.getByCategory(category);
-      } else {
-        result = await DishModel.getAll();
+      const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+      const listing = parseListOptions(req.query, { search });
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      if (listing.error) {
+        return res.status(400).json({
+          success: false,
+          message: listing.error
+        });
       }
 
+      if (search && cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search results are paged with limit and offset, not cursor'
+        });
+      }
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await DishModel.findAll({
+        ...listing.options,
+        search: search || undefined,
+        limit,
+        offset,
+        cursor: decodedCursor
+      });
+
       if (result.error) {
         return res.status(500).json({
           success: false,
@@ -28,10 +213,20 @@ class PortfolioController {
         });
       }
 
+      const now = new Date();
+
       res.status(200).json({
         success: true,
-        data: result.data || [],
-        count: result.data ? result.data.length : 0
+        data: result.data.map(dish => withAvailableNow(dish, now)),
+        count: result.data.length,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
       });
     } catch (error) {
       console.error('Error in getAllDishes:', error);
@@ -43,12 +238,56 @@ class PortfolioController {
     }
   }
 
+  // Download every dish matching the listing filters as CSV, NDJSON or
+  // JSON, streamed in batches (admin only). Search isn't supported.
+  async exportDishes(req, res) {
+    try {
+      const { format = 'csv' } = req.query;
+      const listing = parseListOptions(req.query);
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      if (req.query.search) {
+        return res.status(400).json({
+          success: false,
+          message: 'Exports take the listing filters, not search'
+        });
+      }
+
+      if (listing.error) {
+        return res.status(400).json({
+          success: false,
+          message: listing.error
+        });
+      }
+
+      await streamExport(res, {
+        format,
+        filename: `dishes-${todayDate()}`,
+        columns: DishModel.exportColumns,
+        batches: DishModel.exportBatches(listing.options)
+      });
+    } catch (error) {
+      console.error('Error in exportDishes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting dishes',
+        error: error.message
+      });
+    }
+  }
+
   // Get single dish by ID
   async getDishById(req, res) {
     try {
       const { id } = req.params;
       
-      const result = await DishModel.getById(id);
+      const result = await findDish(id);
 
       if (result.error) {
         return res.status(500).json({
@@ -67,7 +306,7 @@ class PortfolioController {
 
       res.status(200).json({
         success: true,
-        data: result.data
+        data: withAvailableNow(result.data)
       });
     } catch (error) {
       console.error('Error in getDishById:', error);
@@ -79,22 +318,47 @@ class PortfolioController {
     }
   }
 
-  // Create new dish
+  // Allergen tags suggested for a list of ingredients
+  async suggestTags(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: { allergens: inferAllergens(req.body.ingredients) }
+      });
+    } catch (error) {
+      console.error('Error in suggestTags:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Create new dish (body validated against dishSchema)
   async createDish(req, res) {
     try {
       const dishData = req.body;
 
-      // Validation
-      if (!dishData.title || !dishData.description || !dishData.category) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title, description, and category are required'
-        });
+      const categoryError = await checkCategory(dishData.category);
+      if (categoryError) {
+        return res.status(422).json(categoryError);
+      }
+
+      const scheduleError = checkAvailabilitySchedule(dishData.availability_schedule);
+      if (scheduleError) {
+        return res.status(422).json(scheduleError);
       }
 
       const result = await DishModel.create(dishData);
 
       if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: `Another dish already has external_key "${dishData.external_key}"`
+          });
+        }
         return res.status(500).json({
           success: false,
           message: 'Error creating dish',
@@ -102,6 +366,8 @@ class PortfolioController {
         });
       }
 
+      await recordRevision(result.data[0], { action: 'create', authorId: req.user.id });
+
       res.status(201).json({
         success: true,
         message: 'Dish created successfully',
@@ -117,15 +383,57 @@ class PortfolioController {
     }
   }
 
-  // Update dish
+  // Update dish (body validated against dishSchema, unknown fields dropped).
+  // The saved dish is recorded as a new revision.
   async updateDish(req, res) {
     try {
       const { id } = req.params;
-      const dishData = req.body;
+      const dishData = { ...req.body };
+
+      const categoryError = await checkCategory(dishData.category);
+      if (categoryError) {
+        return res.status(422).json(categoryError);
+      }
+
+      const scheduleError = checkAvailabilitySchedule(dishData.availability_schedule);
+      if (scheduleError) {
+        return res.status(422).json(scheduleError);
+      }
+
+      const current = await findDish(id);
+
+      if (current.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching dish',
+          error: current.error.message
+        });
+      }
+
+      if (!current.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found'
+        });
+      }
+
+      // Setting image_url by hand replaces any uploaded image
+      let replacedImage = null;
+      if ('image_url' in dishData && current.data.image_renditions) {
+        replacedImage = current.data.image_renditions;
+        dishData.image_renditions = null;
+        dishData.image_placeholder = null;
+      }
 
       const result = await DishModel.update(id, dishData);
 
       if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: `Another dish already has external_key "${dishData.external_key}"`
+          });
+        }
         return res.status(500).json({
           success: false,
           message: 'Error updating dish',
@@ -140,6 +448,9 @@ class PortfolioController {
         });
       }
 
+      await removeStoredImages(replacedImage);
+      await recordRevision(result.data[0], { action: 'update', authorId: req.user.id, previous: current.data });
+
       res.status(200).json({
         success: true,
         message: 'Dish updated successfully',
@@ -155,12 +466,94 @@ class PortfolioController {
     }
   }
 
-  // Delete dish
+  // Create and update dishes in bulk from CSV or JSON (admin only). Rows
+  // are matched to dishes by external_key, then title. With ?dry_run=true
+  // nothing is saved and the response reports what would happen; otherwise
+  // the import is saved only if every row is valid, and undone if a write
+  // fails part way.
+  async importDishes(req, res) {
+    try {
+      const dryRun = parseBooleanFlag(req.query.dry_run);
+      const input = readImportRows(req);
+
+      if (Number.isNaN(dryRun)) {
+        return res.status(400).json({
+          success: false,
+          message: 'dry_run must be "true" or "false"'
+        });
+      }
+
+      if (input.error) {
+        return res.status(400).json({
+          success: false,
+          message: input.error
+        });
+      }
+
+      const plan = await planDishImport(input.rows, { format: input.format });
+
+      if (plan.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error importing dishes',
+          error: plan.error.message
+        });
+      }
+
+      const { summary, rows } = plan.data;
+
+      if (dryRun) {
+        return res.status(200).json({
+          success: true,
+          message: summary.errors > 0 ? 'Dry run found errors' : 'Dry run found no errors',
+          dry_run: true,
+          data: { summary, rows }
+        });
+      }
+
+      if (summary.errors > 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'Import has errors; nothing was saved',
+          data: { summary, rows }
+        });
+      }
+
+      const result = await applyDishImport(plan.data, { authorId: req.user.id });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error importing dishes; no changes were kept',
+          error: result.error.message
+        });
+      }
+
+      await Promise.all(result.data.replacedImages.map(removeStoredImages));
+
+      res.status(200).json({
+        success: true,
+        message: 'Dishes imported successfully',
+        dry_run: false,
+        data: { summary, rows: result.data.rows }
+      });
+    } catch (error) {
+      console.error('Error in importDishes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Move a dish to the trash. It can be restored, image included, until it
+  // is purged TRASH_RETENTION_DAYS later.
   async deleteDish(req, res) {
     try {
       const { id } = req.params;
 
-      const result = await DishModel.delete(id);
+      const result = isUuid(id) ? await DishModel.delete(id) : { data: [], error: null };
 
       if (result.error) {
         return res.status(500).json({
@@ -170,9 +563,17 @@ class PortfolioController {
         });
       }
 
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found'
+        });
+      }
+
       res.status(200).json({
         success: true,
-        message: 'Dish deleted successfully'
+        message: 'Dish moved to the trash',
+        data: { id, deleted_at: result.data[0].deleted_at, purge_at: purgeDate(result.data[0].deleted_at) }
       });
     } catch (error) {
       console.error('Error in deleteDish:', error);
@@ -184,23 +585,246 @@ class PortfolioController {
     }
   }
 
-  // Get dish categories
-  async getCategories(req, res) {
+  // Dishes in the trash, most recently deleted first. Each has purge_at,
+  // when it will be deleted for good.
+  async getTrash(req, res) {
     try {
-      const categories = [
-        { id: 'appetizers', name: 'Appetizers', description: 'Start your meal with these delicious options' },
-        { id: 'mains', name: 'Main Courses', description: 'Our signature main dishes' },
-        { id: 'desserts', name: 'Desserts', description: 'Sweet endings to your perfect meal' },
-        { id: 'drinks', name: 'Beverages', description: 'Refreshing drinks and specialty cocktails' },
-        { id: 'specials', name: 'Chef Specials', description: 'Limited time seasonal offerings' }
-      ];
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await DishModel.getTrash({ limit, offset, cursor: decodedCursor });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching trash',
+          error: result.error.message
+        });
+      }
 
       res.status(200).json({
         success: true,
-        data: categories
+        data: result.data.map(dish => ({ ...dish, purge_at: purgeDate(dish.deleted_at) })),
+        retention_days: trashConfig.retentionDays,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
       });
     } catch (error) {
-      console.error('Error in getCategories:', error);
+      console.error('Error in getTrash:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Take a dish out of the trash
+  async restoreDish(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = isUuid(id) ? await DishModel.restore(id) : { data: [], error: null };
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error restoring dish',
+          error: result.error.message
+        });
+      }
+
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found in the trash'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Dish restored',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in restoreDish:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a dish in the trash for good, with its stored image files.
+  // Dishes not in the trash must be deleted first.
+  async purgeDish(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await findDish(id, { includeDeleted: true });
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching dish',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data || !existing.data.deleted_at) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found in the trash'
+        });
+      }
+
+      const result = await trashPurger.purgeDish(existing.data);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error purging dish',
+          error: result.error.message
+        });
+      }
+
+      // Restored since it was looked up
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found in the trash'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Dish deleted permanently'
+      });
+    } catch (error) {
+      console.error('Error in purgeDish:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Upload a dish image (multipart "image" field) and store its renditions
+  async uploadDishImage(req, res) {
+    try {
+      const { id } = req.params;
+
+      const current = await findDish(id);
+
+      if (current.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching dish',
+          error: current.error.message
+        });
+      }
+
+      if (!current.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found'
+        });
+      }
+
+      const inspected = await inspectImage(req.file.buffer);
+
+      if (inspected.error) {
+        return res.status(415).json({
+          success: false,
+          message: inspected.error
+        });
+      }
+
+      const image = await storeRenditions(id, req.file.buffer);
+      const result = await DishModel.setImage(id, image);
+
+      if (result.error || !result.data || result.data.length === 0) {
+        await removeStoredImages(image.renditions);
+        return res.status(result.error ? 500 : 404).json({
+          success: false,
+          message: result.error ? 'Error saving dish image' : 'Dish not found',
+          error: result.error?.message
+        });
+      }
+
+      await removeStoredImages(current.data.image_renditions);
+
+      res.status(200).json({
+        success: true,
+        message: 'Dish image uploaded successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in uploadDishImage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a dish image and its stored renditions
+  async deleteDishImage(req, res) {
+    try {
+      const { id } = req.params;
+
+      const current = await findDish(id);
+
+      if (current.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching dish',
+          error: current.error.message
+        });
+      }
+
+      if (!current.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found'
+        });
+      }
+
+      const result = await DishModel.setImage(id, null);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error removing dish image',
+          error: result.error.message
+        });
+      }
+
+      await removeStoredImages(current.data.image_renditions);
+
+      res.status(200).json({
+        success: true,
+        message: 'Dish image removed successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in deleteDishImage:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -212,33 +836,25 @@ class PortfolioController {
   // Get portfolio statistics
   async getStats(req, res) {
     try {
-      const [allDishes, featuredDishes, availableDishes] = await Promise.all([
+      const [allDishes, featuredDishes, availableDishes, categories, categoryCounts] = await Promise.all([
         DishModel.getAll(),
         DishModel.getFeatured(),
-        DishModel.getAvailable()
+        DishModel.getAvailable(),
+        CategoryModel.getAll(),
+        DishModel.countByCategory()
       ]);
 
       const stats = {
         total_dishes: allDishes.data ? allDishes.data.length : 0,
         featured_dishes: featuredDishes.data ? featuredDishes.data.length : 0,
         available_dishes: availableDishes.data ? availableDishes.data.length : 0,
-        categories: {
-          appetizers: 0,
-          mains: 0,
-          desserts: 0,
-          drinks: 0,
-          specials: 0
-        }
+        categories: {}
       };
 
-      // Count dishes by category
-      if (allDishes.data) {
-        allDishes.data.forEach(dish => {
-          if (stats.categories[dish.category] !== undefined) {
-            stats.categories[dish.category]++;
-          }
-        });
-      }
+      // Count dishes by category, including empty categories
+      (categories.data || []).forEach(category => {
+        stats.categories[category.id] = categoryCounts.data?.[category.id] || 0;
+      });
 
       res.status(200).json({
         success: true,
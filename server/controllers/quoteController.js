@@ -0,0 +1,574 @@
+import QuoteModel from '../models/Quote.js';
+import ContactModel from '../models/Contact.js';
+import DishModel from '../models/Dish.js';
+import { isUuid } from '../validation/validator.js';
+import { parsePagination, decodeCursor, paginationMeta } from '../utils/pagination.js';
+import { calculateQuote } from '../utils/quotes.js';
+import { todayDate, addDays } from '../utils/dates.js';
+import { quoteConfig } from '../config/quotes.js';
+import { quoteReference, renderQuoteHtml, renderQuotePdf } from '../quotes/render.js';
+import { findMessage, findQuote } from './helpers.js';
+
+const EXPORT_FORMATS = ['pdf', 'html'];
+
+// Turn requested items [{ dish_id, quantity_per_guest }] into snapshots
+// carrying each dish's current title and price. Resolves { data },
+// { errors } for bad items or { error } for database failures.
+const priceItems = async (items) => {
+  const ids = items.map(item => item.dish_id);
+
+  if (new Set(ids).size !== ids.length) {
+    return { errors: [{ field: 'items', message: 'items must not list the same dish twice' }] };
+  }
+
+  const result = await DishModel.getByIds(ids.filter(isUuid));
+  if (result.error) {
+    return { error: result.error };
+  }
+
+  const dishes = new Map(result.data.map(dish => [dish.id, dish]));
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const dish = dishes.get(item.dish_id);
+    if (!dish) {
+      errors.push({ field: 'items', message: `items item ${index + 1} dish_id does not match a dish` });
+    } else if (dish.price === null || dish.price === undefined) {
+      errors.push({ field: 'items', message: `items item ${index + 1} dish "${dish.title}" has no price` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    data: items.map(item => ({
+      dish_id: item.dish_id,
+      title: dishes.get(item.dish_id).title,
+      unit_price: Number(dishes.get(item.dish_id).price),
+      quantity_per_guest: item.quantity_per_guest
+    }))
+  };
+};
+
+// Work out a quote's fields from a base (an existing quote, or the defaults
+// for a new one) and the requested changes. New items are priced from the
+// menu; items carried over keep the prices they were quoted at.
+const buildQuote = async (base, changes) => {
+  let items = base.items;
+
+  if (changes.items) {
+    const priced = await priceItems(changes.items);
+    if (!priced.data) return priced;
+    items = priced.data;
+  }
+
+  const quote = { ...base, ...changes, items };
+  const totals = calculateQuote({
+    items,
+    guests: quote.guests,
+    serviceFeePercent: Number(quote.service_fee_percent),
+    flatFee: Number(quote.flat_fee),
+    taxRate: Number(quote.tax_rate)
+  });
+
+  return { data: { ...quote, ...totals } };
+};
+
+// Respond to a failed buildQuote
+const sendBuildFailure = (res, built, action) => {
+  if (built.errors) {
+    return res.status(422).json({
+      success: false,
+      message: 'Validation failed',
+      errors: built.errors
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: `Error ${action} quote`,
+    error: built.error.message
+  });
+};
+
+class QuoteController {
+  // List quotes, newest first; filter by contact_message_id and status (admin only)
+  async getQuotes(req, res) {
+    try {
+      const { contact_message_id: contactMessageId, status } = req.query;
+      const { limit, offset, cursor } = parsePagination(req.query);
+
+      if (status && !QuoteModel.statuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${QuoteModel.statuses.join(', ')}`
+        });
+      }
+
+      if (contactMessageId && !isUuid(contactMessageId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'contact_message_id must be a valid id'
+        });
+      }
+
+      const decodedCursor = cursor ? decodeCursor(cursor) : null;
+      if (cursor && !decodedCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pagination cursor'
+        });
+      }
+
+      const result = await QuoteModel.findAll({ contactMessageId, status, limit, offset, cursor: decodedCursor });
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching quotes',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        pagination: paginationMeta({
+          total: result.total,
+          limit,
+          offset,
+          cursor,
+          hasMore: result.hasMore,
+          nextCursor: result.nextCursor
+        })
+      });
+    } catch (error) {
+      console.error('Error in getQuotes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Get single quote (admin only)
+  async getQuoteById(req, res) {
+    try {
+      const result = await findQuote(req.params.id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching quote',
+          error: result.error.message
+        });
+      }
+
+      if (!result.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result.data
+      });
+    } catch (error) {
+      console.error('Error in getQuoteById:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Draft a quote for an inquiry (body validated against quoteSchema). It
+  // becomes the inquiry's next version; guests default to the inquiry's.
+  async createQuote(req, res) {
+    try {
+      const { contact_message_id: contactMessageId, ...changes } = req.body;
+
+      const inquiry = await findMessage(contactMessageId);
+
+      if (inquiry.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating quote',
+          error: inquiry.error.message
+        });
+      }
+
+      if (!inquiry.data) {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'contact_message_id', message: 'contact_message_id does not match an inquiry' }]
+        });
+      }
+
+      if (!changes.guests && !inquiry.data.guests) {
+        return res.status(422).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'guests', message: 'guests is required when the inquiry has no guest count' }]
+        });
+      }
+
+      const built = await buildQuote({
+        guests: inquiry.data.guests,
+        items: [],
+        currency: quoteConfig.currency,
+        service_fee_percent: quoteConfig.serviceFeePercent,
+        flat_fee: 0,
+        tax_rate: quoteConfig.taxRate,
+        notes: null,
+        valid_until: addDays(todayDate(), quoteConfig.validDays)
+      }, changes);
+
+      if (!built.data) {
+        return sendBuildFailure(res, built, 'creating');
+      }
+
+      const result = await QuoteModel.create(contactMessageId, built.data, req.user.id);
+
+      if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'Another quote for this inquiry was created at the same time; please try again'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          message: 'Error creating quote',
+          error: result.error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Quote created successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in createQuote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Edit a draft quote (body validated against quoteUpdateSchema)
+  async updateQuote(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await findQuote(id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating quote',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      if (existing.data.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          message: `Only draft quotes can be edited; this one is ${existing.data.status}. Revise it to create a new version.`
+        });
+      }
+
+      const built = await buildQuote(existing.data, req.body);
+
+      if (!built.data) {
+        return sendBuildFailure(res, built, 'updating');
+      }
+
+      const result = await QuoteModel.update(id, built.data);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating quote',
+          error: result.error.message
+        });
+      }
+
+      if (result.data.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Quote is no longer a draft'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Quote updated successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in updateQuote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Copy a quote into a new draft version, applying any changes in the
+  // body (validated against quoteUpdateSchema). The original is kept.
+  async reviseQuote(req, res) {
+    try {
+      const existing = await findQuote(req.params.id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error revising quote',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      const built = await buildQuote(existing.data, req.body);
+
+      if (!built.data) {
+        return sendBuildFailure(res, built, 'revising');
+      }
+
+      const result = await QuoteModel.create(existing.data.contact_message_id, built.data, req.user.id);
+
+      if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: 'Another quote for this inquiry was created at the same time; please try again'
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          message: 'Error revising quote',
+          error: result.error.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Quote revised as version ${result.data[0].version}`,
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in reviseQuote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Move a quote through draft -> sent -> accepted/declined
+  // (body validated against quoteStatusSchema)
+  async updateQuoteStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+
+      const existing = await findQuote(id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating quote status',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      const allowed = QuoteModel.transitions[existing.data.status];
+      if (!allowed.includes(status)) {
+        return res.status(409).json({
+          success: false,
+          message: allowed.length > 0
+            ? `A ${existing.data.status} quote can only become: ${allowed.join(', ')}`
+            : `A ${existing.data.status} quote can't change status`
+        });
+      }
+
+      const result = await QuoteModel.updateStatus(id, existing.data.status, status);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error updating quote status',
+          error: result.error.message
+        });
+      }
+
+      if (result.data.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Quote status changed in the meantime; reload and try again'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Quote status updated successfully',
+        data: result.data[0]
+      });
+    } catch (error) {
+      console.error('Error in updateQuoteStatus:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Download a quote as ?format=pdf (default) or view it as ?format=html
+  async exportQuote(req, res) {
+    try {
+      const format = req.query.format || 'pdf';
+
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+        });
+      }
+
+      const quote = await findQuote(req.params.id);
+
+      if (quote.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error exporting quote',
+          error: quote.error.message
+        });
+      }
+
+      if (!quote.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      const inquiry = await ContactModel.getById(quote.data.contact_message_id, { includeDeleted: true });
+
+      if (inquiry.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error exporting quote',
+          error: inquiry.error.message
+        });
+      }
+
+      const options = { brandName: quoteConfig.brandName };
+
+      if (format === 'html') {
+        return res.status(200).type('html').send(renderQuoteHtml(quote.data, inquiry.data, options));
+      }
+
+      const pdf = await renderQuotePdf(quote.data, inquiry.data, options);
+      res.status(200)
+        .type('application/pdf')
+        .attachment(`${quoteReference(quote.data)}.pdf`)
+        .send(pdf);
+    } catch (error) {
+      console.error('Error in exportQuote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a draft quote (admin only). Sent quotes are kept as a record.
+  async deleteQuote(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await findQuote(id);
+
+      if (existing.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting quote',
+          error: existing.error.message
+        });
+      }
+
+      if (!existing.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      if (existing.data.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          message: `Only draft quotes can be deleted; this one is ${existing.data.status}`
+        });
+      }
+
+      const result = await QuoteModel.delete(id);
+
+      if (result.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error deleting quote',
+          error: result.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Quote deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteQuote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const quoteController = new QuoteController();
+export default quoteController;
\ No newline at end of file
@@ -0,0 +1,249 @@
+import DishModel from '../models/Dish.js';
+import DishRevisionModel from '../models/DishRevision.js';
+import CategoryModel from '../models/Category.js';
+import AdminUserModel from '../models/AdminUser.js';
+import { findDish, userSummary, sendFailure } from './helpers.js';
+
+// Parse a revision number; null when it isn't a positive integer
+const parseRevision = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Shape a revision row, replacing author_id with the user it points at
+const revisionEntry = (revision, users) => ({
+  revision: revision.revision,
+  action: revision.action,
+  changed_fields: revision.changed_fields,
+  restored_from: revision.restored_from,
+  author: revision.author_id ? userSummary(users.get(revision.author_id)) : null,
+  created_at: revision.created_at,
+  snapshot: revision.snapshot
+});
+
+// Look up the authors of revisions by id
+const loadAuthors = async (revisions) => {
+  const ids = [...new Set(revisions.map(revision => revision.author_id).filter(Boolean))];
+  const users = ids.length > 0 ? await AdminUserModel.getByIds(ids) : { data: [], error: null };
+  return {
+    data: users.data ? new Map(users.data.map(user => [user.id, user])) : null,
+    error: users.error
+  };
+};
+
+// Load a dish's revision by the number in a route parameter
+const findRevision = async (dishId, value) => {
+  const revision = parseRevision(value);
+  return revision ? await DishRevisionModel.getByNumber(dishId, revision) : { data: null, error: null };
+};
+
+class RevisionController {
+  // Every saved state of a dish, newest first, with its author and the
+  // fields it changed (admin, editor)
+  async getRevisions(req, res) {
+    try {
+      const dish = await findDish(req.params.id);
+      if (sendFailure(res, dish, 'fetching dish', 'Dish not found')) return;
+
+      const revisions = await DishRevisionModel.getByDish(dish.data.id);
+      const users = revisions.error ? revisions : await loadAuthors(revisions.data);
+
+      if (revisions.error || users.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching dish revisions',
+          error: (revisions.error || users.error).message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: revisions.data.map(revision => revisionEntry(revision, users.data))
+      });
+    } catch (error) {
+      console.error('Error in getRevisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // One revision of a dish (admin, editor)
+  async getRevision(req, res) {
+    try {
+      const dish = await findDish(req.params.id);
+      if (sendFailure(res, dish, 'fetching dish', 'Dish not found')) return;
+
+      const revision = await findRevision(dish.data.id, req.params.revision);
+      if (sendFailure(res, revision, 'fetching dish revision', 'Revision not found')) return;
+
+      const users = await loadAuthors([revision.data]);
+
+      if (users.error) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error fetching dish revision',
+          error: users.error.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: revisionEntry(revision.data, users.data)
+      });
+    } catch (error) {
+      console.error('Error in getRevision:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Field-level differences between two revisions, ?from=&to= (admin,
+  // editor). to defaults to the newest revision and from to the one before
+  // it.
+  async diffRevisions(req, res) {
+    try {
+      const dish = await findDish(req.params.id);
+      if (sendFailure(res, dish, 'fetching dish', 'Dish not found')) return;
+
+      const { from, to } = req.query;
+      if ((from !== undefined && !parseRevision(from)) || (to !== undefined && !parseRevision(to))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be revision numbers'
+        });
+      }
+
+      const target = to !== undefined
+        ? await DishRevisionModel.getByNumber(dish.data.id, parseRevision(to))
+        : await DishRevisionModel.getLatest(dish.data.id);
+      if (sendFailure(res, target, 'fetching dish revision', 'Revision not found')) return;
+
+      const fromNumber = from !== undefined ? parseRevision(from) : target.data.revision - 1;
+      if (fromNumber === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Revision 1 has no earlier revision; pass from to compare it with a later one'
+        });
+      }
+
+      const source = await DishRevisionModel.getByNumber(dish.data.id, fromNumber);
+      if (sendFailure(res, source, 'fetching dish revision', `Revision ${fromNumber} not found`)) return;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          from: source.data.revision,
+          to: target.data.revision,
+          changes: DishRevisionModel.diff(source.data.snapshot, target.data.snapshot)
+        }
+      });
+    } catch (error) {
+      console.error('Error in diffRevisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+
+  // Put a dish's versioned fields back as they were in an earlier revision
+  // (admin, editor). The rollback is recorded as a new revision.
+  async rollbackDish(req, res) {
+    try {
+      const dish = await findDish(req.params.id);
+      if (sendFailure(res, dish, 'fetching dish', 'Dish not found')) return;
+
+      const revision = await findRevision(dish.data.id, req.params.revision);
+      if (sendFailure(res, revision, 'fetching dish revision', 'Revision not found')) return;
+
+      const { snapshot } = revision.data;
+      const changes = DishRevisionModel.diff(dish.data, snapshot);
+
+      if (changes.length === 0) {
+        return res.status(200).json({
+          success: true,
+          message: `Dish already matches revision ${revision.data.revision}`,
+          data: dish.data,
+          revision: null
+        });
+      }
+
+      if (changes.some(change => change.field === 'category')) {
+        const category = await CategoryModel.getById(snapshot.category);
+        if (category.error) throw category.error;
+        if (!category.data) {
+          return res.status(422).json({
+            success: false,
+            message: `Revision ${revision.data.revision} has category "${snapshot.category}", which no longer exists`
+          });
+        }
+      }
+
+      // Tags are always restored as they were, rather than re-inferred from
+      // the restored ingredients
+      const dishData = {
+        ...Object.fromEntries(changes.map(change => [change.field, change.to])),
+        allergens: snapshot.allergens,
+        diets: snapshot.diets
+      };
+
+      const result = await DishModel.update(dish.data.id, dishData);
+
+      if (result.error) {
+        if (result.error.code === '23505') {
+          return res.status(409).json({
+            success: false,
+            message: `Another dish now has external_key "${snapshot.external_key}"`
+          });
+        }
+        return res.status(500).json({
+          success: false,
+          message: 'Error rolling back dish',
+          error: result.error.message
+        });
+      }
+
+      if (result.data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dish not found'
+        });
+      }
+
+      const recorded = await DishRevisionModel.record(result.data[0], {
+        action: 'rollback',
+        authorId: req.user.id,
+        previous: dish.data,
+        restoredFrom: revision.data.revision
+      });
+
+      if (recorded.error) {
+        console.error(`Error recording revision of dish ${dish.data.id}:`, recorded.error);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Dish rolled back to revision ${revision.data.revision}`,
+        data: result.data[0],
+        revision: recorded.data ? recorded.data.revision : null
+      });
+    } catch (error) {
+      console.error('Error in rollbackDish:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+}
+
+const revisionController = new RevisionController();
+export default revisionController;
\ No newline at end of file
@@ -0,0 +1,494 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseSchema } from '../schemaParser.js';
+import { MEMORY_FUNCTIONS } from './memoryFunctions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '../schema.sql');
+
+// Error in the same shape Supabase/PostgREST returns
+const dbError = (code, message, details = null) => ({ code, message, details, hint: null });
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Convert a LIKE pattern (% and _ wildcards, backslash escapes) to a RegExp
+const likeToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+};
+
+// In-memory storage adapter backed by the tables declared in schema.sql.
+// Enforces column names, NOT NULL, enums, UNIQUE and foreign keys so code
+// that works here behaves the same against Supabase.
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.schemaPath = options.schemaPath || DEFAULT_SCHEMA_PATH;
+    this.seed = options.seed !== false;
+    this.reset();
+  }
+
+  // Rebuild all tables from the schema (and seed rows)
+  reset() {
+    const schema = parseSchema(fs.readFileSync(this.schemaPath, 'utf8'));
+    this.tables = schema.tables;
+    this.rows = Object.fromEntries(Object.keys(this.tables).map(table => [table, []]));
+
+    if (this.seed) {
+      schema.seeds.forEach(({ table, rows }) => {
+        if (!this.tables[table]) return;
+        rows.forEach(row => {
+          const prepared = this.prepareRow(table, row, { applyDefaults: true });
+          if (!prepared.error) this.rows[table].push(prepared.row);
+        });
+      });
+    }
+  }
+
+  // Coerce a value to the column's type, returning { value } or { error }
+  coerce(column, value) {
+    if (value === null || value === undefined) {
+      return { value: null };
+    }
+
+    const { type } = column;
+
+    switch (type.kind) {
+      case 'integer': {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+          return { error: dbError('22P02', `invalid input syntax for type integer: "${value}"`) };
+        }
+        return { value: number };
+      }
+      case 'number': {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          return { error: dbError('22P02', `invalid input syntax for type numeric: "${value}"`) };
+        }
+        return { value: number };
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return { value };
+        if (['true', 't', '1'].includes(String(value).toLowerCase())) return { value: true };
+        if (['false', 'f', '0'].includes(String(value).toLowerCase())) return { value: false };
+        return { error: dbError('22P02', `invalid input syntax for type boolean: "${value}"`) };
+      case 'timestamp': {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return { error: dbError('22007', `invalid input syntax for type timestamp: "${value}"`) };
+        }
+        return { value: date.toISOString() };
+      }
+      case 'date': {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return { error: dbError('22007', `invalid input syntax for type date: "${value}"`) };
+        }
+        return { value: date.toISOString().slice(0, 10) };
+      }
+      case 'enum':
+        if (!type.values.includes(String(value))) {
+          return { error: dbError('22P02', `invalid input value for enum ${type.enumName}: "${value}"`) };
+        }
+        return { value: String(value) };
+      case 'array':
+        if (!Array.isArray(value)) {
+          return { error: dbError('22P02', `malformed array literal: "${value}"`) };
+        }
+        return { value: clone(value) };
+      case 'json':
+        return { value: clone(value) };
+      default:
+        return { value: String(value) };
+    }
+  }
+
+  // Validate and coerce a row for insert/update
+  prepareRow(table, data, { applyDefaults = false, existing = null } = {}) {
+    const definition = this.tables[table];
+    const row = existing ? { ...existing } : {};
+
+    for (const [key, value] of Object.entries(data)) {
+      const column = definition.columns[key];
+      if (!column || column.generated) {
+        return { error: dbError('PGRST204', `Could not find the '${key}' column of '${table}' in the schema cache`) };
+      }
+      const coerced = this.coerce(column, value);
+      if (coerced.error) return { error: coerced.error };
+      row[key] = coerced.value;
+    }
+
+    for (const column of Object.values(definition.columns)) {
+      if (column.generated) continue;
+
+      if (applyDefaults && row[column.name] === undefined) {
+        row[column.name] = column.default ? column.default() : null;
+      }
+      if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+        return { error: dbError('23502', `null value in column "${column.name}" of relation "${table}" violates not-null constraint`) };
+      }
+    }
+
+    // Keep keys in schema column order, like Postgres does
+    const ordered = Object.fromEntries(
+      Object.keys(definition.columns)
+        .filter(name => row[name] !== undefined)
+        .map(name => [name, row[name]])
+    );
+
+    return { row: ordered };
+  }
+
+  // Check UNIQUE constraints and foreign keys for a prepared row
+  checkConstraints(table, row, ignoreRow = null) {
+    const definition = this.tables[table];
+
+    for (const group of definition.uniqueGroups) {
+      if (group.some(column => row[column] === null || row[column] === undefined)) continue;
+
+      const duplicate = this.rows[table].some(other =>
+        other !== ignoreRow && group.every(column => other[column] === row[column])
+      );
+      if (duplicate) {
+        return dbError('23505', `duplicate key value violates unique constraint "${table}_${group.join('_')}_key"`);
+      }
+    }
+
+    for (const column of Object.values(definition.columns)) {
+      const reference = column.references;
+      if (!reference || row[column.name] === null || row[column.name] === undefined) continue;
+
+      const exists = (this.rows[reference.table] || []).some(other => other[reference.column] === row[column.name]);
+      if (!exists) {
+        return dbError('23503', `insert or update on table "${table}" violates foreign key constraint "${table}_${column.name}_fkey"`);
+      }
+    }
+
+    return null;
+  }
+
+  // Test a single condition against a row
+  matchCondition(table, row, condition) {
+    if (condition.or) {
+      return condition.or.some(inner => this.matchCondition(table, row, inner));
+    }
+    if (condition.and) {
+      return condition.and.every(inner => this.matchCondition(table, row, inner));
+    }
+    if (condition.not) {
+      return !this.matchCondition(table, row, condition.not);
+    }
+
+    const { column: columnName, operator = 'eq', value } = condition;
+    const column = this.tables[table].columns[columnName];
+    const actual = row[columnName];
+
+    if (!column) {
+      throw dbError('42703', `column ${table}.${columnName} does not exist`);
+    }
+
+    const normalize = (input) => {
+      if (input === null || input === undefined) return null;
+      if (['array', 'json', 'text', 'uuid', 'enum'].includes(column.type.kind)) return input;
+      const coerced = this.coerce(column, input);
+      if (coerced.error) throw coerced.error;
+      return coerced.value;
+    };
+
+    const compare = (a, b) => {
+      if (column.type.kind === 'timestamp') return new Date(a) - new Date(b);
+      if (typeof a === 'number' && typeof b === 'number') return a - b;
+      return String(a).localeCompare(String(b));
+    };
+
+    switch (operator) {
+      case 'eq':
+        return actual !== null && actual !== undefined && compare(actual, normalize(value)) === 0;
+      case 'neq':
+        return actual !== null && actual !== undefined && compare(actual, normalize(value)) !== 0;
+      case 'gt':
+        return actual !== null && actual !== undefined && compare(actual, normalize(value)) > 0;
+      case 'gte':
+        return actual !== null && actual !== undefined && compare(actual, normalize(value)) >= 0;
+      case 'lt':
+        return actual !== null && actual !== undefined && compare(actual, normalize(value)) < 0;
+      case 'lte':
+        return actual !== null && actual !== undefined && compare(actual, normalize(value)) <= 0;
+      case 'in':
+        return actual !== null && actual !== undefined && value.some(item => compare(actual, normalize(item)) === 0);
+      case 'is':
+        return value === null ? actual === null || actual === undefined : actual === value;
+      case 'like':
+      case 'ilike': {
+        if (actual === null || actual === undefined) return false;
+        const regex = likeToRegExp(String(value));
+        const test = operator === 'like'
+          ? (text) => new RegExp(regex.source, 's').test(text)
+          : (text) => regex.test(text);
+        return Array.isArray(actual) ? actual.some(item => test(String(item))) : test(String(actual));
+      }
+      case 'contains':
+        return Array.isArray(actual) && value.every(item => actual.includes(item));
+      case 'overlaps':
+        return Array.isArray(actual) && value.some(item => actual.includes(item));
+      default:
+        throw dbError('PGRST100', `unsupported operator "${operator}"`);
+    }
+  }
+
+  // Rows from a table matching all conditions
+  filterRows(table, filters = []) {
+    return this.rows[table].filter(row => filters.every(condition => this.matchCondition(table, row, condition)));
+  }
+
+  // Apply a column list such as "id, title" to a row
+  project(row, columns = '*') {
+    const copy = clone(row);
+    if (!columns || columns.trim() === '*') return copy;
+    const picked = columns.split(',').map(column => column.trim()).filter(Boolean);
+    return Object.fromEntries(picked.map(column => [column, copy[column] ?? null]));
+  }
+
+  // Sort rows by an array of { column, ascending, nullsFirst }. Nulls follow
+  // Postgres defaults (last when ascending, first when descending).
+  sortRows(table, rows, order = []) {
+    if (!order.length) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column: columnName, ascending = true, nullsFirst = !ascending } of order) {
+        const column = this.tables[table].columns[columnName];
+        const left = a[columnName];
+        const right = b[columnName];
+
+        if (left === right) continue;
+        if (left === null || left === undefined) return nullsFirst ? -1 : 1;
+        if (right === null || right === undefined) return nullsFirst ? 1 : -1;
+
+        let result;
+        if (column && column.type.kind === 'timestamp') {
+          result = new Date(left) - new Date(right);
+        } else if (typeof left === 'number' && typeof right === 'number') {
+          result = left - right;
+        } else if (typeof left === 'boolean') {
+          result = Number(left) - Number(right);
+        } else {
+          result = String(left).localeCompare(String(right));
+        }
+
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  // Run a callback, converting thrown errors into { data: null, error }
+  run(label, table, callback) {
+    try {
+      if (!this.tables[table]) {
+        throw dbError('42P01', `relation "${table}" does not exist`);
+      }
+      return callback();
+    } catch (error) {
+      console.error(`Error ${label} ${table}:`, error);
+      return { data: null, error: error.message ? error : dbError('XX000', String(error)) };
+    }
+  }
+
+  async select(table, columns = '*', filters = {}) {
+    return this.run('selecting from', table, () => {
+      const conditions = Object.entries(filters)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([column, value]) => ({ column, operator: 'eq', value }));
+
+      const data = this.filterRows(table, conditions).map(row => this.project(row, columns));
+      return { data, error: null };
+    });
+  }
+
+  async query(table, options = {}) {
+    return this.run('querying', table, () => {
+      const { columns = '*', filters = [], order = [], limit = null, offset = 0, count = false } = options;
+
+      const matched = this.sortRows(table, this.filterRows(table, filters), order);
+      const end = limit === null || limit === undefined ? undefined : offset + limit;
+      const data = matched.slice(offset, end).map(row => this.project(row, columns));
+
+      return { data, error: null, count: count ? matched.length : null };
+    });
+  }
+
+  async count(table, filters = []) {
+    return this.run('counting', table, () => {
+      return { count: this.filterRows(table, filters).length, error: null };
+    });
+  }
+
+  // Insert rows, returning copies of them. Throws on any invalid row, so
+  // multi-row inserts are all-or-nothing.
+  insertRows(table, data) {
+    const records = Array.isArray(data) ? data : [data];
+    const prepared = [];
+
+    // Validate every row first
+    for (const record of records) {
+      const result = this.prepareRow(table, record, { applyDefaults: true });
+      if (result.error) throw result.error;
+
+      const violation = this.checkConstraints(table, result.row);
+      if (violation) throw violation;
+
+      const batchDuplicate = this.tables[table].uniqueGroups.some(group =>
+        prepared.some(other => group.every(column => other[column] !== null && other[column] === result.row[column]))
+      );
+      if (batchDuplicate) {
+        throw dbError('23505', `duplicate key value violates unique constraint on "${table}"`);
+      }
+
+      prepared.push(result.row);
+    }
+
+    this.rows[table].push(...prepared);
+    return clone(prepared);
+  }
+
+  // Update a row by id, returning a copy of it (null when there is none)
+  updateRow(table, id, data) {
+    const target = this.rows[table].find(row => row.id === id);
+    if (!target) {
+      return null;
+    }
+
+    const changes = { ...data };
+    if (this.tables[table].columns.updated_at) {
+      changes.updated_at = new Date().toISOString();
+    }
+
+    const result = this.prepareRow(table, changes, { existing: target });
+    if (result.error) throw result.error;
+
+    const violation = this.checkConstraints(table, result.row, target);
+    if (violation) throw violation;
+
+    Object.assign(target, result.row);
+    return clone(target);
+  }
+
+  async insert(table, data) {
+    return this.run('inserting into', table, () => {
+      return { data: this.insertRows(table, data), error: null };
+    });
+  }
+
+  async update(table, id, data) {
+    return this.run('updating', table, () => {
+      const updated = this.updateRow(table, id, data);
+      return { data: updated ? [updated] : [], error: null };
+    });
+  }
+
+  // Update every row matching the filters (all-or-nothing)
+  async updateWhere(table, filters, data) {
+    return this.run('updating', table, () => {
+      const targets = this.filterRows(table, filters);
+      const changes = { ...data };
+      if (this.tables[table].columns.updated_at) {
+        changes.updated_at = new Date().toISOString();
+      }
+
+      const prepared = targets.map(target => {
+        const result = this.prepareRow(table, changes, { existing: target });
+        if (result.error) throw result.error;
+
+        const violation = this.checkConstraints(table, result.row, target);
+        if (violation) throw violation;
+        return result.row;
+      });
+
+      targets.forEach((target, index) => Object.assign(target, prepared[index]));
+      return { data: clone(targets), error: null };
+    });
+  }
+
+  async delete(table, id) {
+    return this.run('deleting from', table, () => {
+      const target = this.rows[table].find(row => row.id === id);
+      if (!target) {
+        return { error: null };
+      }
+
+      this.applyDeleteRules(table, target);
+      this.rows[table] = this.rows[table].filter(row => row !== target);
+      return { error: null };
+    });
+  }
+
+  // Delete every row matching the filters, returning copies of them
+  async deleteWhere(table, filters) {
+    return this.run('deleting from', table, () => {
+      const targets = this.filterRows(table, filters);
+      targets.forEach(target => this.applyDeleteRules(table, target));
+      this.rows[table] = this.rows[table].filter(row => !targets.includes(row));
+      return { data: clone(targets), error: null };
+    });
+  }
+
+  // Enforce ON DELETE behaviour of foreign keys pointing at a row
+  applyDeleteRules(table, target) {
+    for (const [otherTable, definition] of Object.entries(this.tables)) {
+      for (const column of Object.values(definition.columns)) {
+        const reference = column.references;
+        if (!reference || reference.table !== table) continue;
+
+        const dependents = this.rows[otherTable].filter(row => row[column.name] === target[reference.column]);
+        if (!dependents.length) continue;
+
+        if (reference.onDelete === 'CASCADE') {
+          dependents.forEach(dependent => this.applyDeleteRules(otherTable, dependent));
+          this.rows[otherTable] = this.rows[otherTable].filter(row => !dependents.includes(row));
+        } else if (reference.onDelete === 'SET NULL') {
+          dependents.forEach(dependent => { dependent[column.name] = null; });
+        } else {
+          throw dbError('23503', `update or delete on table "${table}" violates foreign key constraint "${otherTable}_${column.name}_fkey" on table "${otherTable}"`);
+        }
+      }
+    }
+  }
+
+  // Call a database function through its JavaScript twin in memoryFunctions.js
+  async rpc(name, params = {}) {
+    try {
+      const fn = MEMORY_FUNCTIONS[name];
+      if (!fn) {
+        throw dbError('PGRST202', `Could not find the function public.${name} in the schema cache`);
+      }
+      return { data: clone(fn(this, params)), error: null };
+    } catch (error) {
+      console.error(`Error calling ${name}:`, error);
+      return { data: null, error: error.message ? error : dbError('XX000', String(error)) };
+    }
+  }
+
+  async testConnection() {
+    const tableCount = Object.keys(this.tables).length;
+    console.log(`✅ In-memory database ready (${tableCount} tables from schema.sql)`);
+    return true;
+  }
+}
+
+export default MemoryAdapter;
\ No newline at end of file
@@ -0,0 +1,299 @@
+import { rankRows, DISH_SEARCH_FIELDS, MESSAGE_SEARCH_FIELDS } from '../../utils/search.js';
+import { isAvailableAt } from '../../utils/availability.js';
+
+// JavaScript twins of the database functions in schema.sql, called through
+// MemoryAdapter.rpc(). Each takes the adapter and the function's named
+// parameters and returns what the Postgres function returns. They run
+// synchronously, so like the Postgres functions they are atomic.
+
+const NOT_DELETED = { column: 'deleted_at', operator: 'is', value: null };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Columns create_booking takes from its booking parameter
+const BOOKING_COLUMNS = [
+  'contact_message_id', 'event_date', 'guests', 'event_type', 'customer_name', 'customer_email', 'notes', 'created_by'
+];
+
+// Columns update_booking takes from its changes parameter
+const BOOKING_CHANGE_COLUMNS = ['event_date', 'guests', 'event_type', 'notes'];
+
+// Compare two column values for sorting, keeping nulls last
+const compareColumn = (a, b, ascending) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  const result = typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+  return ascending ? result : -result;
+};
+
+// One page of ranked rows as { total, rows }, each row with search_rank
+const rankedPage = (ranked, limit, offset) => ({
+  total: ranked.length,
+  rows: ranked.slice(offset, offset + limit).map(({ row, rank }) => ({ ...row, search_rank: rank }))
+});
+
+// search_dishes(search_terms, filter_category, ..., result_limit, result_offset)
+const searchDishes = (db, {
+  search_terms: terms = [],
+  filter_category: category = null,
+  filter_featured: featured = null,
+  filter_available: available = null,
+  min_price: minPrice = null,
+  max_price: maxPrice = null,
+  required_diets: diets = null,
+  excluded_allergens: excludeAllergens = null,
+  sort_column: sort = 'relevance',
+  sort_ascending: ascending = false,
+  result_limit: limit = 50,
+  result_offset: offset = 0,
+  restaurant_timezone: timeZone = 'UTC'
+}) => {
+  const filters = [NOT_DELETED];
+  if (category !== null) filters.push({ column: 'category', operator: 'eq', value: category });
+  if (featured !== null) filters.push({ column: 'is_featured', operator: 'eq', value: featured });
+  if (minPrice !== null) filters.push({ column: 'price', operator: 'gte', value: minPrice });
+  if (maxPrice !== null) filters.push({ column: 'price', operator: 'lte', value: maxPrice });
+  if (diets !== null) filters.push({ column: 'diets', operator: 'contains', value: diets });
+  if (excludeAllergens !== null) filters.push({ not: { column: 'allergens', operator: 'overlaps', value: excludeAllergens } });
+
+  const categoryNames = new Map(db.rows.categories.map(row => [row.id, row.name]));
+  const now = new Date();
+  const dishes = db.filterRows('dishes', filters)
+    .filter(dish => available === null || isAvailableAt(dish, now, timeZone) === available)
+    .map(dish => ({ ...dish, category_name: categoryNames.get(dish.category) ?? null }));
+
+  const ranked = rankRows(dishes, terms.join(' '), DISH_SEARCH_FIELDS).sort((a, b) => {
+    const byColumn = sort === 'relevance' ? 0 : compareColumn(a.row[sort], b.row[sort], ascending);
+    return byColumn || b.rank - a.rank || String(a.row.id).localeCompare(String(b.row.id));
+  });
+
+  return rankedPage(ranked, limit, offset);
+};
+
+// search_contact_messages(search_terms, filter_status, result_limit, result_offset)
+const searchContactMessages = (db, {
+  search_terms: terms = [],
+  filter_status: status = null,
+  result_limit: limit = 50,
+  result_offset: offset = 0
+}) => {
+  const messages = db.filterRows('contact_messages', [
+    NOT_DELETED,
+    status === null
+      ? { column: 'status', operator: 'neq', value: 'spam' }
+      : { column: 'status', operator: 'eq', value: status }
+  ]);
+
+  const ranked = rankRows(messages, terms.join(' '), MESSAGE_SEARCH_FIELDS).sort((a, b) =>
+    b.rank - a.rank
+      || compareColumn(a.row.created_at, b.row.created_at, false)
+      || String(a.row.id).localeCompare(String(b.row.id))
+  );
+
+  return rankedPage(ranked, limit, offset);
+};
+
+// Count, average and median of durations in hours (null when there are none)
+const summarizeDurations = (durations) => {
+  if (durations.length === 0) {
+    return { count: 0, average_hours: null, median_hours: null };
+  }
+
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  const toHours = (ms) => Math.round((ms / HOUR_MS) * 100) / 100;
+
+  return {
+    count: sorted.length,
+    average_hours: toHours(sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length),
+    median_hours: toHours(median)
+  };
+};
+
+// contact_response_times(since)
+const contactResponseTimes = (db, { since }) => {
+  const messages = db.filterRows('contact_messages', [
+    NOT_DELETED,
+    { column: 'status', operator: 'neq', value: 'spam' },
+    { column: 'created_at', operator: 'gte', value: since }
+  ]);
+
+  // Time between two timestamp columns of each message that has both
+  const durationsBetween = (from, to) => messages
+    .filter(message => message[from] && message[to])
+    .map(message => new Date(message[to]).getTime() - new Date(message[from]).getTime());
+
+  return {
+    new_to_in_progress: summarizeDurations(durationsBetween('created_at', 'in_progress_at')),
+    in_progress_to_completed: summarizeDurations(durationsBetween('in_progress_at', 'completed_at')),
+    new_to_completed: summarizeDurations(durationsBetween('created_at', 'completed_at'))
+  };
+};
+
+// booking_day_availability(day, default_capacity, exclude_id)
+const bookingDayAvailability = (db, day, defaultCapacity, excludeId = null) => {
+  const setting = db.rows.settings.find(row => row.id === 'booking_daily_capacity');
+  const capacity = setting ? Number(setting.value) : defaultCapacity;
+  const booked = db.rows.bookings
+    .filter(booking => booking.event_date === day && booking.status === 'confirmed' && booking.id !== excludeId)
+    .reduce((sum, booking) => sum + booking.guests, 0);
+  const blackout = db.rows.blackout_dates.find(row => row.date === day);
+
+  return {
+    date: day,
+    status: blackout ? 'blackout' : capacity > booked ? 'open' : 'full',
+    capacity,
+    booked_guests: booked,
+    remaining_guests: blackout ? 0 : Math.max(capacity - booked, 0),
+    reason: blackout ? blackout.reason : null
+  };
+};
+
+const bookingFits = (availability, guests) => availability.status !== 'blackout' && guests <= availability.remaining_guests;
+
+// create_booking(booking, default_capacity)
+const createBooking = (db, { booking, default_capacity: defaultCapacity }) => {
+  const row = Object.fromEntries(BOOKING_COLUMNS.filter(column => column in booking).map(column => [column, booking[column]]));
+  const availability = bookingDayAvailability(db, row.event_date, defaultCapacity);
+
+  if (!bookingFits(availability, Number(row.guests))) {
+    return { booking: null, availability };
+  }
+
+  // Stands in for the partial unique index idx_bookings_contact_confirmed
+  const duplicate = row.contact_message_id && db.rows.bookings.some(other =>
+    other.contact_message_id === row.contact_message_id && other.status === 'confirmed'
+  );
+  if (duplicate) {
+    throw { code: '23505', message: 'duplicate key value violates unique constraint "idx_bookings_contact_confirmed"', details: null, hint: null };
+  }
+
+  const [created] = db.insertRows('bookings', row);
+  return { booking: created, availability };
+};
+
+// update_booking(booking_id, changes, default_capacity)
+const updateBooking = (db, { booking_id: id, changes, default_capacity: defaultCapacity }) => {
+  const current = db.rows.bookings.find(booking => booking.id === id && booking.status === 'confirmed');
+  if (!current) {
+    return { booking: null, availability: null };
+  }
+
+  const updates = Object.fromEntries(BOOKING_CHANGE_COLUMNS.filter(column => column in changes).map(column => [column, changes[column]]));
+  const eventDate = updates.event_date ?? current.event_date;
+  const guests = Number(updates.guests ?? current.guests);
+  let availability = null;
+
+  if (eventDate !== current.event_date || guests > current.guests) {
+    availability = bookingDayAvailability(db, eventDate, defaultCapacity, id);
+    if (!bookingFits(availability, guests)) {
+      return { booking: null, availability };
+    }
+  }
+
+  return { booking: db.updateRow('bookings', id, { ...updates, event_date: eventDate, guests }), availability };
+};
+
+// reorder_categories(category_ids)
+const reorderCategories = (db, { category_ids: ids }) => {
+  ids.forEach((id, index) => db.updateRow('categories', id, { sort_order: index + 1 }));
+  return null;
+};
+
+// delete_category(category_id, reassign_to). Moved dishes are put back
+// when the delete fails, as the transaction would do.
+const deleteCategory = (db, { category_id: id, reassign_to: reassignTo = null }) => {
+  const category = db.rows.categories.find(row => row.id === id);
+  const snapshot = db.rows.dishes.map(row => ({ ...row }));
+
+  try {
+    const moved = reassignTo === null ? [] : db.rows.dishes
+      .filter(dish => dish.category === id)
+      .map(dish => ({ previous: { ...dish }, dish: db.updateRow('dishes', dish.id, { category: reassignTo }) }));
+
+    if (!category) {
+      return null;
+    }
+
+    db.applyDeleteRules('categories', category);
+    db.rows.categories = db.rows.categories.filter(row => row !== category);
+    return moved;
+  } catch (error) {
+    db.rows.dishes = snapshot;
+    throw error;
+  }
+};
+
+// import_dishes(changes). Writes are undone when any of them fails, as
+// the transaction would be.
+const importDishes = (db, { changes }) => {
+  const { creates = [], updates = [] } = changes;
+  const snapshot = db.rows.dishes.map(row => ({ ...row }));
+
+  try {
+    const created = creates.length > 0 ? db.insertRows('dishes', creates) : [];
+    const updated = updates.map(({ id, changes: dishChanges }) => {
+      if (!db.rows.dishes.some(row => row.id === id && !row.deleted_at)) {
+        throw { code: 'P0002', message: `Dish ${id} was deleted during the import`, details: null, hint: null };
+      }
+      return db.updateRow('dishes', id, dishChanges);
+    });
+    return { created, updated };
+  } catch (error) {
+    db.rows.dishes = snapshot;
+    throw error;
+  }
+};
+
+// add_chat_exchange(chat_session_id, is_new, user_message, assistant_message, received_at)
+const addChatExchange = (db, {
+  chat_session_id: sessionId,
+  is_new: isNew,
+  user_message: userMessage,
+  assistant_message: assistantMessage,
+  received_at: receivedAt
+}) => {
+  const repliedAt = new Date(Math.max(Date.now(), new Date(receivedAt).getTime() + 1)).toISOString();
+  let session;
+
+  if (isNew) {
+    [session] = db.insertRows('chat_sessions', {
+      id: sessionId, message_count: 2, last_message_at: repliedAt, created_at: receivedAt
+    });
+  } else {
+    const current = db.rows.chat_sessions.find(row => row.id === sessionId);
+    if (!current) {
+      return null;
+    }
+    const lastMessageAt = current.last_message_at && current.last_message_at > repliedAt ? current.last_message_at : repliedAt;
+    session = db.updateRow('chat_sessions', sessionId, {
+      message_count: current.message_count + 2,
+      last_message_at: lastMessageAt
+    });
+  }
+
+  db.insertRows('chat_messages', [
+    { session_id: sessionId, role: 'user', content: userMessage, created_at: receivedAt },
+    { session_id: sessionId, role: 'assistant', content: assistantMessage, created_at: repliedAt }
+  ]);
+
+  return session;
+};
+
+const MEMORY_FUNCTIONS = {
+  search_dishes: searchDishes,
+  search_contact_messages: searchContactMessages,
+  contact_response_times: contactResponseTimes,
+  create_booking: createBooking,
+  update_booking: updateBooking,
+  import_dishes: importDishes,
+  reorder_categories: reorderCategories,
+  delete_category: deleteCategory,
+  add_chat_exchange: addChatExchange
+};
+
+export {
+  MEMORY_FUNCTIONS
+};
\ No newline at end of file
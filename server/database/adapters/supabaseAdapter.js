@@ -0,0 +1,258 @@
+// Supabase (PostgREST) storage adapter
+
+// Quote a value for use inside a PostgREST or=(...) filter string so commas,
+// parentheses and dots in user input can't change the filter structure
+const formatFilterValue = (value) => {
+  if (value === null) return 'null';
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+};
+
+// PostgREST operator and value for a simple condition, e.g. ['ov', '{"nuts"}']
+const formatOperand = ({ operator = 'eq', value }) => {
+  switch (operator) {
+    case 'in':
+      return ['in', `(${value.map(formatFilterValue).join(',')})`];
+    case 'contains':
+      return ['cs', `{${value.map(formatFilterValue).join(',')}}`];
+    case 'overlaps':
+      return ['ov', `{${value.map(formatFilterValue).join(',')}}`];
+    case 'is':
+      return ['is', value === null ? 'null' : String(value)];
+    default:
+      return [operator, formatFilterValue(value)];
+  }
+};
+
+// Render a condition as PostgREST filter syntax, e.g. title.ilike."%x%"
+const formatCondition = (condition) => {
+  if (condition.or) {
+    return `or(${condition.or.map(formatCondition).join(',')})`;
+  }
+  if (condition.and) {
+    return `and(${condition.and.map(formatCondition).join(',')})`;
+  }
+  if (condition.not) {
+    const inner = formatCondition(condition.not);
+    return condition.not.or || condition.not.and ? `not.${inner}` : inner.replace('.', '.not.');
+  }
+
+  return `${condition.column}.${formatOperand(condition).join('.')}`;
+};
+
+// Apply a single condition to a PostgREST query builder
+const applyCondition = (query, condition) => {
+  if (condition.or) {
+    return query.or(condition.or.map(formatCondition).join(','));
+  }
+  if (condition.and) {
+    return condition.and.reduce(applyCondition, query);
+  }
+  if (condition.not) {
+    if (condition.not.or || condition.not.and) {
+      return query.or(formatCondition(condition));
+    }
+    return query.not(condition.not.column, ...formatOperand(condition.not));
+  }
+
+  const { column, operator = 'eq', value } = condition;
+
+  switch (operator) {
+    case 'eq': return query.eq(column, value);
+    case 'neq': return query.neq(column, value);
+    case 'gt': return query.gt(column, value);
+    case 'gte': return query.gte(column, value);
+    case 'lt': return query.lt(column, value);
+    case 'lte': return query.lte(column, value);
+    case 'in': return query.in(column, value);
+    case 'is': return query.is(column, value);
+    case 'like': return query.like(column, value);
+    case 'ilike': return query.ilike(column, value);
+    case 'contains': return query.contains(column, value);
+    case 'overlaps': return query.overlaps(column, value);
+    default:
+      throw new Error(`Unsupported filter operator "${operator}"`);
+  }
+};
+
+class SupabaseAdapter {
+  constructor(client, testConnection) {
+    this.name = 'supabase';
+    this.client = client;
+    this.testConnection = testConnection;
+  }
+
+  // Generic select function
+  async select(table, columns = '*', filters = {}) {
+    try {
+      let query = this.client.from(table).select(columns);
+
+      // Apply filters
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          query = query.eq(key, value);
+        }
+      });
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error(`Error selecting from ${table}:`, error);
+      return { data: null, error };
+    }
+  }
+
+  // Filtered, ordered and paginated select
+  async query(table, options = {}) {
+    try {
+      const { columns = '*', filters = [], order = [], limit = null, offset = 0, count = false } = options;
+
+      let query = this.client
+        .from(table)
+        .select(columns, count ? { count: 'exact' } : undefined);
+
+      query = filters.reduce(applyCondition, query);
+
+      order.forEach(({ column, ascending = true, nullsFirst }) => {
+        query = query.order(column, nullsFirst === undefined ? { ascending } : { ascending, nullsFirst });
+      });
+
+      if (limit !== null && limit !== undefined) {
+        query = query.range(offset, offset + limit - 1);
+      } else if (offset) {
+        query = query.range(offset, offset + 999999);
+      }
+
+      const { data, error, count: total } = await query;
+
+      if (error) throw error;
+      return { data, error: null, count: count ? total : null };
+    } catch (error) {
+      console.error(`Error querying ${table}:`, error);
+      return { data: null, error, count: null };
+    }
+  }
+
+  // Count rows matching filters without fetching them
+  async count(table, filters = []) {
+    try {
+      let query = this.client
+        .from(table)
+        .select('*', { count: 'exact', head: true });
+
+      query = filters.reduce(applyCondition, query);
+
+      const { count, error } = await query;
+
+      if (error) throw error;
+      return { count, error: null };
+    } catch (error) {
+      console.error(`Error counting ${table}:`, error);
+      return { count: null, error };
+    }
+  }
+
+  // Generic insert function
+  async insert(table, data) {
+    try {
+      const { data: result, error } = await this.client
+        .from(table)
+        .insert(data)
+        .select();
+
+      if (error) throw error;
+      return { data: result, error: null };
+    } catch (error) {
+      console.error(`Error inserting into ${table}:`, error);
+      return { data: null, error };
+    }
+  }
+
+  // Generic update function
+  async update(table, id, data) {
+    try {
+      const { data: result, error } = await this.client
+        .from(table)
+        .update(data)
+        .eq('id', id)
+        .select();
+
+      if (error) throw error;
+      return { data: result, error: null };
+    } catch (error) {
+      console.error(`Error updating ${table}:`, error);
+      return { data: null, error };
+    }
+  }
+
+  // Update every row matching the filters
+  async updateWhere(table, filters, data) {
+    try {
+      let query = this.client
+        .from(table)
+        .update(data);
+
+      query = filters.reduce(applyCondition, query);
+
+      const { data: result, error } = await query.select();
+
+      if (error) throw error;
+      return { data: result, error: null };
+    } catch (error) {
+      console.error(`Error updating ${table}:`, error);
+      return { data: null, error };
+    }
+  }
+
+  // Call a database function (see the functions in schema.sql)
+  async rpc(name, params = {}) {
+    try {
+      const { data, error } = await this.client.rpc(name, params);
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error(`Error calling ${name}:`, error);
+      return { data: null, error };
+    }
+  }
+
+  // Generic delete function
+  async delete(table, id) {
+    try {
+      const { error } = await this.client
+        .from(table)
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      return { error: null };
+    } catch (error) {
+      console.error(`Error deleting from ${table}:`, error);
+      return { error };
+    }
+  }
+
+  // Delete every row matching the filters
+  async deleteWhere(table, filters) {
+    try {
+      let query = this.client
+        .from(table)
+        .delete();
+
+      query = filters.reduce(applyCondition, query);
+
+      const { data: result, error } = await query.select();
+
+      if (error) throw error;
+      return { data: result, error: null };
+    } catch (error) {
+      console.error(`Error deleting from ${table}:`, error);
+      return { data: null, error };
+    }
+  }
+}
+
+export default SupabaseAdapter;
\ No newline at end of file
@@ -0,0 +1,27 @@
+-- Admin accounts. Only needed for databases created before admin
+-- authentication existed; new installs get everything from schema.sql.
+-- Numbered 000 because later migrations reference admin_users, so run this
+-- one first. Create the first account with `npm run admin:create`.
+
+CREATE TYPE admin_role AS ENUM ('admin', 'editor', 'inbox_manager');
+
+-- Create admin_users table
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    password_hash TEXT NOT NULL,
+    role admin_role NOT NULL DEFAULT 'editor',
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users(email);
+
+CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies on admin_users: only the service role key can read password hashes
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
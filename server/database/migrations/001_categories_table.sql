@@ -0,0 +1,39 @@
+-- Move dish categories from the dish_category enum to the categories table.
+-- Only needed for databases created before the categories table existed;
+-- new installs get everything from schema.sql.
+
+CREATE TABLE IF NOT EXISTS categories (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO categories (id, name, description, sort_order) VALUES
+('appetizers', 'Appetizers', 'Start your meal with these delicious options', 1),
+('mains', 'Main Courses', 'Our signature main dishes', 2),
+('desserts', 'Desserts', 'Sweet endings to your perfect meal', 3),
+('drinks', 'Beverages', 'Refreshing drinks and specialty cocktails', 4),
+('specials', 'Chef Specials', 'Limited time seasonal offerings', 5)
+ON CONFLICT (id) DO NOTHING;
+
+-- Convert the enum column to a foreign key
+ALTER TABLE dishes ALTER COLUMN category DROP DEFAULT;
+ALTER TABLE dishes ALTER COLUMN category TYPE VARCHAR(50) USING category::text;
+ALTER TABLE dishes ALTER COLUMN category SET DEFAULT 'mains';
+ALTER TABLE dishes ADD CONSTRAINT dishes_category_fkey
+    FOREIGN KEY (category) REFERENCES categories(id) ON DELETE RESTRICT;
+DROP TYPE IF EXISTS dish_category;
+
+CREATE INDEX IF NOT EXISTS idx_categories_sort_order ON categories(sort_order);
+
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Allow public read access to categories" ON categories
+    FOR SELECT USING (true);
+GRANT SELECT ON categories TO anon, authenticated;
\ No newline at end of file
@@ -0,0 +1,19 @@
+-- Spam protection for the contact form. Only needed for databases created
+-- before these columns existed; new installs get everything from schema.sql.
+-- ALTER TYPE ... ADD VALUE cannot run inside a transaction block, so run this
+-- script on its own.
+
+ALTER TYPE contact_status ADD VALUE IF NOT EXISTS 'spam';
+
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS spam_score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS spam_reasons TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_contact_email_created_at ON contact_messages(email, created_at);
+
+CREATE TABLE IF NOT EXISTS settings (
+    id VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
@@ -0,0 +1,28 @@
+-- Outbox for notification emails. Only needed for databases created before
+-- email notifications existed; new installs get everything from schema.sql.
+
+CREATE TYPE email_status AS ENUM ('pending', 'sending', 'sent', 'failed');
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    template VARCHAR(50) NOT NULL,
+    recipient TEXT NOT NULL,
+    reply_to TEXT,
+    subject TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT,
+    contact_message_id UUID REFERENCES contact_messages(id) ON DELETE SET NULL,
+    status email_status NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    provider_message_id TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_contact ON email_outbox(contact_message_id);
+
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
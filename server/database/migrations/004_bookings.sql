@@ -0,0 +1,38 @@
+-- Bookings calendar. Only needed for databases created before bookings
+-- existed; new installs get everything from schema.sql.
+
+CREATE TYPE booking_status AS ENUM ('confirmed', 'cancelled');
+
+-- Create bookings table (confirmed events, usually converted from an inquiry)
+CREATE TABLE IF NOT EXISTS bookings (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contact_message_id UUID REFERENCES contact_messages(id) ON DELETE SET NULL,
+    event_date DATE NOT NULL,
+    guests INTEGER NOT NULL,
+    event_type VARCHAR(100),
+    customer_name VARCHAR(255) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    notes TEXT,
+    status booking_status NOT NULL DEFAULT 'confirmed',
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create blackout_dates table (days no events can be booked)
+CREATE TABLE IF NOT EXISTS blackout_dates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    date DATE NOT NULL UNIQUE,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookings_event_date ON bookings(event_date, status);
+CREATE INDEX IF NOT EXISTS idx_bookings_contact ON bookings(contact_message_id);
+
+CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE blackout_dates ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
@@ -0,0 +1,39 @@
+-- Catering quotes. Only needed for databases created before quotes existed;
+-- new installs get everything from schema.sql.
+
+CREATE TYPE quote_status AS ENUM ('draft', 'sent', 'accepted', 'declined');
+
+-- Create quotes table (catering quotes for an inquiry; each revision is a new version)
+-- items is a snapshot of the quoted dishes:
+--   [{ dish_id, title, unit_price, quantity_per_guest, quantity, line_total }]
+CREATE TABLE IF NOT EXISTS quotes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contact_message_id UUID NOT NULL REFERENCES contact_messages(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status quote_status NOT NULL DEFAULT 'draft',
+    guests INTEGER NOT NULL,
+    items JSONB NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    service_fee_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    flat_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    subtotal DECIMAL(12, 2) NOT NULL,
+    service_fee DECIMAL(12, 2) NOT NULL,
+    tax DECIMAL(12, 2) NOT NULL,
+    total DECIMAL(12, 2) NOT NULL,
+    notes TEXT,
+    valid_until DATE,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (contact_message_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+
+CREATE TRIGGER update_quotes_updated_at BEFORE UPDATE ON quotes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE quotes ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
@@ -0,0 +1,28 @@
+-- Message activity: assignees and the notes, replies and status changes
+-- shown on an inquiry's timeline. Only needed for databases created before
+-- message activity existed; new installs get everything from schema.sql.
+
+CREATE TYPE activity_type AS ENUM ('status_change', 'note', 'reply', 'assignment');
+
+-- Teammate handling an inquiry
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES admin_users(id) ON DELETE SET NULL;
+
+-- Create message_activities table (timeline of a contact message: status
+-- changes, internal notes, replies to the customer and assignments)
+CREATE TABLE IF NOT EXISTS message_activities (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contact_message_id UUID NOT NULL REFERENCES contact_messages(id) ON DELETE CASCADE,
+    type activity_type NOT NULL,
+    body TEXT,
+    from_status contact_status,
+    to_status contact_status,
+    assigned_to UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    email_id UUID REFERENCES email_outbox(id) ON DELETE SET NULL,
+    actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_assigned_to ON contact_messages(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_message_activities_message ON message_activities(contact_message_id, created_at);
+
+ALTER TABLE message_activities ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
@@ -0,0 +1,22 @@
+-- Status workflow: transition reasons and response-time metrics. Only
+-- needed for databases created before the workflow existed; new installs
+-- get everything from schema.sql.
+
+-- When a message first reached in_progress and completed (response-time metrics)
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS in_progress_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE message_activities ADD COLUMN IF NOT EXISTS reason TEXT;
+
+-- Fill in the metrics from the status changes recorded so far
+UPDATE contact_messages SET in_progress_at = (
+    SELECT MIN(created_at) FROM message_activities
+    WHERE message_activities.contact_message_id = contact_messages.id
+      AND type = 'status_change' AND to_status = 'in_progress'
+) WHERE in_progress_at IS NULL;
+
+UPDATE contact_messages SET completed_at = (
+    SELECT MIN(created_at) FROM message_activities
+    WHERE message_activities.contact_message_id = contact_messages.id
+      AND type = 'status_change' AND to_status = 'completed'
+) WHERE completed_at IS NULL;
\ No newline at end of file
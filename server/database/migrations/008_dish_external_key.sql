@@ -0,0 +1,5 @@
+-- External keys for bulk dish imports. Only needed for databases created
+-- before imports existed; new installs get everything from schema.sql.
+
+-- Stable id from an outside system (e.g. the POS), used to match bulk imports
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS external_key VARCHAR(100) UNIQUE;
\ No newline at end of file
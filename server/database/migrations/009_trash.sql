@@ -0,0 +1,15 @@
+-- Soft deletion for dishes and contact messages. Only needed for databases
+-- created before the trash existed; new installs get everything from
+-- schema.sql.
+
+-- Set when a row is moved to the trash; purged after TRASH_RETENTION_DAYS
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_dishes_deleted_at ON dishes(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_contact_deleted_at ON contact_messages(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Keep dishes in the trash hidden from the public anon key
+DROP POLICY IF EXISTS "Allow public read access to dishes" ON dishes;
+CREATE POLICY "Allow public read access to dishes" ON dishes
+    FOR SELECT USING (deleted_at IS NULL);
\ No newline at end of file
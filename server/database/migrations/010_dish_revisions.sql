@@ -0,0 +1,22 @@
+-- Dish revision history. Only needed for databases created before
+-- revisions existed; new installs get everything from schema.sql. Existing
+-- dishes get their first revision, a baseline, when they are next saved.
+
+CREATE TYPE revision_action AS ENUM ('baseline', 'create', 'update', 'import', 'rollback');
+
+-- Create dish_revisions table (every saved state of a dish, with who saved
+-- it, for history and rollback)
+CREATE TABLE IF NOT EXISTS dish_revisions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    dish_id UUID NOT NULL REFERENCES dishes(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    action revision_action NOT NULL,
+    snapshot JSONB NOT NULL,
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    restored_from INTEGER,
+    author_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (dish_id, revision)
+);
+
+ALTER TABLE dish_revisions ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
@@ -0,0 +1,6 @@
+-- Dish availability schedules. Only needed for databases created before
+-- schedules existed; new installs get everything from schema.sql.
+
+-- When an available dish can be ordered: { date_ranges, windows, blackouts }
+-- in RESTAURANT_TIMEZONE (see server/utils/availability.js). NULL means always.
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS availability_schedule JSONB;
\ No newline at end of file
@@ -0,0 +1,31 @@
+-- Chatbot conversation history. Only needed for databases created before
+-- chat sessions were stored; new installs get everything from schema.sql.
+
+CREATE TYPE chat_role AS ENUM ('user', 'assistant');
+
+-- Create chat_sessions table
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create chat_messages table (one row per conversation turn)
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role chat_role NOT NULL,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_last_message_at ON chat_sessions(last_message_at);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages(session_id, created_at);
+
+CREATE TRIGGER update_chat_sessions_updated_at BEFORE UPDATE ON chat_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE chat_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
\ No newline at end of file
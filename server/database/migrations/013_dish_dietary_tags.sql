@@ -0,0 +1,12 @@
+-- Allergen and diet tags on dishes. Only needed for databases created
+-- before dishes were tagged; new installs get everything from schema.sql.
+-- Afterwards, run `npm run dishes:tag` to infer allergens for existing
+-- dishes and set their diets by hand.
+
+-- Allergen tags (inferred from ingredients, see server/utils/dietary.js) and
+-- diet tags (always set by hand)
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS diets TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_dishes_allergens ON dishes USING GIN (allergens);
+CREATE INDEX IF NOT EXISTS idx_dishes_diets ON dishes USING GIN (diets);
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- Uploaded dish images. Only needed for databases created before image
+-- uploads existed; new installs get everything from schema.sql.
+
+-- Uploaded image renditions: { thumbnail, card, hero } each { url, key, width, height }.
+-- image_url points at the hero rendition; image_placeholder is a tiny blurred data URI.
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS image_renditions JSONB;
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS image_placeholder TEXT;
\ No newline at end of file
@@ -0,0 +1,223 @@
+-- Database-side text search. Only needed for databases created before
+-- search ran in the database; new installs get everything from schema.sql.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+
+-- Text search for dishes and contact messages, mirrored for the in-memory
+-- adapter by server/utils/search.js. Terms arrive already split into
+-- lowercase, unaccented words. Every term must match a word of some field
+-- exactly (1), as a prefix (0.8) or within a small typo (0.5); the best
+-- match times the field weight adds to the rank, and the rank gets a 1.5
+-- bonus when the whole query appears as a phrase.
+
+-- Lowercased, unaccented words of a text
+CREATE OR REPLACE FUNCTION search_words(content TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(word), '{}')
+    FROM regexp_split_to_table(lower(unaccent(COALESCE(content, ''))), '[[:space:][:punct:]’‘“”«»–—…•·€£°]+') AS word
+    WHERE word <> '';
+$$ LANGUAGE sql STABLE;
+
+-- How well a term matches the best of a list of words (0 when none do).
+-- Numbers never match by typo.
+CREATE OR REPLACE FUNCTION search_term_quality(term TEXT, words TEXT[])
+RETURNS NUMERIC AS $$
+    SELECT COALESCE(MAX(CASE
+        WHEN word = term THEN 1
+        WHEN length(term) >= 2 AND starts_with(word, term) THEN 0.8
+        WHEN term !~ '^[0-9]+$' AND length(term) >= 4
+            AND levenshtein_less_equal(term, word, CASE WHEN length(term) >= 8 THEN 2 ELSE 1 END)
+                <= CASE WHEN length(term) >= 8 THEN 2 ELSE 1 END THEN 0.5
+        ELSE 0
+    END), 0)
+    FROM unnest(words) AS word;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether the words of a text contain a phrase of normalized terms
+CREATE OR REPLACE FUNCTION search_has_phrase(content TEXT, phrase TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT strpos(array_to_string(search_words(content), ' '), phrase) > 0;
+$$ LANGUAGE sql STABLE;
+
+-- Whether a dish can be ordered at a local time in the restaurant timezone,
+-- the database twin of isAvailableAt in server/utils/availability.js:
+-- is_available must be set and the schedule, if any, must allow the time
+CREATE OR REPLACE FUNCTION dish_available_at(is_available BOOLEAN, schedule JSONB, local_time TIMESTAMP)
+RETURNS BOOLEAN AS $$
+    WITH local AS (
+        SELECT local_time::DATE AS day,
+               date_trunc('minute', local_time)::TIME AS minute,
+               lower(to_char(local_time, 'Dy')) AS weekday,
+               lower(to_char(local_time - INTERVAL '1 day', 'Dy')) AS yesterday
+    )
+    SELECT COALESCE(is_available, FALSE) AND (schedule IS NULL OR (
+        NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(COALESCE(schedule->'blackouts', '[]')) AS blackout, local
+            WHERE day BETWEEN (blackout->>'from')::DATE AND COALESCE(blackout->>'to', blackout->>'from')::DATE
+        )
+        AND (
+            jsonb_array_length(COALESCE(schedule->'date_ranges', '[]')) = 0
+            OR EXISTS (
+                SELECT 1 FROM jsonb_array_elements(schedule->'date_ranges') AS date_range, local
+                WHERE day BETWEEN (date_range->>'from')::DATE AND COALESCE(date_range->>'to', date_range->>'from')::DATE
+            )
+        )
+        AND (
+            jsonb_array_length(COALESCE(schedule->'windows', '[]')) = 0
+            OR EXISTS (
+                SELECT 1
+                FROM jsonb_array_elements(schedule->'windows') AS time_window, local
+                CROSS JOIN LATERAL (
+                    SELECT (time_window->>'start')::TIME AS starts,
+                           (time_window->>'end')::TIME AS ends,
+                           COALESCE(NULLIF(ARRAY(SELECT jsonb_array_elements_text(COALESCE(time_window->'days', '[]'))), '{}'),
+                                    ARRAY['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']) AS days
+                ) AS bounds
+                WHERE CASE
+                    WHEN starts < ends THEN weekday = ANY(days) AND minute >= starts AND minute < ends
+                    -- Overnight: the part after midnight belongs to the day it started on
+                    ELSE (weekday = ANY(days) AND minute >= starts) OR (yesterday = ANY(days) AND minute < ends)
+                END
+            )
+        )
+    ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Dishes matching every term and the listing filters, as
+-- { total, rows: [dish + category_name + search_rank] } for one page.
+-- filter_available keeps dishes that are (true) or are not (false)
+-- available now, reading schedules in restaurant_timezone.
+-- sort_column is relevance, price, title or created_at.
+CREATE OR REPLACE FUNCTION search_dishes(
+    search_terms TEXT[],
+    filter_category TEXT DEFAULT NULL,
+    filter_featured BOOLEAN DEFAULT NULL,
+    filter_available BOOLEAN DEFAULT NULL,
+    min_price NUMERIC DEFAULT NULL,
+    max_price NUMERIC DEFAULT NULL,
+    required_diets TEXT[] DEFAULT NULL,
+    excluded_allergens TEXT[] DEFAULT NULL,
+    sort_column TEXT DEFAULT 'relevance',
+    sort_ascending BOOLEAN DEFAULT FALSE,
+    result_limit INTEGER DEFAULT 50,
+    result_offset INTEGER DEFAULT 0,
+    restaurant_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS JSONB AS $$
+    WITH candidates AS (
+        SELECT d.*, c.name AS category_name
+        FROM dishes d
+        LEFT JOIN categories c ON c.id = d.category
+        WHERE d.deleted_at IS NULL
+          AND (filter_category IS NULL OR d.category = filter_category)
+          AND (filter_featured IS NULL OR d.is_featured = filter_featured)
+          AND (filter_available IS NULL
+               OR dish_available_at(d.is_available, d.availability_schedule, NOW() AT TIME ZONE restaurant_timezone) = filter_available)
+          AND (min_price IS NULL OR d.price >= min_price)
+          AND (max_price IS NULL OR d.price <= max_price)
+          AND (required_diets IS NULL OR d.diets @> required_diets)
+          AND (excluded_allergens IS NULL OR NOT d.allergens && excluded_allergens)
+    ),
+    scored AS (
+        SELECT candidates.*, round(scores.total * CASE
+            WHEN cardinality(search_terms) > 1 AND (
+                search_has_phrase(title, array_to_string(search_terms, ' '))
+                OR search_has_phrase(category, array_to_string(search_terms, ' '))
+                OR search_has_phrase(category_name, array_to_string(search_terms, ' '))
+                OR EXISTS (SELECT 1 FROM unnest(ingredients) AS ingredient
+                           WHERE search_has_phrase(ingredient, array_to_string(search_terms, ' ')))
+                OR search_has_phrase(description, array_to_string(search_terms, ' '))
+            ) THEN 1.5 ELSE 1 END, 3) AS search_rank
+        FROM candidates
+        CROSS JOIN LATERAL (
+            SELECT bool_and(best > 0) AS matched, SUM(best) AS total
+            FROM (
+                SELECT GREATEST(
+                    4 * search_term_quality(term, search_words(title)),
+                    3 * search_term_quality(term, search_words(category) || search_words(category_name)),
+                    2 * search_term_quality(term, search_words(array_to_string(ingredients, ' '))),
+                    1 * search_term_quality(term, search_words(description))
+                ) AS best
+                FROM unnest(search_terms) AS term
+            ) AS term_scores
+        ) AS scores
+        WHERE scores.matched
+    ),
+    page AS (
+        SELECT scored.*, row_number() OVER () AS position
+        FROM (
+            SELECT * FROM scored
+            ORDER BY
+                CASE WHEN sort_column = 'price' AND sort_ascending THEN price END ASC NULLS LAST,
+                CASE WHEN sort_column = 'price' AND NOT sort_ascending THEN price END DESC NULLS LAST,
+                CASE WHEN sort_column = 'title' AND sort_ascending THEN title END ASC NULLS LAST,
+                CASE WHEN sort_column = 'title' AND NOT sort_ascending THEN title END DESC NULLS LAST,
+                CASE WHEN sort_column = 'created_at' AND sort_ascending THEN created_at END ASC NULLS LAST,
+                CASE WHEN sort_column = 'created_at' AND NOT sort_ascending THEN created_at END DESC NULLS LAST,
+                search_rank DESC,
+                id
+            LIMIT result_limit OFFSET result_offset
+        ) AS scored
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM scored),
+        'rows', COALESCE((SELECT jsonb_agg(to_jsonb(page) - 'position' ORDER BY position) FROM page), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Contact messages matching every term, as { total, rows } for one page,
+-- best matches first. Spam is only searched with filter_status 'spam'.
+-- Phone numbers also match digits typed without separators.
+CREATE OR REPLACE FUNCTION search_contact_messages(
+    search_terms TEXT[],
+    filter_status TEXT DEFAULT NULL,
+    result_limit INTEGER DEFAULT 50,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+    WITH scored AS (
+        SELECT m.*, round(scores.total * CASE
+            WHEN cardinality(search_terms) > 1 AND (
+                search_has_phrase(name, array_to_string(search_terms, ' '))
+                OR search_has_phrase(email, array_to_string(search_terms, ' '))
+                OR search_has_phrase(phone, array_to_string(search_terms, ' '))
+                OR search_has_phrase(event_type, array_to_string(search_terms, ' '))
+                OR search_has_phrase(message, array_to_string(search_terms, ' '))
+            ) THEN 1.5 ELSE 1 END, 3) AS search_rank
+        FROM contact_messages m
+        CROSS JOIN LATERAL (
+            SELECT bool_and(best > 0) AS matched, SUM(best) AS total
+            FROM (
+                SELECT GREATEST(
+                    3 * search_term_quality(term, search_words(m.name)),
+                    3 * search_term_quality(term, search_words(m.email)),
+                    3 * search_term_quality(term, search_words(m.phone)),
+                    CASE WHEN term ~ '^[0-9]{4,}$'
+                         AND strpos(regexp_replace(COALESCE(m.phone, ''), '[^0-9]', '', 'g'), term) > 0 THEN 3 ELSE 0 END,
+                    1 * search_term_quality(term, search_words(m.event_type)),
+                    1 * search_term_quality(term, search_words(m.message))
+                ) AS best
+                FROM unnest(search_terms) AS term
+            ) AS term_scores
+        ) AS scores
+        WHERE m.deleted_at IS NULL
+          AND (m.status::TEXT = filter_status OR (filter_status IS NULL AND m.status <> 'spam'))
+          AND scores.matched
+    ),
+    page AS (
+        SELECT scored.*, row_number() OVER () AS position
+        FROM (
+            SELECT * FROM scored
+            ORDER BY search_rank DESC, created_at DESC, id
+            LIMIT result_limit OFFSET result_offset
+        ) AS scored
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM scored),
+        'rows', COALESCE((SELECT jsonb_agg(to_jsonb(page) - 'position' ORDER BY position) FROM page), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Messages are for admins only; the server calls this with the service role
+REVOKE EXECUTE ON FUNCTION search_contact_messages(TEXT[], TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
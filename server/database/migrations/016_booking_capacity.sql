@@ -0,0 +1,129 @@
+-- Booking capacity enforced in the database. Only needed for databases
+-- created before it; new installs get everything from schema.sql.
+-- Creating the unique index fails while an inquiry has two confirmed
+-- bookings; cancel the extra ones first. To list them:
+--   SELECT contact_message_id FROM bookings WHERE status = 'confirmed'
+--   GROUP BY contact_message_id HAVING count(*) > 1;
+
+-- An inquiry has at most one confirmed booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_contact_confirmed ON bookings(contact_message_id) WHERE status = 'confirmed';
+
+-- Booking writes that must not overbook a day. Each takes an advisory lock
+-- on the event date, so concurrent bookings for the same date run one at a
+-- time, then checks blackout dates and the daily guest capacity (the
+-- booking_daily_capacity setting, or default_capacity when unset) before
+-- writing. Both return { booking, availability }: booking is null when the
+-- date could not take the guests, and availability describes the date like
+-- GET /api/bookings/availability does.
+
+-- Availability of one date, leaving out the booking exclude_id
+CREATE OR REPLACE FUNCTION booking_day_availability(day DATE, default_capacity INTEGER, exclude_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+    WITH capacity AS (
+        SELECT COALESCE(
+            (SELECT (value #>> '{}')::INTEGER FROM settings WHERE id = 'booking_daily_capacity'),
+            default_capacity
+        ) AS guests
+    ),
+    booked AS (
+        SELECT COALESCE(SUM(guests), 0)::INTEGER AS guests
+        FROM bookings
+        WHERE event_date = day AND status = 'confirmed' AND id IS DISTINCT FROM exclude_id
+    ),
+    blackout AS (
+        SELECT reason FROM blackout_dates WHERE date = day
+    )
+    SELECT jsonb_build_object(
+        'date', day,
+        'status', CASE
+            WHEN EXISTS (SELECT 1 FROM blackout) THEN 'blackout'
+            WHEN capacity.guests > booked.guests THEN 'open'
+            ELSE 'full'
+        END,
+        'capacity', capacity.guests,
+        'booked_guests', booked.guests,
+        'remaining_guests', CASE
+            WHEN EXISTS (SELECT 1 FROM blackout) THEN 0
+            ELSE GREATEST(capacity.guests - booked.guests, 0)
+        END,
+        'reason', (SELECT reason FROM blackout)
+    )
+    FROM capacity, booked;
+$$ LANGUAGE sql STABLE;
+
+-- Whether a date's availability can take a number of guests
+CREATE OR REPLACE FUNCTION booking_fits(availability JSONB, guest_count INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT availability->>'status' <> 'blackout' AND guest_count <= (availability->>'remaining_guests')::INTEGER;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Confirm a booking. booking holds the new row's columns. A second
+-- confirmed booking for the same inquiry fails with a unique violation.
+CREATE OR REPLACE FUNCTION create_booking(booking JSONB, default_capacity INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    event_day DATE := (booking->>'event_date')::DATE;
+    availability JSONB;
+    created bookings;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('bookings:' || event_day));
+
+    availability := booking_day_availability(event_day, default_capacity);
+    IF NOT booking_fits(availability, (booking->>'guests')::INTEGER) THEN
+        RETURN jsonb_build_object('booking', NULL, 'availability', availability);
+    END IF;
+
+    INSERT INTO bookings (contact_message_id, event_date, guests, event_type, customer_name, customer_email, notes, created_by)
+    SELECT contact_message_id, event_date, guests, event_type, customer_name, customer_email, notes, created_by
+    FROM jsonb_populate_record(NULL::bookings, booking)
+    RETURNING * INTO created;
+
+    RETURN jsonb_build_object('booking', to_jsonb(created), 'availability', availability);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Change a confirmed booking. changes holds only the columns to change
+-- (event_date, guests, event_type, notes). Capacity is only checked when
+-- the booking moves or grows. booking and availability are both null when
+-- the booking is not confirmed.
+CREATE OR REPLACE FUNCTION update_booking(booking_id UUID, changes JSONB, default_capacity INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    current bookings;
+    event_day DATE;
+    guest_count INTEGER;
+    availability JSONB := NULL;
+    updated bookings;
+BEGIN
+    SELECT * INTO current FROM bookings WHERE id = booking_id AND status = 'confirmed' FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('booking', NULL, 'availability', NULL);
+    END IF;
+
+    event_day := COALESCE((changes->>'event_date')::DATE, current.event_date);
+    guest_count := COALESCE((changes->>'guests')::INTEGER, current.guests);
+
+    IF event_day <> current.event_date OR guest_count > current.guests THEN
+        PERFORM pg_advisory_xact_lock(hashtext('bookings:' || event_day));
+
+        availability := booking_day_availability(event_day, default_capacity, booking_id);
+        IF NOT booking_fits(availability, guest_count) THEN
+            RETURN jsonb_build_object('booking', NULL, 'availability', availability);
+        END IF;
+    END IF;
+
+    UPDATE bookings SET
+        event_date = event_day,
+        guests = guest_count,
+        event_type = CASE WHEN changes ? 'event_type' THEN changes->>'event_type' ELSE event_type END,
+        notes = CASE WHEN changes ? 'notes' THEN changes->>'notes' ELSE notes END
+    WHERE id = booking_id
+    RETURNING * INTO updated;
+
+    RETURN jsonb_build_object('booking', to_jsonb(updated), 'availability', availability);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Bookings are for admins only; the server calls these with the service role
+REVOKE EXECUTE ON FUNCTION create_booking(JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_booking(UUID, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
@@ -0,0 +1,38 @@
+-- Response time statistics computed in the database. Only needed for
+-- databases created before it; new installs get everything from schema.sql.
+
+-- Response times of messages received since a time, for
+-- GET /api/contact/stats. Spam and deleted messages are left out. Each
+-- measure is { count, average_hours, median_hours } over the messages that
+-- reached both of its timestamps.
+CREATE OR REPLACE FUNCTION contact_response_times(since TIMESTAMP WITH TIME ZONE)
+RETURNS JSONB AS $$
+    WITH durations AS (
+        SELECT measure, EXTRACT(EPOCH FROM finished - started)::NUMERIC / 3600 AS hours
+        FROM contact_messages
+        CROSS JOIN LATERAL (VALUES
+            ('new_to_in_progress', created_at, in_progress_at),
+            ('in_progress_to_completed', in_progress_at, completed_at),
+            ('new_to_completed', created_at, completed_at)
+        ) AS measures(measure, started, finished)
+        WHERE created_at >= since
+          AND deleted_at IS NULL
+          AND status <> 'spam'
+          AND started IS NOT NULL
+          AND finished IS NOT NULL
+    )
+    SELECT jsonb_object_agg(measure, summary)
+    FROM (
+        SELECT measures.measure, jsonb_build_object(
+            'count', count(hours),
+            'average_hours', round(avg(hours), 2),
+            'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours))::NUMERIC, 2)
+        ) AS summary
+        FROM (VALUES ('new_to_in_progress'), ('in_progress_to_completed'), ('new_to_completed')) AS measures(measure)
+        LEFT JOIN durations USING (measure)
+        GROUP BY measures.measure
+    ) AS summaries;
+$$ LANGUAGE sql STABLE;
+
+-- Messages are for admins only; the server calls this with the service role
+REVOKE EXECUTE ON FUNCTION contact_response_times(TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
@@ -0,0 +1,46 @@
+-- Chat exchanges stored in one database call. Only needed for databases
+-- created before it; new installs get everything from schema.sql.
+
+-- Store one chat exchange: the user message, taken at received_at when the
+-- request arrived, and the assistant reply. A new session (is_new) is only
+-- created here, once the reply exists, so failed requests leave nothing
+-- behind. The message count is kept in the database so concurrent turns on
+-- one session do not overwrite each other. Returns the session row, or null
+-- when an existing session has since been deleted.
+CREATE OR REPLACE FUNCTION add_chat_exchange(
+    chat_session_id UUID,
+    is_new BOOLEAN,
+    user_message TEXT,
+    assistant_message TEXT,
+    received_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS JSONB AS $$
+DECLARE
+    replied_at TIMESTAMP WITH TIME ZONE := GREATEST(NOW(), received_at + INTERVAL '1 millisecond');
+    session chat_sessions;
+BEGIN
+    IF is_new THEN
+        INSERT INTO chat_sessions (id, message_count, last_message_at, created_at)
+        VALUES (chat_session_id, 2, replied_at, received_at)
+        RETURNING * INTO session;
+    ELSE
+        UPDATE chat_sessions SET
+            message_count = message_count + 2,
+            last_message_at = GREATEST(last_message_at, replied_at)
+        WHERE id = chat_session_id
+        RETURNING * INTO session;
+
+        IF NOT FOUND THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    INSERT INTO chat_messages (session_id, role, content, created_at) VALUES
+        (chat_session_id, 'user', user_message, received_at),
+        (chat_session_id, 'assistant', assistant_message, replied_at);
+
+    RETURN to_jsonb(session);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION add_chat_exchange(UUID, BOOLEAN, TEXT, TEXT, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
@@ -0,0 +1,64 @@
+-- Dish imports saved in one transaction. Only needed for databases created
+-- before it; new installs get everything from schema.sql.
+
+-- Save a bulk dish import in one transaction, so either every dish is
+-- created and updated or, when any write fails, none is. changes holds
+-- creates (new dish rows) and updates ({ id, changes } with only the
+-- columns to change). An update of a dish deleted since the import was
+-- planned fails the whole import. Returns { created, updated }, the saved
+-- rows in the order given.
+CREATE OR REPLACE FUNCTION import_dishes(changes JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    dish JSONB;
+    current dishes;
+    saved dishes;
+    created JSONB := '[]'::JSONB;
+    updated JSONB := '[]'::JSONB;
+BEGIN
+    FOR dish IN SELECT * FROM jsonb_array_elements(COALESCE(changes->'creates', '[]'::JSONB)) LOOP
+        INSERT INTO dishes (title, description, category, image_url, price, ingredients, allergens, diets,
+            is_featured, is_available, availability_schedule, external_key)
+        SELECT title, description, category, image_url, price, ingredients, allergens, diets,
+            is_featured, is_available, availability_schedule, external_key
+        FROM jsonb_populate_record(NULL::dishes, dish)
+        RETURNING * INTO saved;
+
+        created := created || to_jsonb(saved);
+    END LOOP;
+
+    FOR dish IN SELECT * FROM jsonb_array_elements(COALESCE(changes->'updates', '[]'::JSONB)) LOOP
+        SELECT * INTO current FROM dishes WHERE id = (dish->>'id')::UUID AND deleted_at IS NULL FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Dish % was deleted during the import', dish->>'id' USING ERRCODE = 'P0002';
+        END IF;
+
+        current := jsonb_populate_record(current, dish->'changes');
+
+        UPDATE dishes SET
+            title = current.title,
+            description = current.description,
+            category = current.category,
+            image_url = current.image_url,
+            price = current.price,
+            ingredients = current.ingredients,
+            allergens = current.allergens,
+            diets = current.diets,
+            is_featured = current.is_featured,
+            is_available = current.is_available,
+            availability_schedule = current.availability_schedule,
+            external_key = current.external_key,
+            image_renditions = current.image_renditions,
+            image_placeholder = current.image_placeholder
+        WHERE id = current.id
+        RETURNING * INTO saved;
+
+        updated := updated || to_jsonb(saved);
+    END LOOP;
+
+    RETURN jsonb_build_object('created', created, 'updated', updated);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Imports are for admins only; the server calls this with the service role
+REVOKE EXECUTE ON FUNCTION import_dishes(JSONB) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
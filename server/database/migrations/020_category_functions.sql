@@ -0,0 +1,50 @@
+-- Category reorder and delete in one transaction each. Only needed for
+-- databases created before them; new installs get everything from schema.sql.
+
+-- Category writes that touch several rows, each in one transaction.
+
+-- Set sort_order from a list of category ids (first id is shown first)
+CREATE OR REPLACE FUNCTION reorder_categories(category_ids TEXT[])
+RETURNS VOID AS $$
+    UPDATE categories SET sort_order = ordered.position
+    FROM unnest(category_ids) WITH ORDINALITY AS ordered(id, position)
+    WHERE categories.id = ordered.id;
+$$ LANGUAGE sql;
+
+-- Delete a category, first moving its dishes (including those in the
+-- trash) to reassign_to when given. Fails with a foreign key violation,
+-- moving nothing, while dishes still use the category. Returns the moved
+-- dishes as [{ dish, previous }], or null when the category does not exist.
+CREATE OR REPLACE FUNCTION delete_category(category_id TEXT, reassign_to TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    moved JSONB := '[]'::JSONB;
+BEGIN
+    IF reassign_to IS NOT NULL THEN
+        WITH previous AS (
+            SELECT * FROM dishes WHERE category = category_id FOR UPDATE
+        ),
+        updated AS (
+            UPDATE dishes SET category = reassign_to
+            FROM previous
+            WHERE dishes.id = previous.id
+            RETURNING to_jsonb(dishes) AS dish, to_jsonb(previous) AS previous
+        )
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('dish', dish, 'previous', previous)), '[]'::JSONB)
+        INTO moved
+        FROM updated;
+    END IF;
+
+    DELETE FROM categories WHERE id = category_id;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN moved;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Categories are managed by admins only; the server calls these with the
+-- service role
+REVOKE EXECUTE ON FUNCTION reorder_categories(TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION delete_category(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
\ No newline at end of file
@@ -4,16 +4,37 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
--- Create categories enum
-CREATE TYPE dish_category AS ENUM ('appetizers', 'mains', 'desserts', 'drinks', 'specials');
-CREATE TYPE contact_status AS ENUM ('new', 'in_progress', 'completed', 'archived');
+-- Enable text search extensions (accent-insensitive words and typo distance)
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+
+-- Create enums
+CREATE TYPE contact_status AS ENUM ('new', 'in_progress', 'completed', 'archived', 'spam');
+CREATE TYPE admin_role AS ENUM ('admin', 'editor', 'inbox_manager');
+CREATE TYPE chat_role AS ENUM ('user', 'assistant');
+CREATE TYPE email_status AS ENUM ('pending', 'sending', 'sent', 'failed');
+CREATE TYPE booking_status AS ENUM ('confirmed', 'cancelled');
+CREATE TYPE quote_status AS ENUM ('draft', 'sent', 'accepted', 'declined');
+CREATE TYPE activity_type AS ENUM ('status_change', 'note', 'reply', 'assignment');
+CREATE TYPE revision_action AS ENUM ('baseline', 'create', 'update', 'import', 'rollback');
+
+-- Create categories table (id is the slug used in URLs and filters, e.g. 'mains')
+CREATE TABLE IF NOT EXISTS categories (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    image_url TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
 
 -- Create dishes table
 CREATE TABLE IF NOT EXISTS dishes (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     title VARCHAR(255) NOT NULL,
     description TEXT,
-    category dish_category NOT NULL DEFAULT 'mains',
+    category VARCHAR(50) NOT NULL DEFAULT 'mains' REFERENCES categories(id) ON DELETE RESTRICT,
     image_url TEXT,
     price DECIMAL(10, 2),
     ingredients TEXT[], -- Array of ingredients
@@ -23,6 +44,26 @@ CREATE TABLE IF NOT EXISTS dishes (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Allergen tags (inferred from ingredients, see server/utils/dietary.js) and
+-- diet tags (always set by hand)
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS diets TEXT[] NOT NULL DEFAULT '{}';
+
+-- Uploaded image renditions: { thumbnail, card, hero } each { url, key, width, height }.
+-- image_url points at the hero rendition; image_placeholder is a tiny blurred data URI.
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS image_renditions JSONB;
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS image_placeholder TEXT;
+
+-- Stable id from an outside system (e.g. the POS), used to match bulk imports
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS external_key VARCHAR(100) UNIQUE;
+
+-- Set when a dish is moved to the trash; purged after TRASH_RETENTION_DAYS
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- When an available dish can be ordered: { date_ranges, windows, blackouts }
+-- in RESTAURANT_TIMEZONE (see server/utils/availability.js). NULL means always.
+ALTER TABLE dishes ADD COLUMN IF NOT EXISTS availability_schedule JSONB;
+
 -- Create contact_messages table
 CREATE TABLE IF NOT EXISTS contact_messages (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -38,15 +79,196 @@ CREATE TABLE IF NOT EXISTS contact_messages (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Spam check results (see server/utils/spam.js). Flagged messages get status 'spam'.
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS spam_score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS spam_reasons TEXT[] NOT NULL DEFAULT '{}';
+
+-- When a message first reached in_progress and completed (response-time metrics)
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS in_progress_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+-- Set when a message is moved to the trash; purged after TRASH_RETENTION_DAYS
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Create settings table (admin-adjustable values, e.g. the spam threshold)
+CREATE TABLE IF NOT EXISTS settings (
+    id VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create admin_users table
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    password_hash TEXT NOT NULL,
+    role admin_role NOT NULL DEFAULT 'editor',
+    is_active BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Teammate handling an inquiry
+ALTER TABLE contact_messages ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES admin_users(id) ON DELETE SET NULL;
+
+-- Create chat_sessions table
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create chat_messages table (one row per conversation turn)
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES chat_sessions(id) ON DELETE CASCADE,
+    role chat_role NOT NULL,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create email_outbox table (every notification email; failed sends are retried)
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    template VARCHAR(50) NOT NULL,
+    recipient TEXT NOT NULL,
+    reply_to TEXT,
+    subject TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT,
+    contact_message_id UUID REFERENCES contact_messages(id) ON DELETE SET NULL,
+    status email_status NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    provider_message_id TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create message_activities table (timeline of a contact message: status
+-- changes, internal notes, replies to the customer and assignments)
+CREATE TABLE IF NOT EXISTS message_activities (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contact_message_id UUID NOT NULL REFERENCES contact_messages(id) ON DELETE CASCADE,
+    type activity_type NOT NULL,
+    body TEXT,
+    from_status contact_status,
+    to_status contact_status,
+    reason TEXT,
+    assigned_to UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    email_id UUID REFERENCES email_outbox(id) ON DELETE SET NULL,
+    actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create dish_revisions table (every saved state of a dish, with who saved
+-- it, for history and rollback)
+CREATE TABLE IF NOT EXISTS dish_revisions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    dish_id UUID NOT NULL REFERENCES dishes(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    action revision_action NOT NULL,
+    snapshot JSONB NOT NULL,
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    restored_from INTEGER,
+    author_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (dish_id, revision)
+);
+
+-- Create bookings table (confirmed events, usually converted from an inquiry)
+CREATE TABLE IF NOT EXISTS bookings (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contact_message_id UUID REFERENCES contact_messages(id) ON DELETE SET NULL,
+    event_date DATE NOT NULL,
+    guests INTEGER NOT NULL,
+    event_type VARCHAR(100),
+    customer_name VARCHAR(255) NOT NULL,
+    customer_email VARCHAR(255) NOT NULL,
+    notes TEXT,
+    status booking_status NOT NULL DEFAULT 'confirmed',
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create blackout_dates table (days no events can be booked)
+CREATE TABLE IF NOT EXISTS blackout_dates (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    date DATE NOT NULL UNIQUE,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create quotes table (catering quotes for an inquiry; each revision is a new version)
+-- items is a snapshot of the quoted dishes:
+--   [{ dish_id, title, unit_price, quantity_per_guest, quantity, line_total }]
+CREATE TABLE IF NOT EXISTS quotes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    contact_message_id UUID NOT NULL REFERENCES contact_messages(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status quote_status NOT NULL DEFAULT 'draft',
+    guests INTEGER NOT NULL,
+    items JSONB NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+    service_fee_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    flat_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    subtotal DECIMAL(12, 2) NOT NULL,
+    service_fee DECIMAL(12, 2) NOT NULL,
+    tax DECIMAL(12, 2) NOT NULL,
+    total DECIMAL(12, 2) NOT NULL,
+    notes TEXT,
+    valid_until DATE,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (contact_message_id, version)
+);
+
 -- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_categories_sort_order ON categories(sort_order);
+
 CREATE INDEX IF NOT EXISTS idx_dishes_category ON dishes(category);
 CREATE INDEX IF NOT EXISTS idx_dishes_featured ON dishes(is_featured);
 CREATE INDEX IF NOT EXISTS idx_dishes_available ON dishes(is_available);
 CREATE INDEX IF NOT EXISTS idx_dishes_created_at ON dishes(created_at);
+CREATE INDEX IF NOT EXISTS idx_dishes_allergens ON dishes USING GIN (allergens);
+CREATE INDEX IF NOT EXISTS idx_dishes_diets ON dishes USING GIN (diets);
+CREATE INDEX IF NOT EXISTS idx_dishes_deleted_at ON dishes(deleted_at) WHERE deleted_at IS NOT NULL;
 
 CREATE INDEX IF NOT EXISTS idx_contact_status ON contact_messages(status);
 CREATE INDEX IF NOT EXISTS idx_contact_email ON contact_messages(email);
 CREATE INDEX IF NOT EXISTS idx_contact_created_at ON contact_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_email_created_at ON contact_messages(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_assigned_to ON contact_messages(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_contact_deleted_at ON contact_messages(deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_message_activities_message ON message_activities(contact_message_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users(email);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_last_message_at ON chat_sessions(last_message_at);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages(session_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_bookings_event_date ON bookings(event_date, status);
+CREATE INDEX IF NOT EXISTS idx_bookings_contact ON bookings(contact_message_id);
+-- An inquiry has at most one confirmed booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_contact_confirmed ON bookings(contact_message_id) WHERE status = 'confirmed';
+
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_contact ON email_outbox(contact_message_id);
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -58,37 +280,606 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers for updated_at
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_dishes_updated_at BEFORE UPDATE ON dishes
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_contact_messages_updated_at BEFORE UPDATE ON contact_messages
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_bookings_updated_at BEFORE UPDATE ON bookings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_quotes_updated_at BEFORE UPDATE ON quotes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_chat_sessions_updated_at BEFORE UPDATE ON chat_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Text search for dishes and contact messages, mirrored for the in-memory
+-- adapter by server/utils/search.js. Terms arrive already split into
+-- lowercase, unaccented words. Every term must match a word of some field
+-- exactly (1), as a prefix (0.8) or within a small typo (0.5); the best
+-- match times the field weight adds to the rank, and the rank gets a 1.5
+-- bonus when the whole query appears as a phrase.
+
+-- Lowercased, unaccented words of a text
+CREATE OR REPLACE FUNCTION search_words(content TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(word), '{}')
+    FROM regexp_split_to_table(lower(unaccent(COALESCE(content, ''))), '[[:space:][:punct:]’‘“”«»–—…•·€£°]+') AS word
+    WHERE word <> '';
+$$ LANGUAGE sql STABLE;
+
+-- How well a term matches the best of a list of words (0 when none do).
+-- Numbers never match by typo.
+CREATE OR REPLACE FUNCTION search_term_quality(term TEXT, words TEXT[])
+RETURNS NUMERIC AS $$
+    SELECT COALESCE(MAX(CASE
+        WHEN word = term THEN 1
+        WHEN length(term) >= 2 AND starts_with(word, term) THEN 0.8
+        WHEN term !~ '^[0-9]+$' AND length(term) >= 4
+            AND levenshtein_less_equal(term, word, CASE WHEN length(term) >= 8 THEN 2 ELSE 1 END)
+                <= CASE WHEN length(term) >= 8 THEN 2 ELSE 1 END THEN 0.5
+        ELSE 0
+    END), 0)
+    FROM unnest(words) AS word;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether the words of a text contain a phrase of normalized terms
+CREATE OR REPLACE FUNCTION search_has_phrase(content TEXT, phrase TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT strpos(array_to_string(search_words(content), ' '), phrase) > 0;
+$$ LANGUAGE sql STABLE;
+
+-- Whether a dish can be ordered at a local time in the restaurant timezone,
+-- the database twin of isAvailableAt in server/utils/availability.js:
+-- is_available must be set and the schedule, if any, must allow the time
+CREATE OR REPLACE FUNCTION dish_available_at(is_available BOOLEAN, schedule JSONB, local_time TIMESTAMP)
+RETURNS BOOLEAN AS $$
+    WITH local AS (
+        SELECT local_time::DATE AS day,
+               date_trunc('minute', local_time)::TIME AS minute,
+               lower(to_char(local_time, 'Dy')) AS weekday,
+               lower(to_char(local_time - INTERVAL '1 day', 'Dy')) AS yesterday
+    )
+    SELECT COALESCE(is_available, FALSE) AND (schedule IS NULL OR (
+        NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(COALESCE(schedule->'blackouts', '[]')) AS blackout, local
+            WHERE day BETWEEN (blackout->>'from')::DATE AND COALESCE(blackout->>'to', blackout->>'from')::DATE
+        )
+        AND (
+            jsonb_array_length(COALESCE(schedule->'date_ranges', '[]')) = 0
+            OR EXISTS (
+                SELECT 1 FROM jsonb_array_elements(schedule->'date_ranges') AS date_range, local
+                WHERE day BETWEEN (date_range->>'from')::DATE AND COALESCE(date_range->>'to', date_range->>'from')::DATE
+            )
+        )
+        AND (
+            jsonb_array_length(COALESCE(schedule->'windows', '[]')) = 0
+            OR EXISTS (
+                SELECT 1
+                FROM jsonb_array_elements(schedule->'windows') AS time_window, local
+                CROSS JOIN LATERAL (
+                    SELECT (time_window->>'start')::TIME AS starts,
+                           (time_window->>'end')::TIME AS ends,
+                           COALESCE(NULLIF(ARRAY(SELECT jsonb_array_elements_text(COALESCE(time_window->'days', '[]'))), '{}'),
+                                    ARRAY['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']) AS days
+                ) AS bounds
+                WHERE CASE
+                    WHEN starts < ends THEN weekday = ANY(days) AND minute >= starts AND minute < ends
+                    -- Overnight: the part after midnight belongs to the day it started on
+                    ELSE (weekday = ANY(days) AND minute >= starts) OR (yesterday = ANY(days) AND minute < ends)
+                END
+            )
+        )
+    ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Dishes matching every term and the listing filters, as
+-- { total, rows: [dish + category_name + search_rank] } for one page.
+-- filter_available keeps dishes that are (true) or are not (false)
+-- available now, reading schedules in restaurant_timezone.
+-- sort_column is relevance, price, title or created_at.
+CREATE OR REPLACE FUNCTION search_dishes(
+    search_terms TEXT[],
+    filter_category TEXT DEFAULT NULL,
+    filter_featured BOOLEAN DEFAULT NULL,
+    filter_available BOOLEAN DEFAULT NULL,
+    min_price NUMERIC DEFAULT NULL,
+    max_price NUMERIC DEFAULT NULL,
+    required_diets TEXT[] DEFAULT NULL,
+    excluded_allergens TEXT[] DEFAULT NULL,
+    sort_column TEXT DEFAULT 'relevance',
+    sort_ascending BOOLEAN DEFAULT FALSE,
+    result_limit INTEGER DEFAULT 50,
+    result_offset INTEGER DEFAULT 0,
+    restaurant_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS JSONB AS $$
+    WITH candidates AS (
+        SELECT d.*, c.name AS category_name
+        FROM dishes d
+        LEFT JOIN categories c ON c.id = d.category
+        WHERE d.deleted_at IS NULL
+          AND (filter_category IS NULL OR d.category = filter_category)
+          AND (filter_featured IS NULL OR d.is_featured = filter_featured)
+          AND (filter_available IS NULL
+               OR dish_available_at(d.is_available, d.availability_schedule, NOW() AT TIME ZONE restaurant_timezone) = filter_available)
+          AND (min_price IS NULL OR d.price >= min_price)
+          AND (max_price IS NULL OR d.price <= max_price)
+          AND (required_diets IS NULL OR d.diets @> required_diets)
+          AND (excluded_allergens IS NULL OR NOT d.allergens && excluded_allergens)
+    ),
+    scored AS (
+        SELECT candidates.*, round(scores.total * CASE
+            WHEN cardinality(search_terms) > 1 AND (
+                search_has_phrase(title, array_to_string(search_terms, ' '))
+                OR search_has_phrase(category, array_to_string(search_terms, ' '))
+                OR search_has_phrase(category_name, array_to_string(search_terms, ' '))
+                OR EXISTS (SELECT 1 FROM unnest(ingredients) AS ingredient
+                           WHERE search_has_phrase(ingredient, array_to_string(search_terms, ' ')))
+                OR search_has_phrase(description, array_to_string(search_terms, ' '))
+            ) THEN 1.5 ELSE 1 END, 3) AS search_rank
+        FROM candidates
+        CROSS JOIN LATERAL (
+            SELECT bool_and(best > 0) AS matched, SUM(best) AS total
+            FROM (
+                SELECT GREATEST(
+                    4 * search_term_quality(term, search_words(title)),
+                    3 * search_term_quality(term, search_words(category) || search_words(category_name)),
+                    2 * search_term_quality(term, search_words(array_to_string(ingredients, ' '))),
+                    1 * search_term_quality(term, search_words(description))
+                ) AS best
+                FROM unnest(search_terms) AS term
+            ) AS term_scores
+        ) AS scores
+        WHERE scores.matched
+    ),
+    page AS (
+        SELECT scored.*, row_number() OVER () AS position
+        FROM (
+            SELECT * FROM scored
+            ORDER BY
+                CASE WHEN sort_column = 'price' AND sort_ascending THEN price END ASC NULLS LAST,
+                CASE WHEN sort_column = 'price' AND NOT sort_ascending THEN price END DESC NULLS LAST,
+                CASE WHEN sort_column = 'title' AND sort_ascending THEN title END ASC NULLS LAST,
+                CASE WHEN sort_column = 'title' AND NOT sort_ascending THEN title END DESC NULLS LAST,
+                CASE WHEN sort_column = 'created_at' AND sort_ascending THEN created_at END ASC NULLS LAST,
+                CASE WHEN sort_column = 'created_at' AND NOT sort_ascending THEN created_at END DESC NULLS LAST,
+                search_rank DESC,
+                id
+            LIMIT result_limit OFFSET result_offset
+        ) AS scored
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM scored),
+        'rows', COALESCE((SELECT jsonb_agg(to_jsonb(page) - 'position' ORDER BY position) FROM page), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Contact messages matching every term, as { total, rows } for one page,
+-- best matches first. Spam is only searched with filter_status 'spam'.
+-- Phone numbers also match digits typed without separators.
+CREATE OR REPLACE FUNCTION search_contact_messages(
+    search_terms TEXT[],
+    filter_status TEXT DEFAULT NULL,
+    result_limit INTEGER DEFAULT 50,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+    WITH scored AS (
+        SELECT m.*, round(scores.total * CASE
+            WHEN cardinality(search_terms) > 1 AND (
+                search_has_phrase(name, array_to_string(search_terms, ' '))
+                OR search_has_phrase(email, array_to_string(search_terms, ' '))
+                OR search_has_phrase(phone, array_to_string(search_terms, ' '))
+                OR search_has_phrase(event_type, array_to_string(search_terms, ' '))
+                OR search_has_phrase(message, array_to_string(search_terms, ' '))
+            ) THEN 1.5 ELSE 1 END, 3) AS search_rank
+        FROM contact_messages m
+        CROSS JOIN LATERAL (
+            SELECT bool_and(best > 0) AS matched, SUM(best) AS total
+            FROM (
+                SELECT GREATEST(
+                    3 * search_term_quality(term, search_words(m.name)),
+                    3 * search_term_quality(term, search_words(m.email)),
+                    3 * search_term_quality(term, search_words(m.phone)),
+                    CASE WHEN term ~ '^[0-9]{4,}$'
+                         AND strpos(regexp_replace(COALESCE(m.phone, ''), '[^0-9]', '', 'g'), term) > 0 THEN 3 ELSE 0 END,
+                    1 * search_term_quality(term, search_words(m.event_type)),
+                    1 * search_term_quality(term, search_words(m.message))
+                ) AS best
+                FROM unnest(search_terms) AS term
+            ) AS term_scores
+        ) AS scores
+        WHERE m.deleted_at IS NULL
+          AND (m.status::TEXT = filter_status OR (filter_status IS NULL AND m.status <> 'spam'))
+          AND scores.matched
+    ),
+    page AS (
+        SELECT scored.*, row_number() OVER () AS position
+        FROM (
+            SELECT * FROM scored
+            ORDER BY search_rank DESC, created_at DESC, id
+            LIMIT result_limit OFFSET result_offset
+        ) AS scored
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM scored),
+        'rows', COALESCE((SELECT jsonb_agg(to_jsonb(page) - 'position' ORDER BY position) FROM page), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Messages are for admins only; the server calls this with the service role
+REVOKE EXECUTE ON FUNCTION search_contact_messages(TEXT[], TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Response times of messages received since a time, for
+-- GET /api/contact/stats. Spam and deleted messages are left out. Each
+-- measure is { count, average_hours, median_hours } over the messages that
+-- reached both of its timestamps.
+CREATE OR REPLACE FUNCTION contact_response_times(since TIMESTAMP WITH TIME ZONE)
+RETURNS JSONB AS $$
+    WITH durations AS (
+        SELECT measure, EXTRACT(EPOCH FROM finished - started)::NUMERIC / 3600 AS hours
+        FROM contact_messages
+        CROSS JOIN LATERAL (VALUES
+            ('new_to_in_progress', created_at, in_progress_at),
+            ('in_progress_to_completed', in_progress_at, completed_at),
+            ('new_to_completed', created_at, completed_at)
+        ) AS measures(measure, started, finished)
+        WHERE created_at >= since
+          AND deleted_at IS NULL
+          AND status <> 'spam'
+          AND started IS NOT NULL
+          AND finished IS NOT NULL
+    )
+    SELECT jsonb_object_agg(measure, summary)
+    FROM (
+        SELECT measures.measure, jsonb_build_object(
+            'count', count(hours),
+            'average_hours', round(avg(hours), 2),
+            'median_hours', round((percentile_cont(0.5) WITHIN GROUP (ORDER BY hours))::NUMERIC, 2)
+        ) AS summary
+        FROM (VALUES ('new_to_in_progress'), ('in_progress_to_completed'), ('new_to_completed')) AS measures(measure)
+        LEFT JOIN durations USING (measure)
+        GROUP BY measures.measure
+    ) AS summaries;
+$$ LANGUAGE sql STABLE;
+
+-- Messages are for admins only; the server calls this with the service role
+REVOKE EXECUTE ON FUNCTION contact_response_times(TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+
+-- Booking writes that must not overbook a day. Each takes an advisory lock
+-- on the event date, so concurrent bookings for the same date run one at a
+-- time, then checks blackout dates and the daily guest capacity (the
+-- booking_daily_capacity setting, or default_capacity when unset) before
+-- writing. Both return { booking, availability }: booking is null when the
+-- date could not take the guests, and availability describes the date like
+-- GET /api/bookings/availability does.
+
+-- Availability of one date, leaving out the booking exclude_id
+CREATE OR REPLACE FUNCTION booking_day_availability(day DATE, default_capacity INTEGER, exclude_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+    WITH capacity AS (
+        SELECT COALESCE(
+            (SELECT (value #>> '{}')::INTEGER FROM settings WHERE id = 'booking_daily_capacity'),
+            default_capacity
+        ) AS guests
+    ),
+    booked AS (
+        SELECT COALESCE(SUM(guests), 0)::INTEGER AS guests
+        FROM bookings
+        WHERE event_date = day AND status = 'confirmed' AND id IS DISTINCT FROM exclude_id
+    ),
+    blackout AS (
+        SELECT reason FROM blackout_dates WHERE date = day
+    )
+    SELECT jsonb_build_object(
+        'date', day,
+        'status', CASE
+            WHEN EXISTS (SELECT 1 FROM blackout) THEN 'blackout'
+            WHEN capacity.guests > booked.guests THEN 'open'
+            ELSE 'full'
+        END,
+        'capacity', capacity.guests,
+        'booked_guests', booked.guests,
+        'remaining_guests', CASE
+            WHEN EXISTS (SELECT 1 FROM blackout) THEN 0
+            ELSE GREATEST(capacity.guests - booked.guests, 0)
+        END,
+        'reason', (SELECT reason FROM blackout)
+    )
+    FROM capacity, booked;
+$$ LANGUAGE sql STABLE;
+
+-- Whether a date's availability can take a number of guests
+CREATE OR REPLACE FUNCTION booking_fits(availability JSONB, guest_count INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT availability->>'status' <> 'blackout' AND guest_count <= (availability->>'remaining_guests')::INTEGER;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Confirm a booking. booking holds the new row's columns. A second
+-- confirmed booking for the same inquiry fails with a unique violation.
+CREATE OR REPLACE FUNCTION create_booking(booking JSONB, default_capacity INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    event_day DATE := (booking->>'event_date')::DATE;
+    availability JSONB;
+    created bookings;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('bookings:' || event_day));
+
+    availability := booking_day_availability(event_day, default_capacity);
+    IF NOT booking_fits(availability, (booking->>'guests')::INTEGER) THEN
+        RETURN jsonb_build_object('booking', NULL, 'availability', availability);
+    END IF;
+
+    INSERT INTO bookings (contact_message_id, event_date, guests, event_type, customer_name, customer_email, notes, created_by)
+    SELECT contact_message_id, event_date, guests, event_type, customer_name, customer_email, notes, created_by
+    FROM jsonb_populate_record(NULL::bookings, booking)
+    RETURNING * INTO created;
+
+    RETURN jsonb_build_object('booking', to_jsonb(created), 'availability', availability);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Change a confirmed booking. changes holds only the columns to change
+-- (event_date, guests, event_type, notes). Capacity is only checked when
+-- the booking moves or grows. booking and availability are both null when
+-- the booking is not confirmed.
+CREATE OR REPLACE FUNCTION update_booking(booking_id UUID, changes JSONB, default_capacity INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    current bookings;
+    event_day DATE;
+    guest_count INTEGER;
+    availability JSONB := NULL;
+    updated bookings;
+BEGIN
+    SELECT * INTO current FROM bookings WHERE id = booking_id AND status = 'confirmed' FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('booking', NULL, 'availability', NULL);
+    END IF;
+
+    event_day := COALESCE((changes->>'event_date')::DATE, current.event_date);
+    guest_count := COALESCE((changes->>'guests')::INTEGER, current.guests);
+
+    IF event_day <> current.event_date OR guest_count > current.guests THEN
+        PERFORM pg_advisory_xact_lock(hashtext('bookings:' || event_day));
+
+        availability := booking_day_availability(event_day, default_capacity, booking_id);
+        IF NOT booking_fits(availability, guest_count) THEN
+            RETURN jsonb_build_object('booking', NULL, 'availability', availability);
+        END IF;
+    END IF;
+
+    UPDATE bookings SET
+        event_date = event_day,
+        guests = guest_count,
+        event_type = CASE WHEN changes ? 'event_type' THEN changes->>'event_type' ELSE event_type END,
+        notes = CASE WHEN changes ? 'notes' THEN changes->>'notes' ELSE notes END
+    WHERE id = booking_id
+    RETURNING * INTO updated;
+
+    RETURN jsonb_build_object('booking', to_jsonb(updated), 'availability', availability);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Bookings are for admins only; the server calls these with the service role
+REVOKE EXECUTE ON FUNCTION create_booking(JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_booking(UUID, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Store one chat exchange: the user message, taken at received_at when the
+-- request arrived, and the assistant reply. A new session (is_new) is only
+-- created here, once the reply exists, so failed requests leave nothing
+-- behind. The message count is kept in the database so concurrent turns on
+-- one session do not overwrite each other. Returns the session row, or null
+-- when an existing session has since been deleted.
+CREATE OR REPLACE FUNCTION add_chat_exchange(
+    chat_session_id UUID,
+    is_new BOOLEAN,
+    user_message TEXT,
+    assistant_message TEXT,
+    received_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS JSONB AS $$
+DECLARE
+    replied_at TIMESTAMP WITH TIME ZONE := GREATEST(NOW(), received_at + INTERVAL '1 millisecond');
+    session chat_sessions;
+BEGIN
+    IF is_new THEN
+        INSERT INTO chat_sessions (id, message_count, last_message_at, created_at)
+        VALUES (chat_session_id, 2, replied_at, received_at)
+        RETURNING * INTO session;
+    ELSE
+        UPDATE chat_sessions SET
+            message_count = message_count + 2,
+            last_message_at = GREATEST(last_message_at, replied_at)
+        WHERE id = chat_session_id
+        RETURNING * INTO session;
+
+        IF NOT FOUND THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    INSERT INTO chat_messages (session_id, role, content, created_at) VALUES
+        (chat_session_id, 'user', user_message, received_at),
+        (chat_session_id, 'assistant', assistant_message, replied_at);
+
+    RETURN to_jsonb(session);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION add_chat_exchange(UUID, BOOLEAN, TEXT, TEXT, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+
+-- Save a bulk dish import in one transaction, so either every dish is
+-- created and updated or, when any write fails, none is. changes holds
+-- creates (new dish rows) and updates ({ id, changes } with only the
+-- columns to change). An update of a dish deleted since the import was
+-- planned fails the whole import. Returns { created, updated }, the saved
+-- rows in the order given.
+CREATE OR REPLACE FUNCTION import_dishes(changes JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    dish JSONB;
+    current dishes;
+    saved dishes;
+    created JSONB := '[]'::JSONB;
+    updated JSONB := '[]'::JSONB;
+BEGIN
+    FOR dish IN SELECT * FROM jsonb_array_elements(COALESCE(changes->'creates', '[]'::JSONB)) LOOP
+        INSERT INTO dishes (title, description, category, image_url, price, ingredients, allergens, diets,
+            is_featured, is_available, availability_schedule, external_key)
+        SELECT title, description, category, image_url, price, ingredients, allergens, diets,
+            is_featured, is_available, availability_schedule, external_key
+        FROM jsonb_populate_record(NULL::dishes, dish)
+        RETURNING * INTO saved;
+
+        created := created || to_jsonb(saved);
+    END LOOP;
+
+    FOR dish IN SELECT * FROM jsonb_array_elements(COALESCE(changes->'updates', '[]'::JSONB)) LOOP
+        SELECT * INTO current FROM dishes WHERE id = (dish->>'id')::UUID AND deleted_at IS NULL FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Dish % was deleted during the import', dish->>'id' USING ERRCODE = 'P0002';
+        END IF;
+
+        current := jsonb_populate_record(current, dish->'changes');
+
+        UPDATE dishes SET
+            title = current.title,
+            description = current.description,
+            category = current.category,
+            image_url = current.image_url,
+            price = current.price,
+            ingredients = current.ingredients,
+            allergens = current.allergens,
+            diets = current.diets,
+            is_featured = current.is_featured,
+            is_available = current.is_available,
+            availability_schedule = current.availability_schedule,
+            external_key = current.external_key,
+            image_renditions = current.image_renditions,
+            image_placeholder = current.image_placeholder
+        WHERE id = current.id
+        RETURNING * INTO saved;
+
+        updated := updated || to_jsonb(saved);
+    END LOOP;
+
+    RETURN jsonb_build_object('created', created, 'updated', updated);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Imports are for admins only; the server calls this with the service role
+REVOKE EXECUTE ON FUNCTION import_dishes(JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Category writes that touch several rows, each in one transaction.
+
+-- Set sort_order from a list of category ids (first id is shown first)
+CREATE OR REPLACE FUNCTION reorder_categories(category_ids TEXT[])
+RETURNS VOID AS $$
+    UPDATE categories SET sort_order = ordered.position
+    FROM unnest(category_ids) WITH ORDINALITY AS ordered(id, position)
+    WHERE categories.id = ordered.id;
+$$ LANGUAGE sql;
+
+-- Delete a category, first moving its dishes (including those in the
+-- trash) to reassign_to when given. Fails with a foreign key violation,
+-- moving nothing, while dishes still use the category. Returns the moved
+-- dishes as [{ dish, previous }], or null when the category does not exist.
+CREATE OR REPLACE FUNCTION delete_category(category_id TEXT, reassign_to TEXT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    moved JSONB := '[]'::JSONB;
+BEGIN
+    IF reassign_to IS NOT NULL THEN
+        WITH previous AS (
+            SELECT * FROM dishes WHERE category = category_id FOR UPDATE
+        ),
+        updated AS (
+            UPDATE dishes SET category = reassign_to
+            FROM previous
+            WHERE dishes.id = previous.id
+            RETURNING to_jsonb(dishes) AS dish, to_jsonb(previous) AS previous
+        )
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('dish', dish, 'previous', previous)), '[]'::JSONB)
+        INTO moved
+        FROM updated;
+    END IF;
+
+    DELETE FROM categories WHERE id = category_id;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN moved;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Categories are managed by admins only; the server calls these with the
+-- service role
+REVOKE EXECUTE ON FUNCTION reorder_categories(TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION delete_category(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Insert default categories
+INSERT INTO categories (id, name, description, sort_order) VALUES
+('appetizers', 'Appetizers', 'Start your meal with these delicious options', 1),
+('mains', 'Main Courses', 'Our signature main dishes', 2),
+('desserts', 'Desserts', 'Sweet endings to your perfect meal', 3),
+('drinks', 'Beverages', 'Refreshing drinks and specialty cocktails', 4),
+('specials', 'Chef Specials', 'Limited time seasonal offerings', 5)
+ON CONFLICT (id) DO NOTHING;
+
 -- Insert sample data for dishes
-INSERT INTO dishes (title, description, category, price, ingredients, is_featured, is_available) VALUES
-('Seared Salmon with Quinoa', 'Pan-seared salmon with herbed quinoa and seasonal vegetables', 'mains', 28.50, ARRAY['salmon', 'quinoa', 'vegetables', 'herbs'], true, true),
-('Artisan Pasta Creation', 'Hand-crafted pasta with truffle cream sauce and parmesan', 'mains', 24.00, ARRAY['pasta', 'truffle', 'cream', 'parmesan'], true, true),
-('Chocolate Lava Cake', 'Decadent chocolate cake with molten center and vanilla ice cream', 'desserts', 12.00, ARRAY['chocolate', 'vanilla ice cream', 'berries'], false, true),
-('Garden Fresh Salad', 'Mixed greens with seasonal fruits and balsamic reduction', 'appetizers', 14.50, ARRAY['mixed greens', 'seasonal fruits', 'balsamic'], false, true),
-('Beef Wellington', 'Classic beef wellington with mushroom duxelles and puff pastry', 'mains', 45.00, ARRAY['beef tenderloin', 'mushrooms', 'puff pastry'], true, true),
-('Crème Brûlée', 'Vanilla custard with caramelized sugar and fresh berries', 'desserts', 10.50, ARRAY['vanilla custard', 'sugar', 'berries'], false, true),
-('Gourmet Bruschetta', 'Toasted bread with heirloom tomatoes and fresh basil', 'appetizers', 11.00, ARRAY['bread', 'tomatoes', 'basil', 'olive oil'], false, true),
-('Seafood Paella', 'Traditional Spanish paella with fresh seafood and saffron rice', 'mains', 32.00, ARRAY['seafood', 'saffron rice', 'peppers'], true, true),
-('Tiramisu', 'Classic Italian dessert with coffee-soaked ladyfingers', 'desserts', 11.50, ARRAY['mascarpone', 'coffee', 'ladyfingers', 'cocoa'], false, true)
+INSERT INTO dishes (title, description, category, price, ingredients, is_featured, is_available, allergens, diets) VALUES
+('Seared Salmon with Quinoa', 'Pan-seared salmon with herbed quinoa and seasonal vegetables', 'mains', 28.50, ARRAY['salmon', 'quinoa', 'vegetables', 'herbs'], true, true, ARRAY['fish'], ARRAY['pescatarian', 'gluten-free', 'dairy-free', 'nut-free']),
+('Artisan Pasta Creation', 'Hand-crafted pasta with truffle cream sauce and parmesan', 'mains', 24.00, ARRAY['pasta', 'truffle', 'cream', 'parmesan'], true, true, ARRAY['gluten', 'dairy'], ARRAY['vegetarian', 'pescatarian', 'nut-free']),
+('Chocolate Lava Cake', 'Decadent chocolate cake with molten center and vanilla ice cream', 'desserts', 12.00, ARRAY['chocolate', 'vanilla ice cream', 'berries'], false, true, ARRAY['gluten', 'dairy', 'eggs'], ARRAY['vegetarian', 'pescatarian', 'nut-free']),
+('Garden Fresh Salad', 'Mixed greens with seasonal fruits and balsamic reduction', 'appetizers', 14.50, ARRAY['mixed greens', 'seasonal fruits', 'balsamic'], false, true, '{}', ARRAY['vegetarian', 'vegan', 'pescatarian', 'gluten-free', 'dairy-free', 'nut-free']),
+('Beef Wellington', 'Classic beef wellington with mushroom duxelles and puff pastry', 'mains', 45.00, ARRAY['beef tenderloin', 'mushrooms', 'puff pastry'], true, true, ARRAY['gluten'], ARRAY['dairy-free', 'nut-free']),
+('Crème Brûlée', 'Vanilla custard with caramelized sugar and fresh berries', 'desserts', 10.50, ARRAY['vanilla custard', 'sugar', 'berries'], false, true, ARRAY['dairy', 'eggs'], ARRAY['vegetarian', 'pescatarian', 'gluten-free', 'nut-free']),
+('Gourmet Bruschetta', 'Toasted bread with heirloom tomatoes and fresh basil', 'appetizers', 11.00, ARRAY['bread', 'tomatoes', 'basil', 'olive oil'], false, true, ARRAY['gluten'], ARRAY['vegetarian', 'vegan', 'pescatarian', 'dairy-free', 'nut-free']),
+('Seafood Paella', 'Traditional Spanish paella with fresh seafood and saffron rice', 'mains', 32.00, ARRAY['seafood', 'saffron rice', 'peppers'], true, true, ARRAY['shellfish'], ARRAY['pescatarian', 'gluten-free', 'dairy-free', 'nut-free']),
+('Tiramisu', 'Classic Italian dessert with coffee-soaked ladyfingers', 'desserts', 11.50, ARRAY['mascarpone', 'coffee', 'ladyfingers', 'cocoa'], false, true, ARRAY['gluten', 'dairy', 'eggs'], ARRAY['vegetarian', 'pescatarian', 'nut-free'])
 ON CONFLICT (id) DO NOTHING;
 
 -- Enable Row Level Security (RLS) - Optional but recommended
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE dishes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE contact_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_activities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dish_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE blackout_dates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quotes ENABLE ROW LEVEL SECURITY;
+-- No policies on admin_users: only the service role key can read password hashes
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
 
--- Create policies for public read access to dishes
-CREATE POLICY "Allow public read access to dishes" ON dishes
+-- Create policies for public read access to categories and dishes
+-- (dishes in the trash stay hidden)
+CREATE POLICY "Allow public read access to categories" ON categories
     FOR SELECT USING (true);
 
+CREATE POLICY "Allow public read access to dishes" ON dishes
+    FOR SELECT USING (deleted_at IS NULL);
+
 -- Create policy for inserting contact messages (public can insert)
 CREATE POLICY "Allow public insert to contact_messages" ON contact_messages
     FOR INSERT WITH CHECK (true);
 
 -- Grant necessary permissions
+GRANT SELECT ON categories TO anon, authenticated;
 GRANT SELECT ON dishes TO anon, authenticated;
 GRANT INSERT ON contact_messages TO anon, authenticated;
\ No newline at end of file
@@ -0,0 +1,278 @@
+import { randomUUID } from 'crypto';
+
+// Minimal parser for schema.sql so the in-memory adapter can mirror the
+// Postgres tables (columns, defaults, enums, constraints and seed rows).
+// Only the subset of SQL used by schema.sql is understood; everything else
+// (indexes, triggers, policies, grants) is ignored.
+
+// Remove -- comments while leaving quoted strings untouched
+const stripComments = (sql) => {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (char === "'") {
+      inString = !inString;
+    }
+
+    if (!inString && char === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      output += '\n';
+      continue;
+    }
+
+    output += char;
+  }
+
+  return output;
+};
+
+// Split a script into statements, respecting quotes and $$ function bodies
+const splitStatements = (sql) => {
+  const statements = [];
+  let current = '';
+  let inString = false;
+  let inDollar = false;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (!inString && char === '$' && sql[i + 1] === '$') {
+      inDollar = !inDollar;
+      current += '$$';
+      i++;
+      continue;
+    }
+
+    if (!inDollar && char === "'") {
+      inString = !inString;
+    }
+
+    if (!inString && !inDollar && char === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+};
+
+// Split on commas that are not nested in parentheses, brackets or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === "'") {
+      inString = !inString;
+    } else if (!inString && (char === '(' || char === '[')) {
+      depth++;
+    } else if (!inString && (char === ')' || char === ']')) {
+      depth--;
+    } else if (!inString && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Strip the outer parentheses of "( ... )"
+const unwrap = (text) => {
+  const trimmed = text.trim();
+  return trimmed.startsWith('(') && trimmed.endsWith(')')
+    ? trimmed.slice(1, -1)
+    : trimmed;
+};
+
+const unquote = (text) => text.trim().replace(/^'(.*)'$/s, '$1').replace(/''/g, "'");
+
+// Map a SQL type to the kind of JS value the adapter stores
+const normalizeType = (sqlType, enums) => {
+  const type = sqlType.toLowerCase().replace(/\(.*\)/, '').trim();
+
+  if (type.endsWith('[]')) return { kind: 'array', itemKind: normalizeType(type.slice(0, -2), enums).kind };
+  if (enums[type]) return { kind: 'enum', enumName: type, values: enums[type] };
+  if (['integer', 'int', 'int4', 'bigint', 'int8', 'smallint', 'serial', 'bigserial'].includes(type)) return { kind: 'integer' };
+  if (['decimal', 'numeric', 'real', 'double precision', 'float', 'float8'].includes(type)) return { kind: 'number' };
+  if (['boolean', 'bool'].includes(type)) return { kind: 'boolean' };
+  if (type.startsWith('timestamp')) return { kind: 'timestamp' };
+  if (type === 'date') return { kind: 'date' };
+  if (type === 'time' || type.startsWith('time ')) return { kind: 'time' };
+  if (type === 'jsonb' || type === 'json') return { kind: 'json' };
+  if (type === 'uuid') return { kind: 'uuid' };
+  return { kind: 'text' };
+};
+
+// Parse a literal or default expression into a thunk producing its value
+const parseExpression = (expression) => {
+  const expr = expression.trim().replace(/::[\w\s\[\]]+$/, '').trim();
+  const upper = expr.toUpperCase();
+
+  if (upper === 'NULL') return () => null;
+  if (upper === 'TRUE') return () => true;
+  if (upper === 'FALSE') return () => false;
+  if (upper === 'UUID_GENERATE_V4()' || upper === 'GEN_RANDOM_UUID()') return () => randomUUID();
+  if (upper === 'NOW()' || upper === 'CURRENT_TIMESTAMP') return () => new Date().toISOString();
+  if (upper === 'CURRENT_DATE') return () => new Date().toISOString().slice(0, 10);
+  if (/^-?\d+(\.\d+)?$/.test(expr)) return () => Number(expr);
+
+  if (upper.startsWith('ARRAY[')) {
+    const items = splitTopLevel(expr.slice(6, -1)).map(item => parseExpression(item));
+    return () => items.map(item => item());
+  }
+
+  if (expr.startsWith("'")) {
+    const value = unquote(expr);
+    if (value === '{}') return () => [];
+    if (/^[{[]/.test(value)) {
+      try {
+        const parsed = JSON.parse(value);
+        return () => JSON.parse(JSON.stringify(parsed));
+      } catch {
+        // Not JSON, fall through to plain string
+      }
+    }
+    return () => value;
+  }
+
+  return () => expr;
+};
+
+const COLUMN_KEYWORDS = ['NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'GENERATED'];
+
+// Parse a single column definition
+const parseColumn = (definition, enums) => {
+  const [name, ...rest] = definition.split(/\s+/);
+  const remainder = rest.join(' ');
+  const keywordMatch = remainder.match(new RegExp(`\\s(${COLUMN_KEYWORDS.join('|')})\\b`, 'i'));
+  const sqlType = keywordMatch ? remainder.slice(0, keywordMatch.index) : remainder;
+  const modifiers = keywordMatch ? remainder.slice(keywordMatch.index) : '';
+
+  const column = {
+    name,
+    type: normalizeType(sqlType, enums),
+    notNull: /NOT NULL/i.test(modifiers) || /PRIMARY KEY/i.test(modifiers),
+    primaryKey: /PRIMARY KEY/i.test(modifiers),
+    unique: /\bUNIQUE\b/i.test(modifiers) || /PRIMARY KEY/i.test(modifiers),
+    generated: /\bGENERATED\b/i.test(modifiers),
+    default: null,
+    references: null
+  };
+
+  const defaultMatch = modifiers.match(/DEFAULT\s+(ARRAY\[.*?\]|'(?:[^']|'')*'(?:::[\w\[\]]+)?|[\w.]+(?:\(\))?(?:::[\w\[\]]+)?)/i);
+  if (defaultMatch) {
+    column.default = parseExpression(defaultMatch[1]);
+  }
+
+  const referencesMatch = modifiers.match(/REFERENCES\s+(\w+)\s*\((\w+)\)(?:\s+ON DELETE\s+(CASCADE|SET NULL|RESTRICT|NO ACTION))?/i);
+  if (referencesMatch) {
+    column.references = {
+      table: referencesMatch[1],
+      column: referencesMatch[2],
+      onDelete: (referencesMatch[3] || 'NO ACTION').toUpperCase()
+    };
+  }
+
+  return column;
+};
+
+// Parse CREATE TABLE body into column and constraint metadata
+const parseTable = (name, body, enums) => {
+  const table = { name, columns: {}, uniqueGroups: [] };
+
+  splitTopLevel(body).forEach(item => {
+    const upper = item.toUpperCase();
+
+    if (upper.startsWith('UNIQUE') || (upper.startsWith('CONSTRAINT') && upper.includes(' UNIQUE'))) {
+      const columns = item.match(/UNIQUE\s*\(([^)]+)\)/i)[1].split(',').map(column => column.trim());
+      table.uniqueGroups.push(columns);
+      return;
+    }
+
+    if (/^(CONSTRAINT|PRIMARY KEY|FOREIGN KEY|CHECK)\b/.test(upper)) {
+      return;
+    }
+
+    const column = parseColumn(item, enums);
+    table.columns[column.name] = column;
+  });
+
+  Object.values(table.columns)
+    .filter(column => column.unique)
+    .forEach(column => table.uniqueGroups.push([column.name]));
+
+  return table;
+};
+
+// Parse INSERT ... VALUES (...), (...) into row objects
+const parseInsert = (statement) => {
+  const match = statement.match(/^INSERT INTO\s+(\w+)\s*\(([^)]+)\)\s*VALUES\s*([\s\S]+?)(\s+ON CONFLICT[\s\S]*)?$/i);
+  if (!match) return null;
+
+  const [, table, columnList, valuesList] = match;
+  const columns = columnList.split(',').map(column => column.trim());
+  const rows = splitTopLevel(valuesList).map(tuple => {
+    const values = splitTopLevel(unwrap(tuple)).map(value => parseExpression(value)());
+    return Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+  });
+
+  return { table, rows };
+};
+
+// Parse a schema script into { enums, tables, seeds }
+const parseSchema = (sql) => {
+  const enums = {};
+  const tables = {};
+  const seeds = [];
+
+  splitStatements(stripComments(sql)).forEach(statement => {
+    const normalized = statement.replace(/\s+/g, ' ');
+
+    const enumMatch = normalized.match(/^CREATE TYPE (\w+) AS ENUM \((.*)\)$/i);
+    if (enumMatch) {
+      enums[enumMatch[1].toLowerCase()] = splitTopLevel(enumMatch[2]).map(unquote);
+      return;
+    }
+
+    const tableMatch = statement.match(/^CREATE TABLE (?:IF NOT EXISTS )?(\w+)\s*\(([\s\S]*)\)$/i);
+    if (tableMatch) {
+      tables[tableMatch[1]] = parseTable(tableMatch[1], tableMatch[2], enums);
+      return;
+    }
+
+    const alterMatch = normalized.match(/^ALTER TABLE (\w+) ADD COLUMN (?:IF NOT EXISTS )?(.+)$/i);
+    if (alterMatch && tables[alterMatch[1]]) {
+      const column = parseColumn(alterMatch[2], enums);
+      tables[alterMatch[1]].columns[column.name] = column;
+      if (column.unique) tables[alterMatch[1]].uniqueGroups.push([column.name]);
+      return;
+    }
+
+    if (/^INSERT INTO/i.test(statement)) {
+      const seed = parseInsert(statement);
+      if (seed) seeds.push(seed);
+    }
+  });
+
+  return { enums, tables, seeds };
+};
+
+export {
+  parseSchema
+};
\ No newline at end of file
@@ -0,0 +1,264 @@
+import DishModel from '../models/Dish.js';
+import CategoryModel from '../models/Category.js';
+import DishRevisionModel from '../models/DishRevision.js';
+import { validate } from '../validation/validator.js';
+import { dishSchema } from '../validation/schemas.js';
+import { unescapeFormula } from '../utils/csv.js';
+import { checkSchedule, normalizeSchedule } from '../utils/availability.js';
+
+// Bulk dish import. planDishImport() matches each row to an existing dish
+// and validates it without saving anything; applyDishImport() saves a plan
+// with no errors in one transaction.
+
+const MAX_IMPORT_ROWS = 500;
+
+// Fields an import can set, those holding lists and those written to CSV
+// as JSON
+const IMPORT_FIELDS = Object.keys(dishSchema);
+const LIST_FIELDS = ['ingredients', 'allergens', 'diets'];
+const JSON_FIELDS = ['availability_schedule'];
+
+const normalizeTitle = (title) => String(title).trim().toLowerCase();
+
+// Parse a JSON cell, leaving text that isn't JSON for validation to reject
+const parseJsonCell = (text) => {
+  if (!text.trim()) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// Turn a CSV record into the shape dishSchema expects: formula escapes are
+// removed, lists are split on ";" and JSON cells are parsed
+const fromCsvRecord = (record) => Object.fromEntries(
+  Object.entries(record).map(([field, value]) => {
+    const text = unescapeFormula(value);
+    if (JSON_FIELDS.includes(field)) return [field, parseJsonCell(text)];
+    if (!LIST_FIELDS.includes(field)) return [field, text];
+    return [field, text.split(';').map(item => item.trim()).filter(Boolean)];
+  })
+);
+
+// Compare a stored value with an imported one. Numbers stored as DECIMAL can
+// come back as strings; tag lists are compared ignoring order, and
+// schedules in their normalized shape.
+const sameValue = (field, current, next) => {
+  if (field === 'price') {
+    return (current === null || current === undefined) ? next === null : Number(current) === next;
+  }
+  if (field === 'availability_schedule') {
+    return JSON.stringify(normalizeSchedule(current)) === JSON.stringify(normalizeSchedule(next));
+  }
+  if (Array.isArray(next)) {
+    const existing = current || [];
+    const sort = (list) => (field === 'ingredients' ? list : [...list].sort());
+    return JSON.stringify(sort(existing)) === JSON.stringify(sort(next));
+  }
+  return (current ?? null) === next;
+};
+
+// Find the dish a row refers to: by external_key first, then by title among
+// dishes without a different key. Resolves { dish } or { error }.
+const matchDish = (row, byKey, byTitle) => {
+  const key = typeof row.external_key === 'string' ? row.external_key.trim() : '';
+  if (key && byKey.has(key)) {
+    return { dish: byKey.get(key) };
+  }
+
+  if (typeof row.title !== 'string' || !row.title.trim()) {
+    return { dish: null };
+  }
+
+  const candidates = (byTitle.get(normalizeTitle(row.title)) || [])
+    .filter(dish => !key || !dish.external_key);
+
+  if (candidates.length > 1) {
+    return { error: `title matches ${candidates.length} dishes; add an external_key to pick one` };
+  }
+  return { dish: candidates[0] || null };
+};
+
+// Validate rows and work out what importing them would do. Each entry of
+// data.rows has { row, action, dish_id, title, changes, errors } where action
+// is create, update, unchanged or error; row 1 is the first dish. Resolves
+// { data: { summary, rows, operations } } or { error } for database failures.
+const planDishImport = async (rows, { format = 'json' } = {}) => {
+  const [dishes, trashedKeys, categories] = await Promise.all([
+    DishModel.getAll(),
+    DishModel.getTrashedKeys(),
+    CategoryModel.getAll()
+  ]);
+  const failed = [dishes, trashedKeys, categories].find(result => result.error);
+  if (failed) {
+    return { data: null, error: failed.error };
+  }
+
+  const categoryIds = new Set(categories.data.map(category => category.id));
+  const keysInTrash = new Set(trashedKeys.data);
+  const byKey = new Map(dishes.data.filter(dish => dish.external_key).map(dish => [dish.external_key, dish]));
+  const byTitle = new Map();
+  dishes.data.forEach(dish => {
+    const title = normalizeTitle(dish.title);
+    byTitle.set(title, [...(byTitle.get(title) || []), dish]);
+  });
+
+  // Rows already seen, to catch the same dish listed twice
+  const seenDishes = new Map();
+  const seenKeys = new Map();
+  const seenTitles = new Map();
+
+  const planned = rows.map((input, index) => {
+    const row = index + 1;
+    const record = format === 'csv' ? fromCsvRecord(input) : input;
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { row, action: 'error', dish_id: null, title: null, changes: null, errors: [{ field: null, message: 'row must be an object' }] };
+    }
+
+    const match = matchDish(record, byKey, byTitle);
+    const existing = match.dish || null;
+    const { value, errors } = validate(dishSchema, record, { partial: Boolean(existing) });
+
+    if (match.error) {
+      errors.push({ field: 'title', message: match.error });
+    }
+    errors.push(...checkSchedule(value.availability_schedule));
+    if (value.category && !categoryIds.has(value.category)) {
+      errors.push({ field: 'category', message: `category "${value.category}" does not exist` });
+    }
+
+    const title = value.title || (existing && existing.title) || null;
+    const key = value.external_key || (existing && existing.external_key) || null;
+
+    if (existing && seenDishes.has(existing.id)) {
+      errors.push({ field: null, message: `same dish as row ${seenDishes.get(existing.id)}` });
+    }
+    if (key && seenKeys.has(key)) {
+      errors.push({ field: 'external_key', message: `external_key is also used by row ${seenKeys.get(key)}` });
+    }
+    if (!existing && title && seenTitles.has(normalizeTitle(title))) {
+      errors.push({ field: 'title', message: `title is also used by row ${seenTitles.get(normalizeTitle(title))}` });
+    }
+    if (value.external_key && byKey.has(value.external_key) && byKey.get(value.external_key) !== existing) {
+      errors.push({ field: 'external_key', message: 'external_key belongs to another dish' });
+    }
+    if (value.external_key && keysInTrash.has(value.external_key)) {
+      errors.push({ field: 'external_key', message: 'external_key belongs to a dish in the trash; restore or purge it first' });
+    }
+
+    if (existing) seenDishes.set(existing.id, row);
+    if (key) seenKeys.set(key, row);
+    if (title) seenTitles.set(normalizeTitle(title), row);
+
+    if (errors.length > 0) {
+      return { row, action: 'error', dish_id: existing ? existing.id : null, title, changes: null, errors };
+    }
+
+    if (!existing) {
+      return { row, action: 'create', dish_id: null, title, changes: value, errors: [], dishData: value };
+    }
+
+    const changes = Object.fromEntries(
+      IMPORT_FIELDS
+        .filter(field => field in value && !sameValue(field, existing[field], value[field]))
+        .map(field => [field, { from: existing[field] ?? null, to: value[field] }])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return { row, action: 'unchanged', dish_id: existing.id, title, changes: {}, errors: [] };
+    }
+
+    return {
+      row,
+      action: 'update',
+      dish_id: existing.id,
+      title,
+      changes,
+      errors: [],
+      dishData: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+      existing
+    };
+  });
+
+  const count = (action) => planned.filter(entry => entry.action === action).length;
+
+  return {
+    data: {
+      summary: {
+        total: planned.length,
+        create: count('create'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        errors: count('error')
+      },
+      rows: planned.map(({ dishData, existing, ...entry }) => entry),
+      operations: planned.filter(entry => entry.dishData)
+    },
+    error: null
+  };
+};
+
+// Record each saved dish as an import revision by authorId. Failures are
+// logged, as the dishes were already saved.
+const recordRevisions = async (saved, authorId) => {
+  for (const { dish, previous } of saved) {
+    const result = await DishRevisionModel.record(dish, { action: 'import', authorId, previous });
+    if (result.error) {
+      console.error(`Error recording revision of dish ${dish.id}:`, result.error);
+    }
+  }
+};
+
+// Save the creates and updates of a plan without errors in one database
+// transaction: if any write fails, including an update of a dish deleted
+// since the plan was made, nothing is saved. Once everything is saved each
+// dish gets a revision by authorId. Resolves { data } with the plan rows,
+// created dishes filled in with their new ids, and replacedImages
+// (renditions of uploaded images whose image_url was replaced), or { error }.
+const applyDishImport = async (plan, { authorId = null } = {}) => {
+  const creates = plan.operations.filter(operation => operation.action === 'create');
+  const updates = plan.operations
+    .filter(operation => operation.action === 'update')
+    .map(({ existing, dishData }) => ({
+      current: existing,
+      // Setting image_url replaces any uploaded image, as in updateDish
+      dishData: 'image_url' in dishData && existing.image_renditions
+        ? { ...dishData, image_renditions: null, image_placeholder: null }
+        : dishData
+    }));
+
+  const result = await DishModel.importDishes({
+    creates: creates.map(operation => operation.dishData),
+    updates
+  });
+
+  if (result.error) {
+    return { data: null, error: result.error };
+  }
+
+  const { created, updated } = result.data;
+  const createdIds = new Map(creates.map((operation, index) => [operation.row, created[index].id]));
+
+  await recordRevisions([
+    ...created.map(dish => ({ dish, previous: null })),
+    ...updated.map((dish, index) => ({ dish, previous: updates[index].current }))
+  ], authorId);
+
+  return {
+    data: {
+      rows: plan.rows.map(entry => (createdIds.has(entry.row) ? { ...entry, dish_id: createdIds.get(entry.row) } : entry)),
+      replacedImages: updates
+        .filter(({ dishData }) => dishData.image_renditions === null)
+        .map(({ current }) => current.image_renditions)
+    },
+    error: null
+  };
+};
+
+export {
+  MAX_IMPORT_ROWS,
+  planDishImport,
+  applyDishImport
+};
\ No newline at end of file
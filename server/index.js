@@ -15,10 +15,28 @@ const __dirname = path.dirname(__filename);
 import portfolioRoutes from './routes/portfolio.js';
 import contactRoutes from './routes/contact.js';
 import chatbotRoutes from './routes/chatbot.js';
+import authRoutes from './routes/auth.js';
+import bookingRoutes from './routes/bookings.js';
+import quoteRoutes from './routes/quotes.js';
+import { dbHelpers } from './config/database.js';
+import { storage } from './config/storage.js';
+import { mailTransport } from './config/mail.js';
+import notifier from './mail/notifier.js';
+import trashPurger from './trash/purger.js';
+import chatPurger from './chat/purger.js';
+import AdminUserModel from './models/AdminUser.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy (nginx), trust X-Forwarded-For so req.ip is the
+// client address used by the contact form and chat rate limits. Set TRUST_PROXY to
+// the number of proxies in front of the app.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
 // Middleware
 app.use(cors({
   origin: [process.env.FRONTEND_URL || 'http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002'],
@@ -34,10 +52,18 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../dist')));
 }
 
+// Uploaded files on local disk (S3 storage serves its own URLs)
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.rootDir, { maxAge: '1y', immutable: true }));
+}
+
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/quotes', quoteRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -66,11 +92,15 @@ if (process.env.NODE_ENV === 'production') {
         message: 'API endpoint not found',
         availableEndpoints: [
           'GET /api/health',
+          'POST /api/auth/login',
+          'GET /api/auth/me',
           'GET /api/portfolio',
           'POST /api/portfolio',
           'PUT /api/portfolio/:id',
           'DELETE /api/portfolio/:id',
+          'POST /api/portfolio/:id/image',
           'POST /api/contact',
+          'GET /api/bookings/availability',
           'POST /api/chatbot/chat',
           'POST /api/chatbot/recommend',
           'GET /api/chatbot/status'
@@ -87,11 +117,15 @@ if (process.env.NODE_ENV === 'production') {
       message: 'API endpoint not found',
       availableEndpoints: [
         'GET /api/health',
+        'POST /api/auth/login',
+        'GET /api/auth/me',
         'GET /api/portfolio',
         'POST /api/portfolio',
         'PUT /api/portfolio/:id',
         'DELETE /api/portfolio/:id',
+        'POST /api/portfolio/:id/image',
         'POST /api/contact',
+        'GET /api/bookings/availability',
         'POST /api/chatbot/chat',
         'POST /api/chatbot/recommend',
         'GET /api/chatbot/status'
@@ -100,12 +134,30 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Seed a login for the in-memory database so admin routes work offline
+if (dbHelpers.name === 'memory' && process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+  AdminUserModel.create({
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD,
+    role: 'admin',
+    name: 'Local Admin'
+  }).then(result => {
+    if (!result.error) console.log(`🔑 Seeded in-memory admin ${process.env.ADMIN_EMAIL}`);
+  });
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Food Portfolio API Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`💾 Supabase URL: ${process.env.SUPABASE_URL ? 'Connected' : 'Not configured'}`);
+  console.log(`💾 Database adapter: ${dbHelpers.name}`);
+  console.log(`🖼️  File storage: ${storage.name}`);
+  console.log(`📧 Mail transport: ${mailTransport.name}`);
+  dbHelpers.testConnection();
+  notifier.start();
+  trashPurger.start();
+  chatPurger.start();
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,130 @@
+import EmailOutboxModel from '../models/EmailOutbox.js';
+import { mailConfig, mailTransport } from '../config/mail.js';
+import { renderTemplate } from './templates.js';
+
+// Emails left in 'sending' this long are assumed abandoned and sent again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Longest wait between retries
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Sends notification emails through the persisted outbox. Every email is
+// stored before the first attempt, so a failed or interrupted send is
+// retried by processOutbox() with exponential backoff.
+class Notifier {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Store an email and try to send it straight away. Resolves once the
+  // email is queued; sending happens in the background. data is passed to
+  // the template alongside the message.
+  async enqueue(template, message, { to, replyTo = null, data = {} }) {
+    const content = renderTemplate(template, message, { ...data, brandName: mailConfig.brandName });
+    const result = await EmailOutboxModel.create({
+      template,
+      recipient: to,
+      replyTo,
+      contactMessageId: message.id,
+      ...content
+    });
+
+    if (result.error) {
+      console.error(`Error queueing ${template} email:`, result.error);
+      return result;
+    }
+
+    this.deliver(result.data[0]).catch(error => console.error('Error delivering email:', error));
+    return result;
+  }
+
+  // Team notification and customer confirmation for a new inquiry
+  async notifyNewInquiry(message) {
+    const queued = [];
+    if (mailConfig.teamAddresses.length > 0) {
+      queued.push(this.enqueue('team_new_inquiry', message, {
+        to: mailConfig.teamAddresses.join(', '),
+        replyTo: message.email
+      }));
+    }
+    queued.push(this.enqueue('customer_confirmation', message, { to: message.email }));
+    await Promise.all(queued);
+  }
+
+  // Tell the customer their inquiry was completed
+  async notifyInquiryCompleted(message) {
+    await this.enqueue('customer_completed', message, { to: message.email });
+  }
+
+  // Email a team member's reply to the customer. Replies to it go to the
+  // team addresses when they are configured.
+  async sendReply(message, { subject, body }) {
+    return await this.enqueue('customer_reply', message, {
+      to: message.email,
+      replyTo: mailConfig.teamAddresses.length > 0 ? mailConfig.teamAddresses.join(', ') : null,
+      data: { subject, body }
+    });
+  }
+
+  // Claim and send one outbox email, recording the outcome
+  async deliver(email) {
+    const claimed = await EmailOutboxModel.claim(email);
+    if (claimed.error) throw claimed.error;
+    if (!claimed.data) return;
+
+    const current = claimed.data;
+
+    try {
+      const { messageId } = await mailTransport.send({
+        from: mailConfig.from,
+        to: current.recipient,
+        replyTo: current.reply_to || undefined,
+        subject: current.subject,
+        text: current.text_body,
+        html: current.html_body || undefined
+      });
+      await EmailOutboxModel.markSent(current.id, messageId);
+    } catch (error) {
+      const retry = current.attempts < mailConfig.maxAttempts;
+      const delay = Math.min(mailConfig.retryIntervalMs * 2 ** (current.attempts - 1), MAX_RETRY_DELAY_MS);
+      console.error(`Email ${current.id} (${current.template}) failed on attempt ${current.attempts}${retry ? '' : ', giving up'}:`, error.message);
+      await EmailOutboxModel.markFailed(current.id, {
+        error: error.message,
+        retryAt: retry ? new Date(Date.now() + delay).toISOString() : null
+      });
+    }
+  }
+
+  // Send every email that is due
+  async processOutbox() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const due = await EmailOutboxModel.getDue({
+        now: new Date().toISOString(),
+        staleBefore: new Date(Date.now() - STALE_SENDING_MS).toISOString()
+      });
+      if (due.error) throw due.error;
+
+      for (const email of due.data) {
+        await this.deliver(email);
+      }
+    } catch (error) {
+      console.error('Error processing email outbox:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Retry due emails every MAIL_RETRY_INTERVAL_SECONDS
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processOutbox(), mailConfig.retryIntervalMs);
+    this.timer.unref();
+  }
+}
+
+const notifier = new Notifier();
+export default notifier;
\ No newline at end of file
@@ -0,0 +1,83 @@
+import { escapeHtml } from '../utils/search.js';
+
+// Email templates for contact inquiries. Each template takes the contact
+// message row and { brandName, ...data } and returns { subject, text, html }.
+// Every value from the message is escaped in the HTML part.
+
+// Inquiry details as label/value pairs, skipping empty fields
+const inquiryDetails = (message) => [
+  ['Name', message.name],
+  ['Email', message.email],
+  ['Phone', message.phone],
+  ['Event type', message.event_type],
+  ['Guests', message.guests],
+  ['Preferred date', message.preferred_date]
+].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+const detailsText = (message) => inquiryDetails(message)
+  .map(([label, value]) => `${label}: ${value}`)
+  .join('\n');
+
+const detailsHtml = (message) => `<table cellpadding="4">${inquiryDetails(message)
+  .map(([label, value]) => `<tr><td><strong>${label}</strong></td><td>${escapeHtml(value)}</td></tr>`)
+  .join('')}</table>`;
+
+// Message text as HTML paragraphs
+const paragraphs = (text) => String(text)
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('');
+
+const layout = (brandName, body) => `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+<h2 style="color: #8b4513;">${escapeHtml(brandName)}</h2>
+${body}
+</body>
+</html>`;
+
+const TEMPLATES = {
+  // To the team when an inquiry arrives
+  team_new_inquiry: (message, { brandName }) => ({
+    subject: `New inquiry from ${message.name}${message.event_type ? ` (${message.event_type})` : ''}`,
+    text: `A new inquiry arrived.\n\n${detailsText(message)}\n\n${message.message}\n\nInquiry id: ${message.id}`,
+    html: layout(brandName, `<p>A new inquiry arrived.</p>${detailsHtml(message)}${paragraphs(message.message)}<p style="color: #888;">Inquiry id: ${escapeHtml(message.id)}</p>`)
+  }),
+
+  // To the customer right after they submit the form
+  customer_confirmation: (message, { brandName }) => ({
+    subject: `We received your inquiry - ${brandName}`,
+    text: `Hi ${message.name},\n\nThank you for getting in touch! We received your inquiry and will get back to you soon.\n\nHere is what you sent us:\n\n${detailsText(message)}\n\n${message.message}\n\n${brandName}`,
+    html: layout(brandName, `<p>Hi ${escapeHtml(message.name)},</p><p>Thank you for getting in touch! We received your inquiry and will get back to you soon.</p><p>Here is what you sent us:</p>${detailsHtml(message)}${paragraphs(message.message)}<p>${escapeHtml(brandName)}</p>`)
+  }),
+
+  // To the customer when their inquiry is marked completed
+  customer_completed: (message, { brandName }) => ({
+    subject: `Your inquiry is complete - ${brandName}`,
+    text: `Hi ${message.name},\n\nWe have completed your inquiry${message.event_type ? ` about your ${message.event_type}` : ''}. Thank you for choosing us! If there is anything else we can help with, just reply to this email.\n\n${brandName}`,
+    html: layout(brandName, `<p>Hi ${escapeHtml(message.name)},</p><p>We have completed your inquiry${message.event_type ? ` about your ${escapeHtml(message.event_type)}` : ''}. Thank you for choosing us! If there is anything else we can help with, just reply to this email.</p><p>${escapeHtml(brandName)}</p>`)
+  }),
+
+  // A team member's reply to the customer; data is { subject, body }
+  customer_reply: (message, { brandName, subject, body }) => ({
+    subject: subject || `Re: your inquiry - ${brandName}`,
+    text: `Hi ${message.name},\n\n${body}\n\n${brandName}`,
+    html: layout(brandName, `<p>Hi ${escapeHtml(message.name)},</p>${paragraphs(body)}<p>${escapeHtml(brandName)}</p>`)
+  })
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// Render a template for a contact message
+const renderTemplate = (name, message, options) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(message, options);
+};
+
+export {
+  TEMPLATE_NAMES,
+  renderTemplate
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+import { randomUUID } from 'crypto';
+
+// Console transport for local development: prints messages instead of
+// sending them
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ from, to, replyTo, subject, text }) {
+    const messageId = randomUUID();
+    console.log([
+      `📧 Email ${messageId}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      ...(replyTo ? [`Reply-To: ${replyTo}`] : []),
+      `Subject: ${subject}`,
+      '',
+      text
+    ].join('\n'));
+    return { messageId };
+  }
+}
+
+export default ConsoleTransport;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// File transport for local development and tests: each message is written
+// to dir as a JSON file instead of being sent.
+class FileTransport {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+  }
+
+  async send(message) {
+    const messageId = randomUUID();
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, `${Date.now()}-${messageId}.json`),
+      JSON.stringify({ messageId, ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  }
+}
+
+export default FileTransport;
\ No newline at end of file
@@ -0,0 +1,22 @@
+import nodemailer from 'nodemailer';
+
+// SMTP transport for production mail (any provider with an SMTP relay)
+class SmtpTransport {
+  constructor({ host, port = 587, secure = false, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  // Send a message and resolve its provider message id
+  async send({ from, to, replyTo, subject, text, html }) {
+    const info = await this.transporter.sendMail({ from, to, replyTo, subject, text, html });
+    return { messageId: info.messageId };
+  }
+}
+
+export default SmtpTransport;
\ No newline at end of file
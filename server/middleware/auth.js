@@ -0,0 +1,97 @@
+import jwt from 'jsonwebtoken';
+import { authConfig, isAuthConfigured, roleHasPermission } from '../config/auth.js';
+import AdminUserModel from '../models/AdminUser.js';
+
+// Sign an access token for an admin user
+const signToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, email: user.email, role: user.role },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.jwtExpiresIn, issuer: authConfig.jwtIssuer }
+  );
+};
+
+// Require a valid bearer token and attach the admin user to req.user
+const authenticate = async (req, res, next) => {
+  try {
+    if (!isAuthConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Authentication is not configured on this server'
+      });
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, authConfig.jwtSecret, { issuer: authConfig.jwtIssuer });
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: tokenError.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+      });
+    }
+
+    // Re-check the account so deactivated users lose access immediately
+    const result = await AdminUserModel.getById(payload.sub);
+
+    if (result.error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error verifying credentials',
+        error: result.error.message
+      });
+    }
+
+    if (!result.data || !result.data.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is no longer active'
+      });
+    }
+
+    req.user = AdminUserModel.toPublic(result.data);
+    next();
+  } catch (error) {
+    console.error('Error in authenticate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Require the authenticated user's role to grant a permission
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!roleHasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+export {
+  signToken,
+  authenticate,
+  authorize
+};
\ No newline at end of file
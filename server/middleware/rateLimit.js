@@ -0,0 +1,47 @@
+// In-memory sliding-window rate limiting. Counts are kept per process, so
+// each server instance enforces its own limit.
+
+// Create a rate limiting middleware.
+//   max      - requests allowed per window
+//   windowMs - window length in milliseconds
+//   key      - (req) => string identifying the caller; no key skips the check
+//   message  - error message for rejected requests
+const rateLimit = ({ max, windowMs, key, message = 'Too many requests. Please try again later.' }) => {
+  const hits = new Map();
+
+  // Drop callers with no hits left in the window so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    hits.forEach((times, id) => {
+      if (times[times.length - 1] <= cutoff) hits.delete(id);
+    });
+  }, Math.min(windowMs, 10 * 60 * 1000));
+  sweep.unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    const times = (hits.get(id) || []).filter(time => time > now - windowMs);
+
+    if (times.length >= max) {
+      const retryAfter = Math.ceil((times[0] + windowMs - now) / 1000);
+      hits.set(id, times);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message,
+        retry_after: retryAfter
+      });
+    }
+
+    times.push(now);
+    hits.set(id, times);
+    next();
+  };
+};
+
+export {
+  rateLimit
+};
\ No newline at end of file
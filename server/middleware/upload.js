@@ -0,0 +1,110 @@
+import multer from 'multer';
+import { IMAGE_MIME_TYPES, MAX_IMAGE_BYTES } from '../utils/images.js';
+
+// Human-readable size for error messages, e.g. "5 MB" or "500 KB"
+const formatBytes = (bytes) => {
+  return bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`
+    : `${Math.ceil(bytes / 1024)} KB`;
+};
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported file type. Allowed: ${IMAGE_MIME_TYPES.join(', ')}`);
+      error.status = 415;
+      return callback(error);
+    }
+    callback(null, true);
+  }
+}).single('image');
+
+// Parse a single multipart "image" file into req.file (kept in memory).
+// Responds 413 when it is too large and 415 for other file types.
+const uploadImage = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An image file is required in the "image" field'
+        });
+      }
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Image must be at most ${formatBytes(MAX_IMAGE_BYTES)}`
+      });
+    }
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+// Largest CSV or JSON file accepted for imports
+const MAX_DATA_FILE_BYTES = 2 * 1024 * 1024;
+
+const DATA_FILE_TYPES = {
+  csv: ['text/csv', 'application/vnd.ms-excel'],
+  json: ['application/json']
+};
+
+// Work out whether an uploaded file is CSV or JSON from its type or name
+const dataFileFormat = (file) => {
+  const extension = (file.originalname.match(/\.(\w+)$/) || [])[1];
+  return Object.keys(DATA_FILE_TYPES).find(format => (
+    DATA_FILE_TYPES[format].includes(file.mimetype) || extension?.toLowerCase() === format
+  ));
+};
+
+const dataFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DATA_FILE_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!dataFileFormat(file)) {
+      const error = new Error('Unsupported file type. Upload a .csv or .json file');
+      error.status = 415;
+      return callback(error);
+    }
+    callback(null, true);
+  }
+}).single('file');
+
+// Parse an optional multipart "file" (CSV or JSON) into req.file, with
+// req.file.format set to 'csv' or 'json'. Other requests pass through so
+// the data can be sent as a JSON body instead.
+const uploadDataFile = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  dataFileUpload(req, res, (error) => {
+    if (!error) {
+      if (req.file) req.file.format = dataFileFormat(req.file);
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File must be at most ${formatBytes(MAX_DATA_FILE_BYTES)}`
+      });
+    }
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+export {
+  uploadImage,
+  uploadDataFile
+};
\ No newline at end of file
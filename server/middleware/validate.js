@@ -0,0 +1,22 @@
+import { validate } from '../validation/validator.js';
+
+// Validate req.body against a schema, replacing it with the cleaned value.
+// Responds 422 with a per-field error list when validation fails.
+const validateBody = (schema, options = {}) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+
+  if (errors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+export {
+  validateBody
+};
\ No newline at end of file
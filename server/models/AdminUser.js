@@ -0,0 +1,82 @@
+import bcrypt from 'bcryptjs';
+import { dbHelpers } from '../config/database.js';
+
+const SALT_ROUNDS = 12;
+
+// Hash compared against when there is no user, so a login for an unknown
+// email takes as long as one with a wrong password
+const DUMMY_HASH = '$2b$12$6BjU0wqtmraLGSF43SgxR.rZ09ZmuXCYRKVTIXIBDN4ZahJ9y3MUC';
+
+class AdminUserModel {
+  constructor() {
+    this.tableName = 'admin_users';
+  }
+
+  // Create new admin user with a hashed password
+  async create(userData) {
+    const user = {
+      email: userData.email.toLowerCase(),
+      name: userData.name || null,
+      password_hash: await bcrypt.hash(userData.password, SALT_ROUNDS),
+      role: userData.role,
+      is_active: userData.is_active !== false, // Default to true
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    return await dbHelpers.insert(this.tableName, user);
+  }
+
+  // Get admin user by ID
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Get admin user by email
+  async getByEmail(email) {
+    const result = await dbHelpers.select(this.tableName, '*', { email: email.toLowerCase() });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Get admin users by ID, without password hashes
+  async getByIds(ids) {
+    return await dbHelpers.query(this.tableName, {
+      columns: 'id, email, name, role, is_active',
+      filters: [{ column: 'id', operator: 'in', value: ids }]
+    });
+  }
+
+  // Compare a plain text password against the stored hash
+  async verifyPassword(user, password) {
+    if (!user || !user.password_hash) {
+      await bcrypt.compare(password, DUMMY_HASH);
+      return false;
+    }
+    return await bcrypt.compare(password, user.password_hash);
+  }
+
+  // Record a successful login
+  async touchLastLogin(id) {
+    return await dbHelpers.update(this.tableName, id, {
+      last_login_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Strip sensitive fields before sending a user to the client
+  toPublic(user) {
+    if (!user) return null;
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+  }
+}
+
+const adminUserModel = new AdminUserModel();
+export default adminUserModel;
\ No newline at end of file
@@ -0,0 +1,53 @@
+import { dbHelpers } from '../config/database.js';
+
+// Days on which no events can be booked
+class BlackoutDateModel {
+  constructor() {
+    this.tableName = 'blackout_dates';
+  }
+
+  // Blackout dates in a range (inclusive), earliest first
+  async getAll({ from, to } = {}) {
+    const filters = [];
+    if (from) filters.push({ column: 'date', operator: 'gte', value: from });
+    if (to) filters.push({ column: 'date', operator: 'lte', value: to });
+
+    return await dbHelpers.query(this.tableName, {
+      filters,
+      order: [{ column: 'date', ascending: true }]
+    });
+  }
+
+  // Get blackout by ID
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Get the blackout for a date, if any
+  async getByDate(date) {
+    const result = await dbHelpers.select(this.tableName, '*', { date });
+    return {
+      data: result.data ? result.data[0] || null : null,
+      error: result.error
+    };
+  }
+
+  async create({ date, reason }) {
+    return await dbHelpers.insert(this.tableName, {
+      date,
+      reason: reason || null,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  async delete(id) {
+    return await dbHelpers.delete(this.tableName, id);
+  }
+}
+
+const blackoutDateModel = new BlackoutDateModel();
+export default blackoutDateModel;
\ No newline at end of file
@@ -0,0 +1,191 @@
+import { dbHelpers } from '../config/database.js';
+import { pagedQuery } from '../utils/pagination.js';
+import { dateRange } from '../utils/dates.js';
+import { bookingConfig, BOOKING_CAPACITY_SETTING } from '../config/bookings.js';
+import BlackoutDateModel from './BlackoutDate.js';
+import SettingModel from './Setting.js';
+
+// Values of the booking_status enum
+const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+
+// Fields that can be changed after a booking is made
+const UPDATABLE_FIELDS = ['event_date', 'guests', 'event_type', 'notes'];
+
+class BookingModel {
+  constructor() {
+    this.tableName = 'bookings';
+    this.statuses = BOOKING_STATUSES;
+  }
+
+  // Build database filters from listing options
+  buildFilters({ status, from, to } = {}) {
+    const filters = [];
+
+    if (status) {
+      filters.push({ column: 'status', operator: 'eq', value: status });
+    }
+    if (from) {
+      filters.push({ column: 'event_date', operator: 'gte', value: from });
+    }
+    if (to) {
+      filters.push({ column: 'event_date', operator: 'lte', value: to });
+    }
+
+    return filters;
+  }
+
+  // Bookings by event date, earliest first
+  async findAll(options = {}) {
+    const { limit, offset, cursor } = options;
+
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters: this.buildFilters(options),
+      sort: 'event_date',
+      ascending: true,
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Get booking by ID
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Get the confirmed booking made from an inquiry, if any
+  async getByContactMessage(contactMessageId) {
+    const result = await dbHelpers.select(this.tableName, '*', { contact_message_id: contactMessageId, status: 'confirmed' });
+    return {
+      data: result.data ? result.data[0] || null : null,
+      error: result.error
+    };
+  }
+
+  // Confirm a booking for an inquiry if its date can take the guests. The
+  // capacity check and insert run atomically in the database
+  // (create_booking in schema.sql). Resolves { booking, availability }, with
+  // booking null when the date is a blackout or full. A second confirmed
+  // booking for the same inquiry fails with error code 23505.
+  async create(bookingData) {
+    return await dbHelpers.rpc('create_booking', {
+      booking: {
+        contact_message_id: bookingData.contact_message_id || null,
+        event_date: bookingData.event_date,
+        guests: bookingData.guests,
+        event_type: bookingData.event_type || null,
+        customer_name: bookingData.customer_name,
+        customer_email: bookingData.customer_email,
+        notes: bookingData.notes || null,
+        created_by: bookingData.created_by || null
+      },
+      default_capacity: bookingConfig.defaultDailyCapacity
+    });
+  }
+
+  // Update a confirmed booking, rechecking capacity atomically when it moves
+  // or grows (update_booking in schema.sql). Resolves { booking, availability }
+  // like create; both are null when the booking is no longer confirmed.
+  async update(id, bookingData) {
+    const changes = Object.fromEntries(
+      Object.entries(bookingData).filter(([field]) => UPDATABLE_FIELDS.includes(field))
+    );
+
+    return await dbHelpers.rpc('update_booking', {
+      booking_id: id,
+      changes,
+      default_capacity: bookingConfig.defaultDailyCapacity
+    });
+  }
+
+  // Cancel a booking, freeing its capacity
+  async cancel(id) {
+    return await dbHelpers.update(this.tableName, id, {
+      status: 'cancelled',
+      cancelled_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Daily guest capacity (admin-adjustable, see config/bookings.js)
+  async getCapacity() {
+    return await SettingModel.get(BOOKING_CAPACITY_SETTING, bookingConfig.defaultDailyCapacity);
+  }
+
+  async setCapacity(capacity) {
+    return await SettingModel.set(BOOKING_CAPACITY_SETTING, capacity);
+  }
+
+  // Confirmed guests per date in a range, as { 'YYYY-MM-DD': guests }
+  async getGuestTotals(from, to) {
+    const filters = this.buildFilters({ status: 'confirmed', from, to });
+
+    const result = await dbHelpers.query(this.tableName, { columns: 'id, event_date, guests', filters });
+    if (result.error) {
+      return { data: null, error: result.error };
+    }
+
+    const totals = {};
+    result.data.forEach(booking => {
+      totals[booking.event_date] = (totals[booking.event_date] || 0) + booking.guests;
+    });
+    return { data: totals, error: null };
+  }
+
+  // Availability of every date in a range (inclusive):
+  //   { date, status: 'open' | 'full' | 'blackout', capacity, booked_guests, remaining_guests, reason }
+  async getAvailability(from, to) {
+    const [capacity, totals, blackouts] = await Promise.all([
+      this.getCapacity(),
+      this.getGuestTotals(from, to),
+      BlackoutDateModel.getAll({ from, to })
+    ]);
+
+    const failed = [capacity, totals, blackouts].find(result => result.error);
+    if (failed) {
+      return { data: null, error: failed.error };
+    }
+
+    const blackoutByDate = new Map(blackouts.data.map(blackout => [blackout.date, blackout]));
+
+    return {
+      data: dateRange(from, to).map(date => {
+        const booked = totals.data[date] || 0;
+        const blackout = blackoutByDate.get(date);
+        const remaining = blackout ? 0 : Math.max(capacity.data - booked, 0);
+        return {
+          date,
+          status: blackout ? 'blackout' : remaining > 0 ? 'open' : 'full',
+          capacity: capacity.data,
+          booked_guests: booked,
+          remaining_guests: remaining,
+          reason: blackout ? blackout.reason : null
+        };
+      }),
+      error: null
+    };
+  }
+
+  // Check whether a date can take more guests. Resolves the date's
+  // availability plus fits: true when the guests fit. Advisory only; create
+  // and update repeat the check atomically.
+  async checkAvailability(date, guests) {
+    const result = await this.getAvailability(date, date);
+    if (result.error) {
+      return { data: null, error: result.error };
+    }
+
+    const [day] = result.data;
+    return {
+      data: { ...day, fits: day.status !== 'blackout' && guests <= day.remaining_guests },
+      error: null
+    };
+  }
+}
+
+const bookingModel = new BookingModel();
+export default bookingModel;
\ No newline at end of file
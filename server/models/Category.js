@@ -0,0 +1,80 @@
+import { dbHelpers } from '../config/database.js';
+
+class CategoryModel {
+  constructor() {
+    this.tableName = 'categories';
+  }
+
+  // All categories in display order
+  async getAll() {
+    return await dbHelpers.query(this.tableName, {
+      order: [
+        { column: 'sort_order', ascending: true },
+        { column: 'name', ascending: true }
+      ]
+    });
+  }
+
+  // Get category by ID (slug)
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Create new category. Without a sort_order it goes to the end of the list.
+  async create(categoryData) {
+    let sortOrder = categoryData.sort_order;
+
+    if (sortOrder === undefined || sortOrder === null) {
+      const last = await dbHelpers.query(this.tableName, {
+        columns: 'sort_order',
+        order: [{ column: 'sort_order', ascending: false }],
+        limit: 1
+      });
+      if (last.error) return { data: null, error: last.error };
+      sortOrder = last.data.length > 0 ? last.data[0].sort_order + 1 : 1;
+    }
+
+    const category = {
+      id: categoryData.id,
+      name: categoryData.name,
+      description: categoryData.description || null,
+      image_url: categoryData.image_url || null,
+      sort_order: sortOrder,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    return await dbHelpers.insert(this.tableName, category);
+  }
+
+  // Update category
+  async update(id, categoryData) {
+    const updateData = {
+      ...categoryData,
+      updated_at: new Date().toISOString()
+    };
+
+    return await dbHelpers.update(this.tableName, id, updateData);
+  }
+
+  // Set sort_order from a list of ids (first id is shown first), all in
+  // one update
+  async reorder(ids) {
+    return await dbHelpers.rpc('reorder_categories', { category_ids: ids });
+  }
+
+  // Delete category, first moving its dishes to reassignTo when given, in
+  // one transaction (delete_category in schema.sql). Refused by the
+  // database, moving nothing, while dishes still use it. Resolves the moved
+  // dishes as [{ dish, previous }], or null when there is no such category.
+  async delete(id, { reassignTo = null } = {}) {
+    return await dbHelpers.rpc('delete_category', { category_id: id, reassign_to: reassignTo });
+  }
+}
+
+const categoryModel = new CategoryModel();
+export default categoryModel;
\ No newline at end of file
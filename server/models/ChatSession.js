@@ -0,0 +1,78 @@
+import { dbHelpers } from '../config/database.js';
+import { pagedQuery } from '../utils/pagination.js';
+
+class ChatSessionModel {
+  constructor() {
+    this.tableName = 'chat_sessions';
+    this.messagesTableName = 'chat_messages';
+  }
+
+  // Get session by ID
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // List sessions, most recently active first
+  async findAll({ limit, offset, cursor } = {}) {
+    return await pagedQuery(dbHelpers, this.tableName, {
+      sort: 'updated_at',
+      ascending: false,
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Delete a session and (by cascade) its messages
+  async delete(id) {
+    return await dbHelpers.delete(this.tableName, id);
+  }
+
+  // Delete every session with no activity since the cutoff, with its messages
+  async deleteInactiveBefore(cutoff) {
+    return await dbHelpers.deleteWhere(this.tableName, [
+      { column: 'updated_at', operator: 'lt', value: cutoff }
+    ]);
+  }
+
+  // Get the turns of a session in chronological order
+  async getMessages(sessionId, { limit = null } = {}) {
+    if (limit) {
+      // Newest turns first, then restore chronological order
+      const result = await dbHelpers.query(this.messagesTableName, {
+        filters: [{ column: 'session_id', operator: 'eq', value: sessionId }],
+        order: [{ column: 'created_at', ascending: false }],
+        limit
+      });
+      return {
+        data: result.data ? result.data.reverse() : null,
+        error: result.error
+      };
+    }
+
+    return await dbHelpers.query(this.messagesTableName, {
+      filters: [{ column: 'session_id', operator: 'eq', value: sessionId }],
+      order: [{ column: 'created_at', ascending: true }]
+    });
+  }
+
+  // Store a user turn, sent at receivedAt, and the assistant reply. A new
+  // session (isNew) is created along with its first exchange. Resolves the
+  // session, or null when an existing one has since been deleted.
+  async addExchange(sessionId, { isNew = false, userMessage, assistantMessage, receivedAt }) {
+    return await dbHelpers.rpc('add_chat_exchange', {
+      chat_session_id: sessionId,
+      is_new: isNew,
+      user_message: userMessage,
+      assistant_message: assistantMessage,
+      received_at: receivedAt
+    });
+  }
+}
+
+const chatSessionModel = new ChatSessionModel();
+export default chatSessionModel;
\ No newline at end of file
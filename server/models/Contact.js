@@ -1,12 +1,148 @@
-import { dbHelpers } from '../config/supabase.js';
+import { dbHelpers } from '../config/database.js';
+import { pagedQuery, keysetBatches } from '../utils/pagination.js';
+import { parseQuery, highlightRow, escapeLike, MESSAGE_SEARCH_FIELDS } from '../utils/search.js';
+import { normalizeMessage } from '../utils/spam.js';
+
+// Values of the contact_status enum
+const CONTACT_STATUSES = ['new', 'in_progress', 'completed', 'archived', 'spam'];
+
+// Columns inbox listings can be sorted by
+const SORTABLE_COLUMNS = ['created_at', 'updated_at', 'preferred_date', 'guests', 'name'];
+
+// Columns written to exports, in order
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'status', 'name', 'email', 'phone', 'event_type', 'guests',
+  'preferred_date', 'message', 'assigned_to', 'in_progress_at', 'completed_at',
+  'spam_score', 'spam_reasons', 'updated_at'
+];
+
+// Messages in the trash are left out of every query unless asked for
+const NOT_DELETED = { column: 'deleted_at', operator: 'is', value: null };
+const IN_TRASH = { not: NOT_DELETED };
 
 class ContactModel {
   constructor() {
     this.tableName = 'contact_messages';
+    this.statuses = CONTACT_STATUSES;
+    this.sortableColumns = SORTABLE_COLUMNS;
+    this.exportColumns = EXPORT_COLUMNS;
+  }
+
+  // Build database filters from inbox listing options. Spam is left out
+  // unless it is asked for with status 'spam'. assignedTo is a user id, or
+  // null for unassigned messages. Deleted messages are always left out.
+  buildFilters({ status, eventType, assignedTo, createdFrom, createdTo, dateFrom, dateTo, minGuests, maxGuests } = {}) {
+    const filters = [NOT_DELETED];
+
+    if (status) {
+      filters.push({ column: 'status', operator: 'eq', value: status });
+    } else {
+      filters.push({ column: 'status', operator: 'neq', value: 'spam' });
+    }
+    if (eventType) {
+      filters.push({ column: 'event_type', operator: 'ilike', value: escapeLike(eventType) });
+    }
+    if (assignedTo !== undefined) {
+      filters.push(assignedTo === null
+        ? { column: 'assigned_to', operator: 'is', value: null }
+        : { column: 'assigned_to', operator: 'eq', value: assignedTo });
+    }
+    if (createdFrom) {
+      filters.push({ column: 'created_at', operator: 'gte', value: createdFrom });
+    }
+    if (createdTo) {
+      filters.push({ column: 'created_at', operator: 'lte', value: createdTo });
+    }
+    if (dateFrom) {
+      filters.push({ column: 'preferred_date', operator: 'gte', value: dateFrom });
+    }
+    if (dateTo) {
+      filters.push({ column: 'preferred_date', operator: 'lte', value: dateTo });
+    }
+    if (minGuests !== undefined && minGuests !== null) {
+      filters.push({ column: 'guests', operator: 'gte', value: minGuests });
+    }
+    if (maxGuests !== undefined && maxGuests !== null) {
+      filters.push({ column: 'guests', operator: 'lte', value: maxGuests });
+    }
+
+    return filters;
+  }
+
+  // Filtered, sorted and paginated inbox listing
+  async findAll(options = {}) {
+    const { sort = 'created_at', order = 'desc', limit, offset, cursor } = options;
+
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters: this.buildFilters(options),
+      sort,
+      ascending: order === 'asc',
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Every message matching listing options, in batches (see keysetBatches)
+  exportBatches(options = {}) {
+    const { sort = 'created_at', order = 'desc' } = options;
+
+    return keysetBatches(dbHelpers, this.tableName, {
+      filters: this.buildFilters(options),
+      sort,
+      ascending: order === 'asc',
+      columns: this.exportColumns.join(', ')
+    });
+  }
+
+  // Count messages matching listing options
+  async count(options = {}) {
+    return await dbHelpers.count(this.tableName, this.buildFilters(options));
+  }
+
+  // Inbox statistics computed with count queries in the database, and
+  // response times with contact_response_times in schema.sql
+  async getStats(recentDays = 30) {
+    const recentThreshold = new Date();
+    recentThreshold.setDate(recentThreshold.getDate() - recentDays);
+
+    const [total, recent, responses, ...byStatus] = await Promise.all([
+      this.count(),
+      this.count({ createdFrom: recentThreshold.toISOString() }),
+      dbHelpers.rpc('contact_response_times', { since: recentThreshold.toISOString() }),
+      ...this.statuses.map(status => this.count({ status }))
+    ]);
+
+    const failed = [total, recent, responses, ...byStatus].find(result => result.error);
+    if (failed) {
+      return { data: null, error: failed.error };
+    }
+
+    const statusBreakdown = Object.fromEntries(
+      this.statuses.map((status, index) => [status, byStatus[index].count])
+    );
+
+    return {
+      data: {
+        total_messages: total.count,
+        new_messages: statusBreakdown.new,
+        recent_messages: recent.count,
+        status_breakdown: statusBreakdown,
+        // Over messages received in the last recentDays
+        response_times: {
+          period_days: recentDays,
+          new_to_in_progress: responses.data.new_to_in_progress,
+          in_progress_to_completed: responses.data.in_progress_to_completed,
+          new_to_completed: responses.data.new_to_completed
+        }
+      },
+      error: null
+    };
   }
 
-  // Create new contact message
-  async create(contactData) {
+  // Create new contact message. spam carries the spam check result:
+  // { flagged, score, reasons }; flagged messages get status 'spam'.
+  async create(contactData, spam = { flagged: false, score: 0, reasons: [] }) {
     const contact = {
       name: contactData.name,
       email: contactData.email,
@@ -15,7 +151,9 @@ class ContactModel {
       guests: contactData.guests || null,
       preferred_date: contactData.date || null,
       message: contactData.message,
-      status: 'new',
+      status: spam.flagged ? 'spam' : 'new',
+      spam_score: spam.score,
+      spam_reasons: spam.reasons,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -23,78 +161,166 @@ class ContactModel {
     return await dbHelpers.insert(this.tableName, contact);
   }
 
+  // Find an earlier message with the same email and text sent since a date
+  async findDuplicate(email, message, since) {
+    const result = await dbHelpers.query(this.tableName, {
+      filters: [
+        { column: 'email', operator: 'ilike', value: escapeLike(email) },
+        { column: 'created_at', operator: 'gte', value: since },
+        NOT_DELETED
+      ],
+      order: [{ column: 'created_at', ascending: false }]
+    });
+
+    if (result.error) {
+      return { data: null, error: result.error };
+    }
+
+    const text = normalizeMessage(message);
+    return {
+      data: result.data.find(existing => normalizeMessage(existing.message) === text) || null,
+      error: null
+    };
+  }
+
   // Get all contact messages
   async getAll(status = null) {
-    const filters = status ? { status } : {};
-    return await dbHelpers.select(this.tableName, '*', filters);
+    const filters = status ? [{ column: 'status', operator: 'eq', value: status }] : [];
+    return await dbHelpers.query(this.tableName, { filters: [...filters, NOT_DELETED] });
   }
 
-  // Get contact message by ID
-  async getById(id) {
-    const result = await dbHelpers.select(this.tableName, '*', { id });
+  // Get contact message by ID. Deleted messages are only found with
+  // includeDeleted.
+  async getById(id, { includeDeleted = false } = {}) {
+    const result = await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'id', operator: 'eq', value: id }, ...(includeDeleted ? [] : [NOT_DELETED])]
+    });
     return {
-      data: result.data ? result.data[0] : null,
+      data: result.data ? result.data[0] || null : null,
       error: result.error
     };
   }
 
-  // Update contact message status
-  async updateStatus(id, status) {
-    const updateData = {
+  // Deleted messages, most recently deleted first, paginated like findAll
+  async getTrash({ limit, offset, cursor } = {}) {
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters: [IN_TRASH],
+      sort: 'deleted_at',
+      ascending: false,
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Move a message to a new status, recording when it first reached
+  // in_progress and completed. Resolves no rows when the message's status
+  // changed since it was read.
+  async updateStatus(message, status) {
+    const now = new Date().toISOString();
+
+    return await dbHelpers.updateWhere(this.tableName, [
+      { column: 'id', operator: 'eq', value: message.id },
+      { column: 'status', operator: 'eq', value: message.status },
+      NOT_DELETED
+    ], {
       status,
-      updated_at: new Date().toISOString()
-    };
+      ...(status === 'in_progress' && !message.in_progress_at && { in_progress_at: now }),
+      ...(status === 'completed' && !message.completed_at && { completed_at: now }),
+      updated_at: now
+    });
+  }
 
-    return await dbHelpers.update(this.tableName, id, updateData);
+  // Assign a message to a user, or unassign it with null
+  async assign(id, userId) {
+    return await dbHelpers.updateWhere(this.tableName, [{ column: 'id', operator: 'eq', value: id }, NOT_DELETED], {
+      assigned_to: userId,
+      updated_at: new Date().toISOString()
+    });
   }
 
-  // Delete contact message
+  // Move a message to the trash. Resolves no rows when it doesn't exist or
+  // is already deleted.
   async delete(id) {
-    return await dbHelpers.delete(this.tableName, id);
+    return await dbHelpers.updateWhere(this.tableName, [{ column: 'id', operator: 'eq', value: id }, NOT_DELETED], {
+      deleted_at: new Date().toISOString()
+    });
+  }
+
+  // Take a message out of the trash. Resolves no rows when it isn't there.
+  async restore(id) {
+    return await dbHelpers.updateWhere(this.tableName, [{ column: 'id', operator: 'eq', value: id }, IN_TRASH], {
+      deleted_at: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Delete a message in the trash for good, along with its timeline and
+  // quotes, only if it was deleted before the given date when there is one.
+  // Resolves the deleted rows, so none means it was not in the trash.
+  async purge(id, { before = null } = {}) {
+    const filters = [{ column: 'id', operator: 'eq', value: id }, IN_TRASH];
+    if (before) filters.push({ column: 'deleted_at', operator: 'lt', value: before });
+    return await dbHelpers.deleteWhere(this.tableName, filters);
+  }
+
+  // Messages deleted before a date, due to be purged
+  async getDeletedBefore(date) {
+    return await dbHelpers.query(this.tableName, {
+      columns: 'id, deleted_at',
+      filters: [{ column: 'deleted_at', operator: 'lt', value: date }],
+      order: [{ column: 'deleted_at', ascending: true }]
+    });
   }
 
   // Get messages by status
   async getByStatus(status) {
-    return await dbHelpers.select(this.tableName, '*', { status });
+    return await this.getAll(status);
   }
 
   // Get recent messages (last 30 days)
   async getRecent(days = 30) {
-    try {
-      const { supabase } = await import('../config/supabase.js');
-      const dateThreshold = new Date();
-      dateThreshold.setDate(dateThreshold.getDate() - days);
-
-      const { data, error } = await supabase
-        .from(this.tableName)
-        .select('*')
-        .gte('created_at', dateThreshold.toISOString())
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      return { data, error: null };
-    } catch (error) {
-      console.error('Error getting recent messages:', error);
-      return { data: null, error };
-    }
+    const dateThreshold = new Date();
+    dateThreshold.setDate(dateThreshold.getDate() - days);
+
+    return await dbHelpers.query(this.tableName, {
+      filters: this.buildFilters({ createdFrom: dateThreshold.toISOString() }),
+      order: [{ column: 'created_at', ascending: false }]
+    });
   }
 
-  // Search messages by email or name
-  async search(searchTerm) {
-    try {
-      const { supabase } = await import('../config/supabase.js');
-      const { data, error } = await supabase
-        .from(this.tableName)
-        .select('*')
-        .or(`name.ilike.%${searchTerm}%,email.ilike.%${searchTerm}%`)
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
-      return { data, error: null };
-    } catch (error) {
-      console.error('Error searching messages:', error);
-      return { data: null, error };
+  // Full-text search over name, email, phone, event type and message body,
+  // matched and ranked in the database (search_contact_messages in
+  // schema.sql), best matches first. Spam is left out unless status is
+  // 'spam'. Each result gets search_rank and highlights (HTML snippets with
+  // <mark> around matched words).
+  async search(searchTerm, { limit = 50, offset = 0, status = null } = {}) {
+    const terms = parseQuery(searchTerm);
+
+    if (terms.length === 0) {
+      return { data: [], error: null, total: 0, hasMore: false };
+    }
+
+    const result = await dbHelpers.rpc('search_contact_messages', {
+      search_terms: terms,
+      filter_status: status || null,
+      result_limit: limit,
+      result_offset: offset
+    });
+
+    if (result.error) {
+      return { data: null, error: result.error };
     }
+
+    return {
+      data: result.data.rows.map(row => ({
+        ...row,
+        highlights: highlightRow(row, searchTerm, MESSAGE_SEARCH_FIELDS)
+      })),
+      error: null,
+      total: result.data.total,
+      hasMore: offset + limit < result.data.total
+    };
   }
 }
 
@@ -1,36 +1,256 @@
-import { dbHelpers } from '../config/supabase.js';
+import { dbHelpers } from '../config/database.js';
+import { pagedQuery, keysetBatches, keysetFilter, keysetOrder, encodeCursor } from '../utils/pagination.js';
+import { ALLERGENS, DIETS, inferAllergens } from '../utils/dietary.js';
+import { parseQuery, highlightRow, DISH_SEARCH_FIELDS } from '../utils/search.js';
+import { isAvailableAt, normalizeSchedule } from '../utils/availability.js';
+import { restaurantConfig } from '../config/restaurant.js';
+
+// Columns dish listings can be sorted by
+const SORTABLE_COLUMNS = ['price', 'title', 'created_at'];
+
+// Columns written to exports, in order
+const EXPORT_COLUMNS = [
+  'id', 'external_key', 'title', 'description', 'category', 'price', 'ingredients', 'allergens', 'diets',
+  'is_featured', 'is_available', 'availability_schedule', 'image_url', 'created_at', 'updated_at'
+];
+
+// Dishes in the trash are left out of every query unless asked for
+const NOT_DELETED = { column: 'deleted_at', operator: 'is', value: null };
+const IN_TRASH = { not: NOT_DELETED };
+
+// Drop the rows of each batch that fail a check, skipping emptied batches
+async function* filterBatches(batches, keep) {
+  for await (const batch of batches) {
+    const kept = batch.filter(keep);
+    if (kept.length > 0) yield kept;
+  }
+}
+
+// Compare tag lists ignoring order
+const sameTags = (current, suggested) => {
+  return (current || []).length === suggested.length && suggested.every(tag => current.includes(tag));
+};
+
+// Row for a new dish. Allergens not given are inferred from the
+// ingredients; diets are only ever set by hand.
+const newDishRow = (dishData) => ({
+  title: dishData.title,
+  description: dishData.description,
+  category: dishData.category,
+  image_url: dishData.image_url || null,
+  price: dishData.price ?? null,
+  ingredients: dishData.ingredients || [],
+  allergens: dishData.allergens ?? inferAllergens(dishData.ingredients),
+  diets: dishData.diets || [],
+  is_featured: dishData.is_featured || false,
+  is_available: dishData.is_available !== false, // Default to true
+  availability_schedule: normalizeSchedule(dishData.availability_schedule),
+  external_key: dishData.external_key || null
+});
+
+// Columns to write when updating the dish current. When the ingredients
+// change, allergens that still match the old inference are re-inferred;
+// allergens edited by hand are kept.
+const dishChanges = (current, dishData) => {
+  const changes = { ...dishData };
+
+  if ('availability_schedule' in dishData) {
+    changes.availability_schedule = normalizeSchedule(dishData.availability_schedule);
+  }
+
+  if (current && dishData.ingredients && dishData.allergens === undefined &&
+      sameTags(current.allergens, inferAllergens(current.ingredients))) {
+    changes.allergens = inferAllergens(dishData.ingredients);
+  }
+
+  return changes;
+};
 
 class DishModel {
   constructor() {
     this.tableName = 'dishes';
+    this.sortableColumns = SORTABLE_COLUMNS;
+    this.exportColumns = EXPORT_COLUMNS;
+    this.allergens = ALLERGENS;
+    this.diets = DIETS;
+  }
+
+  // Build database filters from any combination of listing options
+  // (text search is handled by search(), not by a database filter).
+  // Deleted dishes are always left out. Availability depends on the time of
+  // day, so available only narrows to dishes that could be available (true:
+  // is_available set) or unavailable (false: is_available unset, or a
+  // schedule); matchesAvailability() makes the final check.
+  buildFilters({ category, featured, available, minPrice, maxPrice, diets, excludeAllergens } = {}) {
+    const filters = [NOT_DELETED];
+
+    if (category) {
+      filters.push({ column: 'category', operator: 'eq', value: category });
+    }
+    if (featured !== undefined && featured !== null) {
+      filters.push({ column: 'is_featured', operator: 'eq', value: featured });
+    }
+    if (available === true) {
+      filters.push({ column: 'is_available', operator: 'eq', value: true });
+    }
+    if (available === false) {
+      filters.push({
+        or: [
+          { column: 'is_available', operator: 'eq', value: false },
+          { not: { column: 'availability_schedule', operator: 'is', value: null } }
+        ]
+      });
+    }
+    if (minPrice !== undefined && minPrice !== null) {
+      filters.push({ column: 'price', operator: 'gte', value: minPrice });
+    }
+    if (maxPrice !== undefined && maxPrice !== null) {
+      filters.push({ column: 'price', operator: 'lte', value: maxPrice });
+    }
+    if (diets && diets.length > 0) {
+      filters.push({ column: 'diets', operator: 'contains', value: diets });
+    }
+    if (excludeAllergens && excludeAllergens.length > 0) {
+      filters.push({ not: { column: 'allergens', operator: 'overlaps', value: excludeAllergens } });
+    }
+    return filters;
+  }
+
+  // Whether a dish passes the available listing option: any dish when it
+  // isn't given, otherwise dishes that are (or aren't) available at now
+  matchesAvailability(dish, available, now = new Date()) {
+    if (available === undefined || available === null) return true;
+    return isAvailableAt(dish, now) === available;
+  }
+
+  // Filtered, sorted and paginated dish listing. With options.search the
+  // results are ranked by relevance (see search()).
+  async findAll(options = {}) {
+    if (options.search) {
+      return await this.search(options.search, options);
+    }
+    if (options.available !== undefined && options.available !== null) {
+      return await this.findByAvailability(options);
+    }
+
+    const { sort = 'created_at', order = 'desc', limit, offset, cursor } = options;
+
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters: this.buildFilters(options),
+      sort,
+      ascending: order === 'asc',
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Listing with the available option. Schedules are checked here rather
+  // than in the database, so every dish the filters narrow to is read and
+  // checked before paging; total and pages count only matching dishes.
+  // Cursors work like pagedQuery's, in the same (column, id) order.
+  async findByAvailability(options) {
+    const { sort = 'created_at', order = 'desc', limit = 50, offset = 0, cursor = null, available } = options;
+    const ascending = order === 'asc';
+    const filters = this.buildFilters(options);
+
+    const [matching, afterCursor] = await Promise.all([
+      dbHelpers.query(this.tableName, { filters, order: keysetOrder(sort, ascending) }),
+      cursor
+        ? dbHelpers.query(this.tableName, { filters: [...filters, keysetFilter(sort, ascending, cursor)], order: keysetOrder(sort, ascending) })
+        : null
+    ]);
+
+    const failed = [matching, afterCursor].find(result => result && result.error);
+    if (failed) return { data: null, error: failed.error };
+
+    const now = new Date();
+    const keep = dish => this.matchesAvailability(dish, available, now);
+    const dishes = matching.data.filter(keep);
+    const rest = cursor ? afterCursor.data.filter(keep) : dishes.slice(offset);
+
+    const hasMore = rest.length > limit;
+    const data = rest.slice(0, limit);
+
+    return {
+      data,
+      error: null,
+      total: dishes.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+    };
+  }
+
+  // Every dish matching listing options, in batches (see keysetBatches)
+  exportBatches(options = {}) {
+    const { sort = 'created_at', order = 'desc', available } = options;
+
+    const batches = keysetBatches(dbHelpers, this.tableName, {
+      filters: this.buildFilters(options),
+      sort,
+      ascending: order === 'asc',
+      columns: this.exportColumns.join(', ')
+    });
+
+    if (available === undefined || available === null) return batches;
+
+    const now = new Date();
+    return filterBatches(batches, dish => this.matchesAvailability(dish, available, now));
   }
 
   // Get all dishes with optional category filter
   async getAll(category = null) {
-    const filters = category ? { category } : {};
-    return await dbHelpers.select(this.tableName, '*', filters);
+    return await dbHelpers.query(this.tableName, { filters: this.buildFilters({ category }) });
+  }
+
+  // Get dish by ID. Deleted dishes are only found with includeDeleted.
+  async getById(id, { includeDeleted = false } = {}) {
+    const result = await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'id', operator: 'eq', value: id }, ...(includeDeleted ? [] : [NOT_DELETED])]
+    });
+    return {
+      data: result.data ? result.data[0] || null : null,
+      error: result.error
+    };
+  }
+
+  // Get several dishes by ID (missing and deleted ones are left out)
+  async getByIds(ids) {
+    return await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'id', operator: 'in', value: ids }, NOT_DELETED]
+    });
+  }
+
+  // Deleted dishes, most recently deleted first, paginated like findAll
+  async getTrash({ limit, offset, cursor } = {}) {
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters: [IN_TRASH],
+      sort: 'deleted_at',
+      ascending: false,
+      limit,
+      offset,
+      cursor
+    });
   }
 
-  // Get dish by ID
-  async getById(id) {
-    const result = await dbHelpers.select(this.tableName, '*', { id });
+  // External keys held by deleted dishes, which new dishes can't reuse
+  // until those are purged
+  async getTrashedKeys() {
+    const result = await dbHelpers.query(this.tableName, {
+      columns: 'external_key',
+      filters: [IN_TRASH, { not: { column: 'external_key', operator: 'is', value: null } }]
+    });
     return {
-      data: result.data ? result.data[0] : null,
+      data: result.data ? result.data.map(dish => dish.external_key) : null,
       error: result.error
     };
   }
 
-  // Create new dish
+  // Create new dish. Allergens not given are inferred from the ingredients;
+  // diets are only ever set by hand.
   async create(dishData) {
     const dish = {
-      title: dishData.title,
-      description: dishData.description,
-      category: dishData.category,
-      image_url: dishData.image_url || null,
-      price: dishData.price || null,
-      ingredients: dishData.ingredients || [],
-      is_featured: dishData.is_featured || false,
-      is_available: dishData.is_available !== false, // Default to true
+      ...newDishRow(dishData),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -38,51 +258,167 @@ class DishModel {
     return await dbHelpers.insert(this.tableName, dish);
   }
 
-  // Update dish
+  // Update dish. When the ingredients change, allergens that still match
+  // the old inference are re-inferred; allergens edited by hand are kept.
   async update(id, dishData) {
-    const updateData = {
-      ...dishData,
+    let current = null;
+
+    if (dishData.ingredients && dishData.allergens === undefined) {
+      const result = await this.getById(id);
+      if (result.error) return { data: null, error: result.error };
+      current = result.data;
+    }
+
+    return await dbHelpers.updateWhere(this.tableName, this.idFilters(id), {
+      ...dishChanges(current, dishData),
       updated_at: new Date().toISOString()
-    };
+    });
+  }
+
+  // Create and update dishes in one transaction (import_dishes in
+  // schema.sql), so either every change is saved or none is. creates are
+  // dish data as for create(); updates are { current, dishData } with the
+  // dish as it is now. Resolves { created, updated }, the saved rows in the
+  // order given.
+  async importDishes({ creates = [], updates = [] }) {
+    return await dbHelpers.rpc('import_dishes', {
+      changes: {
+        creates: creates.map(newDishRow),
+        updates: updates.map(({ current, dishData }) => ({ id: current.id, changes: dishChanges(current, dishData) }))
+      }
+    });
+  }
+
+  // Store the renditions of an uploaded image (null clears the image)
+  async setImage(id, image) {
+    return await dbHelpers.updateWhere(this.tableName, this.idFilters(id), {
+      image_url: image ? image.renditions.hero.url : null,
+      image_renditions: image ? image.renditions : null,
+      image_placeholder: image ? image.placeholder : null,
+      updated_at: new Date().toISOString()
+    });
+  }
 
-    return await dbHelpers.update(this.tableName, id, updateData);
+  // Filters matching one dish that isn't deleted
+  idFilters(id) {
+    return [{ column: 'id', operator: 'eq', value: id }, NOT_DELETED];
   }
 
-  // Delete dish
+  // Number of dishes in each category, e.g. { mains: 4 }. Deleted dishes
+  // are only counted with includeDeleted.
+  async countByCategory({ includeDeleted = false } = {}) {
+    const result = await dbHelpers.query(this.tableName, {
+      columns: 'category',
+      filters: includeDeleted ? [] : [NOT_DELETED]
+    });
+    if (result.error) return { data: null, error: result.error };
+
+    const counts = {};
+    result.data.forEach(({ category }) => {
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    return { data: counts, error: null };
+  }
+
+  // Move a dish to the trash. Resolves no rows when it doesn't exist or is
+  // already deleted.
   async delete(id) {
-    return await dbHelpers.delete(this.tableName, id);
+    return await dbHelpers.updateWhere(this.tableName, this.idFilters(id), {
+      deleted_at: new Date().toISOString()
+    });
+  }
+
+  // Take a dish out of the trash. Resolves no rows when it isn't there.
+  async restore(id) {
+    return await dbHelpers.updateWhere(this.tableName, [{ column: 'id', operator: 'eq', value: id }, IN_TRASH], {
+      deleted_at: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Delete a dish in the trash for good, only if it was deleted before
+  // the given date when there is one. Resolves the deleted rows, so none
+  // means the dish was not in the trash (or was restored meanwhile).
+  async purge(id, { before = null } = {}) {
+    const filters = [{ column: 'id', operator: 'eq', value: id }, IN_TRASH];
+    if (before) filters.push({ column: 'deleted_at', operator: 'lt', value: before });
+    return await dbHelpers.deleteWhere(this.tableName, filters);
+  }
+
+  // Dishes deleted before a date, due to be purged
+  async getDeletedBefore(date) {
+    return await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'deleted_at', operator: 'lt', value: date }],
+      order: [{ column: 'deleted_at', ascending: true }]
+    });
   }
 
   // Get dishes by category
   async getByCategory(category) {
-    return await dbHelpers.select(this.tableName, '*', { category });
+    return await dbHelpers.query(this.tableName, { filters: this.buildFilters({ category }) });
   }
 
   // Get featured dishes
   async getFeatured() {
-    return await dbHelpers.select(this.tableName, '*', { is_featured: true });
+    return await dbHelpers.query(this.tableName, { filters: this.buildFilters({ featured: true }) });
   }
 
-  // Get available dishes
+  // Get dishes available right now: is_available set (checked in the
+  // database) and, for dishes with a schedule, inside it
   async getAvailable() {
-    return await dbHelpers.select(this.tableName, '*', { is_available: true });
-  }
-
-  // Search dishes by title or description
-  async search(searchTerm) {
-    try {
-      const { supabase } = await import('../config/supabase.js');
-      const { data, error } = await supabase
-        .from(this.tableName)
-        .select('*')
-        .or(`title.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%`);
-
-      if (error) throw error;
-      return { data, error: null };
-    } catch (error) {
-      console.error('Error searching dishes:', error);
-      return { data: null, error };
+    const result = await dbHelpers.query(this.tableName, { filters: this.buildFilters({ available: true }) });
+    if (result.error) return result;
+
+    const now = new Date();
+    return { data: result.data.filter(dish => isAvailableAt(dish, now)), error: null };
+  }
+
+  // Full-text search over title, category, ingredients and description,
+  // combined with the listing filters, matched and ranked in the database
+  // (search_dishes in schema.sql). Each result gets search_rank and
+  // highlights (HTML snippets with <mark> around matched words). Sorted by
+  // relevance unless sort names a column; paginated with limit/offset.
+  async search(searchTerm, options = {}) {
+    const { sort = 'relevance', order = 'desc', limit = 50, offset = 0, available } = options;
+    const terms = parseQuery(searchTerm);
+
+    if (terms.length === 0) {
+      return { data: [], error: null, total: 0, hasMore: false, nextCursor: null };
+    }
+
+    const result = await dbHelpers.rpc('search_dishes', {
+      search_terms: terms,
+      filter_category: options.category || null,
+      filter_featured: options.featured ?? null,
+      filter_available: available ?? null,
+      min_price: options.minPrice ?? null,
+      max_price: options.maxPrice ?? null,
+      required_diets: options.diets?.length ? options.diets : null,
+      excluded_allergens: options.excludeAllergens?.length ? options.excludeAllergens : null,
+      sort_column: sort,
+      sort_ascending: order === 'asc',
+      result_limit: limit,
+      result_offset: offset,
+      restaurant_timezone: restaurantConfig.timezone
+    });
+
+    if (result.error) {
+      return { data: null, error: result.error };
     }
+
+    const page = result.data.rows.map(row => {
+      const dish = { ...row, highlights: highlightRow(row, searchTerm, DISH_SEARCH_FIELDS) };
+      delete dish.category_name;
+      return dish;
+    });
+
+    return {
+      data: page,
+      error: null,
+      total: result.data.total,
+      hasMore: offset + limit < result.data.total,
+      nextCursor: null
+    };
   }
 }
 
@@ -0,0 +1,139 @@
+import { dbHelpers } from '../config/database.js';
+import { normalizeSchedule } from '../utils/availability.js';
+
+// Values of the revision_action enum. 'baseline' is the state a dish had
+// before its first recorded change, for dishes created before revisions.
+const REVISION_ACTIONS = ['baseline', 'create', 'update', 'import', 'rollback'];
+
+// Dish fields kept in each snapshot and restored by a rollback. Images are
+// managed by the image endpoints and their files aren't kept, so they
+// aren't versioned.
+const REVISION_FIELDS = [
+  'title', 'description', 'category', 'price', 'ingredients', 'allergens', 'diets',
+  'is_featured', 'is_available', 'availability_schedule', 'external_key'
+];
+
+// Tag lists are sets, so their order doesn't count as a change
+const UNORDERED_FIELDS = ['allergens', 'diets'];
+
+// Attempts at taking the next revision number when two saves race
+const MAX_ATTEMPTS = 3;
+
+// Every saved state of a dish, numbered from 1, with who saved it
+class DishRevisionModel {
+  constructor() {
+    this.tableName = 'dish_revisions';
+    this.actions = REVISION_ACTIONS;
+    this.fields = REVISION_FIELDS;
+  }
+
+  // The versioned fields of a dish. Prices stored as DECIMAL can come back
+  // as strings, so they are made numbers; JSONB reorders keys, so schedules
+  // are put back in a fixed shape.
+  snapshot(dish) {
+    return Object.fromEntries(REVISION_FIELDS.map(field => {
+      const value = dish[field] ?? null;
+      if (field === 'price') return [field, value === null ? null : Number(value)];
+      if (field === 'availability_schedule') return [field, normalizeSchedule(value)];
+      if (UNORDERED_FIELDS.includes(field)) return [field, [...(value || [])].sort()];
+      return [field, value];
+    }));
+  }
+
+  // Fields that differ between two snapshots, as [{ field, from, to }].
+  // Snapshots read back from JSONB are normalized again before comparing.
+  diff(from, to) {
+    const [before, after] = [this.snapshot(from), this.snapshot(to)];
+    return REVISION_FIELDS
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, from: before[field], to: after[field] }));
+  }
+
+  // A dish's revisions, newest first
+  async getByDish(dishId) {
+    return await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'dish_id', operator: 'eq', value: dishId }],
+      order: [{ column: 'revision', ascending: false }]
+    });
+  }
+
+  // One revision of a dish by number
+  async getByNumber(dishId, revision) {
+    const result = await dbHelpers.query(this.tableName, {
+      filters: [
+        { column: 'dish_id', operator: 'eq', value: dishId },
+        { column: 'revision', operator: 'eq', value: revision }
+      ]
+    });
+    return {
+      data: result.data ? result.data[0] || null : null,
+      error: result.error
+    };
+  }
+
+  // A dish's newest revision, or null when it has none
+  async getLatest(dishId) {
+    const result = await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'dish_id', operator: 'eq', value: dishId }],
+      order: [{ column: 'revision', ascending: false }],
+      limit: 1
+    });
+    return {
+      data: result.data ? result.data[0] || null : null,
+      error: result.error
+    };
+  }
+
+  // Record a dish as saved. previous is the dish before an update: when the
+  // dish has no revisions yet it is stored first as the baseline. Nothing is
+  // recorded when no versioned field changed. Resolves { data } with the new
+  // revision row or null.
+  async record(dish, { action, authorId = null, previous = null, restoredFrom = null }) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const latest = await this.getLatest(dish.id);
+      if (latest.error) return { data: null, error: latest.error };
+
+      let base = latest.data;
+      if (!base && previous) {
+        const baseline = await this.insert(previous, 1, {
+          action: 'baseline',
+          changedFields: [],
+          createdAt: previous.updated_at || previous.created_at
+        });
+        if (baseline.error?.code === '23505') continue;
+        if (baseline.error) return { data: null, error: baseline.error };
+        base = baseline.data[0];
+      }
+
+      const snapshot = this.snapshot(dish);
+      const changedFields = base ? this.diff(base.snapshot, snapshot).map(change => change.field) : REVISION_FIELDS;
+      if (base && changedFields.length === 0) {
+        return { data: null, error: null };
+      }
+
+      const result = await this.insert(dish, base ? base.revision + 1 : 1, { action, changedFields, authorId, restoredFrom });
+      if (result.error?.code === '23505' && attempt < MAX_ATTEMPTS) continue;
+      if (result.error) return { data: null, error: result.error };
+      return { data: result.data[0], error: null };
+    }
+
+    return { data: null, error: new Error(`Could not number a new revision of dish ${dish.id}`) };
+  }
+
+  // Store one snapshot of a dish
+  async insert(dish, revision, { action, changedFields, authorId = null, restoredFrom = null, createdAt = null }) {
+    return await dbHelpers.insert(this.tableName, {
+      dish_id: dish.id,
+      revision,
+      action,
+      snapshot: this.snapshot(dish),
+      changed_fields: changedFields,
+      restored_from: restoredFrom,
+      author_id: authorId,
+      created_at: createdAt || new Date().toISOString()
+    });
+  }
+}
+
+const dishRevisionModel = new DishRevisionModel();
+export default dishRevisionModel;
\ No newline at end of file
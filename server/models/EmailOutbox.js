@@ -0,0 +1,143 @@
+import { dbHelpers } from '../config/database.js';
+import { pagedQuery } from '../utils/pagination.js';
+
+// Values of the email_status enum
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Persisted queue of notification emails. Rows move pending -> sending ->
+// sent, or back to pending with a later next_attempt_at when a send fails,
+// until they run out of attempts and become failed.
+class EmailOutboxModel {
+  constructor() {
+    this.tableName = 'email_outbox';
+    this.statuses = EMAIL_STATUSES;
+  }
+
+  // Queue a rendered email
+  async create(email) {
+    const now = new Date().toISOString();
+    return await dbHelpers.insert(this.tableName, {
+      template: email.template,
+      recipient: email.recipient,
+      reply_to: email.replyTo || null,
+      subject: email.subject,
+      text_body: email.text,
+      html_body: email.html || null,
+      contact_message_id: email.contactMessageId || null,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  // Emails ready to send: pending ones whose retry time has come, and ones
+  // left in 'sending' since staleBefore by a process that stopped mid-send
+  async getDue({ now, staleBefore, limit = 20 }) {
+    return await dbHelpers.query(this.tableName, {
+      filters: [{
+        or: [
+          {
+            and: [
+              { column: 'status', operator: 'eq', value: 'pending' },
+              { column: 'next_attempt_at', operator: 'lte', value: now }
+            ]
+          },
+          {
+            and: [
+              { column: 'status', operator: 'eq', value: 'sending' },
+              { column: 'updated_at', operator: 'lt', value: staleBefore }
+            ]
+          }
+        ]
+      }],
+      order: [{ column: 'next_attempt_at', ascending: true }],
+      limit
+    });
+  }
+
+  // Mark an email as being sent, unless another process changed it since it
+  // was read. Resolves the claimed row, or null when it was taken.
+  async claim(email) {
+    const result = await dbHelpers.updateWhere(this.tableName, [
+      { column: 'id', operator: 'eq', value: email.id },
+      { column: 'status', operator: 'eq', value: email.status },
+      { column: 'updated_at', operator: 'eq', value: email.updated_at }
+    ], {
+      status: 'sending',
+      attempts: email.attempts + 1,
+      updated_at: new Date().toISOString()
+    });
+
+    return {
+      data: result.data && result.data.length > 0 ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  async markSent(id, providerMessageId) {
+    const now = new Date().toISOString();
+    return await dbHelpers.update(this.tableName, id, {
+      status: 'sent',
+      provider_message_id: providerMessageId || null,
+      last_error: null,
+      sent_at: now,
+      updated_at: now
+    });
+  }
+
+  // Record a failed attempt. Without retryAt the email is given up on.
+  async markFailed(id, { error, retryAt = null }) {
+    return await dbHelpers.update(this.tableName, id, {
+      status: retryAt ? 'pending' : 'failed',
+      last_error: String(error).slice(0, 1000),
+      next_attempt_at: retryAt,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Outbox listing, newest first
+  async findAll({ status, limit, offset, cursor } = {}) {
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters: status ? [{ column: 'status', operator: 'eq', value: status }] : [],
+      sort: 'created_at',
+      ascending: false,
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Get email by ID
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Get emails by ID
+  async getByIds(ids) {
+    return await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'id', operator: 'in', value: ids }]
+    });
+  }
+
+  // Queue a failed email again with a fresh set of attempts
+  async retry(id) {
+    return await dbHelpers.updateWhere(this.tableName, [
+      { column: 'id', operator: 'eq', value: id },
+      { column: 'status', operator: 'eq', value: 'failed' }
+    ], {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+}
+
+const emailOutboxModel = new EmailOutboxModel();
+export default emailOutboxModel;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import { dbHelpers } from '../config/database.js';
+
+// Values of the activity_type enum
+const ACTIVITY_TYPES = ['status_change', 'note', 'reply', 'assignment'];
+
+// Everything that happened to a contact message after it arrived: status
+// changes, internal notes, replies to the customer and assignments
+class MessageActivityModel {
+  constructor() {
+    this.tableName = 'message_activities';
+    this.types = ACTIVITY_TYPES;
+  }
+
+  // Record an activity. Fields a type doesn't use are stored as null.
+  async create(contactMessageId, type, { body, fromStatus, toStatus, reason, assignedTo, emailId, actorId } = {}) {
+    return await dbHelpers.insert(this.tableName, {
+      contact_message_id: contactMessageId,
+      type,
+      body: body || null,
+      from_status: fromStatus || null,
+      to_status: toStatus || null,
+      reason: reason || null,
+      assigned_to: assignedTo || null,
+      email_id: emailId || null,
+      actor_id: actorId || null,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // A message's activities, oldest first
+  async getByMessage(contactMessageId) {
+    return await dbHelpers.query(this.tableName, {
+      filters: [{ column: 'contact_message_id', operator: 'eq', value: contactMessageId }],
+      order: [
+        { column: 'created_at', ascending: true },
+        { column: 'id', ascending: true }
+      ]
+    });
+  }
+}
+
+const messageActivityModel = new MessageActivityModel();
+export default messageActivityModel;
\ No newline at end of file
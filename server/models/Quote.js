@@ -0,0 +1,119 @@
+import { dbHelpers } from '../config/database.js';
+import { pagedQuery } from '../utils/pagination.js';
+
+// Values of the quote_status enum
+const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined'];
+
+// Allowed status changes. Only drafts can be edited; a sent quote is
+// changed by revising it into a new version.
+const QUOTE_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['accepted', 'declined'],
+  accepted: [],
+  declined: []
+};
+
+// Columns set from a priced quote (see utils/quotes.js)
+const QUOTE_FIELDS = [
+  'guests', 'items', 'currency', 'service_fee_percent', 'flat_fee', 'tax_rate',
+  'subtotal', 'service_fee', 'tax', 'total', 'notes', 'valid_until'
+];
+
+const pickQuoteFields = (quoteData) => Object.fromEntries(
+  Object.entries(quoteData).filter(([field]) => QUOTE_FIELDS.includes(field))
+);
+
+class QuoteModel {
+  constructor() {
+    this.tableName = 'quotes';
+    this.statuses = QUOTE_STATUSES;
+    this.transitions = QUOTE_TRANSITIONS;
+  }
+
+  // Quotes, newest first, optionally for one inquiry or status
+  async findAll({ contactMessageId, status, limit, offset, cursor } = {}) {
+    const filters = [];
+    if (contactMessageId) {
+      filters.push({ column: 'contact_message_id', operator: 'eq', value: contactMessageId });
+    }
+    if (status) {
+      filters.push({ column: 'status', operator: 'eq', value: status });
+    }
+
+    return await pagedQuery(dbHelpers, this.tableName, {
+      filters,
+      sort: 'created_at',
+      ascending: false,
+      limit,
+      offset,
+      cursor
+    });
+  }
+
+  // Get quote by ID
+  async getById(id) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    return {
+      data: result.data ? result.data[0] : null,
+      error: result.error
+    };
+  }
+
+  // Create the next version of an inquiry's quote as a draft
+  async create(contactMessageId, quoteData, createdBy = null) {
+    const latest = await dbHelpers.query(this.tableName, {
+      columns: 'version',
+      filters: [{ column: 'contact_message_id', operator: 'eq', value: contactMessageId }],
+      order: [{ column: 'version', ascending: false }],
+      limit: 1
+    });
+
+    if (latest.error) {
+      return { data: null, error: latest.error };
+    }
+
+    return await dbHelpers.insert(this.tableName, {
+      ...pickQuoteFields(quoteData),
+      contact_message_id: contactMessageId,
+      version: latest.data.length > 0 ? latest.data[0].version + 1 : 1,
+      status: 'draft',
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Update a draft's details and totals
+  async update(id, quoteData) {
+    return await dbHelpers.updateWhere(this.tableName, [
+      { column: 'id', operator: 'eq', value: id },
+      { column: 'status', operator: 'eq', value: 'draft' }
+    ], {
+      ...pickQuoteFields(quoteData),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Move a quote from one status to another. Resolves no rows when the
+  // quote's status changed in the meantime.
+  async updateStatus(id, fromStatus, toStatus) {
+    const now = new Date().toISOString();
+    return await dbHelpers.updateWhere(this.tableName, [
+      { column: 'id', operator: 'eq', value: id },
+      { column: 'status', operator: 'eq', value: fromStatus }
+    ], {
+      status: toStatus,
+      ...(toStatus === 'sent' && { sent_at: now }),
+      ...(['accepted', 'declined'].includes(toStatus) && { decided_at: now }),
+      updated_at: now
+    });
+  }
+
+  // Delete quote
+  async delete(id) {
+    return await dbHelpers.delete(this.tableName, id);
+  }
+}
+
+const quoteModel = new QuoteModel();
+export default quoteModel;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import { dbHelpers } from '../config/database.js';
+
+// Key/value settings that admins can change at runtime. Values are stored
+// as JSON, so any serializable value works.
+class SettingModel {
+  constructor() {
+    this.tableName = 'settings';
+  }
+
+  // Get a setting's value, or fallback when it has never been set
+  async get(id, fallback = null) {
+    const result = await dbHelpers.select(this.tableName, '*', { id });
+    if (result.error) {
+      return { data: null, error: result.error };
+    }
+    return {
+      data: result.data.length > 0 ? result.data[0].value : fallback,
+      error: null
+    };
+  }
+
+  // Store a setting, creating it the first time
+  async set(id, value) {
+    const updated = await dbHelpers.update(this.tableName, id, {
+      value,
+      updated_at: new Date().toISOString()
+    });
+
+    if (updated.error || updated.data.length > 0) {
+      return updated;
+    }
+
+    return await dbHelpers.insert(this.tableName, {
+      id,
+      value,
+      updated_at: new Date().toISOString()
+    });
+  }
+}
+
+const settingModel = new SettingModel();
+export default settingModel;
\ No newline at end of file
@@ -0,0 +1,140 @@
+import PDFDocument from 'pdfkit';
+import { escapeHtml } from '../utils/search.js';
+import { formatMoney } from '../utils/quotes.js';
+
+// Printable versions of a catering quote (HTML and PDF). Both take the
+// quote row, the inquiry it belongs to and { brandName }.
+
+// Reference shown on the document, e.g. Q-1a2b3c4d-v2
+const quoteReference = (quote) => `Q-${quote.contact_message_id.slice(0, 8)}-v${quote.version}`;
+
+// Label/value pairs for the customer block, skipping empty fields
+const customerDetails = (quote, inquiry) => [
+  ['Customer', inquiry.name],
+  ['Email', inquiry.email],
+  ['Event', inquiry.event_type],
+  ['Date', inquiry.preferred_date],
+  ['Guests', quote.guests]
+].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+// Label/amount pairs for the totals block
+const totalLines = (quote) => [
+  ['Subtotal', quote.subtotal],
+  [`Service fee (${quote.service_fee_percent}%${quote.flat_fee ? ` + ${formatMoney(quote.flat_fee, quote.currency)}` : ''})`, quote.service_fee],
+  [`Tax (${quote.tax_rate}%)`, quote.tax],
+  ['Total', quote.total]
+];
+
+const renderQuoteHtml = (quote, inquiry, { brandName }) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, quote.currency));
+
+  const rows = quote.items.map(item => `<tr>
+<td>${escapeHtml(item.title)}</td>
+<td class="number">${money(item.unit_price)}</td>
+<td class="number">${item.quantity_per_guest}</td>
+<td class="number">${item.quantity}</td>
+<td class="number">${money(item.line_total)}</td>
+</tr>`).join('\n');
+
+  const totals = totalLines(quote).map(([label, amount]) => `<tr${label === 'Total' ? ' class="total"' : ''}>
+<td colspan="4">${escapeHtml(label)}</td>
+<td class="number">${money(amount)}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Quote ${quoteReference(quote)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #333; max-width: 800px; margin: 40px auto; }
+h1 { color: #8b4513; margin-bottom: 0; }
+table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+.number { text-align: right; }
+.total td { font-weight: bold; border-top: 2px solid #333; }
+.meta td { border: none; padding: 2px 8px 2px 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(brandName)}</h1>
+<p>Catering quote ${quoteReference(quote)} &middot; ${escapeHtml(quote.status)}</p>
+<table class="meta">
+${customerDetails(quote, inquiry).map(([label, value]) => `<tr><td><strong>${label}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<table>
+<thead><tr><th>Dish</th><th class="number">Unit price</th><th class="number">Per guest</th><th class="number">Quantity</th><th class="number">Amount</th></tr></thead>
+<tbody>
+${rows}
+${totals}
+</tbody>
+</table>
+${quote.notes ? `<p>${escapeHtml(quote.notes).replace(/\n/g, '<br>')}</p>` : ''}
+${quote.valid_until ? `<p>This quote is valid until ${escapeHtml(quote.valid_until)}.</p>` : ''}
+</body>
+</html>`;
+};
+
+// Render the quote as a PDF. Resolves a Buffer.
+const renderQuotePdf = (quote, inquiry, { brandName }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = (amount) => formatMoney(amount, quote.currency);
+  const columns = [
+    { label: 'Dish', x: 50, width: 200, align: 'left' },
+    { label: 'Unit price', x: 250, width: 80, align: 'right' },
+    { label: 'Per guest', x: 330, width: 60, align: 'right' },
+    { label: 'Quantity', x: 390, width: 70, align: 'right' },
+    { label: 'Amount', x: 460, width: 85, align: 'right' }
+  ];
+  const row = (values, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    let bottom = y;
+    values.forEach((value, index) => {
+      const column = columns[index];
+      doc.text(String(value), column.x, y, { width: column.width, align: column.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.x = 50;
+    doc.y = bottom + 6;
+  };
+
+  doc.fontSize(20).fillColor('#8b4513').text(brandName);
+  doc.fontSize(11).fillColor('#333').text(`Catering quote ${quoteReference(quote)} (${quote.status})`);
+  doc.moveDown();
+
+  customerDetails(quote, inquiry).forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+  });
+  doc.moveDown();
+
+  row(columns.map(column => column.label), { bold: true });
+  quote.items.forEach(item => {
+    row([item.title, money(item.unit_price), item.quantity_per_guest, item.quantity, money(item.line_total)]);
+  });
+  doc.moveDown(0.5);
+
+  totalLines(quote).forEach(([label, amount]) => {
+    row([label, '', '', '', money(amount)], { bold: label === 'Total' });
+  });
+
+  if (quote.notes) {
+    doc.moveDown().font('Helvetica').text(quote.notes, 50);
+  }
+  if (quote.valid_until) {
+    doc.moveDown().font('Helvetica').text(`This quote is valid until ${quote.valid_until}.`, 50);
+  }
+
+  doc.end();
+});
+
+export {
+  quoteReference,
+  renderQuoteHtml,
+  renderQuotePdf
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+import express from 'express';
+import authController from '../controllers/authController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { loginSchema } from '../validation/schemas.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/login', validateBody(loginSchema), authController.login);
+
+// Authenticated routes
+router.get('/me', authenticate, authController.me);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+import express from 'express';
+import bookingController from '../controllers/bookingController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import {
+  bookingSchema,
+  bookingUpdateSchema,
+  blackoutDateSchema,
+  bookingSettingsSchema
+} from '../validation/schemas.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/availability', bookingController.getAvailability);
+
+// Admin routes
+const bookingAccess = [authenticate, authorize('bookings:manage')];
+
+router.get('/', bookingAccess, bookingController.getBookings);
+router.get('/settings', bookingAccess, bookingController.getSettings);
+router.put('/settings', bookingAccess, validateBody(bookingSettingsSchema), bookingController.updateSettings);
+router.get('/blackouts', bookingAccess, bookingController.getBlackoutDates);
+router.post('/blackouts', bookingAccess, validateBody(blackoutDateSchema), bookingController.createBlackoutDate);
+router.delete('/blackouts/:id', bookingAccess, bookingController.deleteBlackoutDate);
+router.get('/:id', bookingAccess, bookingController.getBookingById);
+router.post('/', bookingAccess, validateBody(bookingSchema), bookingController.createBooking);
+router.put('/:id', bookingAccess, validateBody(bookingUpdateSchema, { partial: true }), bookingController.updateBooking);
+router.post('/:id/cancel', bookingAccess, bookingController.cancelBooking);
+
+export default router;
\ No newline at end of file
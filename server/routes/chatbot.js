@@ -1,10 +1,22 @@
 import express from 'express';
 import chatbotController from '../controllers/chatbotController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { chatConfig } from '../config/chat.js';
 
 const router = express.Router();
 
+// Chat messages per IP address, shared by both chat endpoints
+const chatLimit = rateLimit({
+  max: chatConfig.ipLimit,
+  windowMs: chatConfig.rateWindowMs,
+  key: req => req.ip,
+  message: 'Too many chat messages. Please try again later.'
+});
+
 // Main chat endpoint
-router.post('/chat', chatbotController.chat);
+router.post('/chat', chatLimit, chatbotController.chat);
+router.post('/chat/stream', chatLimit, chatbotController.chatStream);
 
 // Specialized AI features
 router.post('/recommend', chatbotController.getFoodRecommendation);
@@ -15,4 +27,10 @@ router.get('/status', chatbotController.getStatus);
 router.get('/test', chatbotController.testAI);
 router.get('/history', chatbotController.getConversationHistory);
 
+// Admin routes
+const sessionAccess = [authenticate, authorize('chatbot:manage')];
+
+router.get('/sessions', sessionAccess, chatbotController.listSessions);
+router.delete('/sessions/:id', sessionAccess, chatbotController.deleteSession);
+
 export default router;
\ No newline at end of file
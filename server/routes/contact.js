@@ -1,18 +1,65 @@
 import express from 'express';
 import contactController from '../controllers/contactController.js';
+import notificationController from '../controllers/notificationController.js';
+import activityController from '../controllers/activityController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  contactSchema,
+  contactStatusSchema,
+  spamSettingsSchema,
+  noteSchema,
+  replySchema,
+  assignmentSchema
+} from '../validation/schemas.js';
+import { spamConfig } from '../config/spam.js';
 
 const router = express.Router();
 
+const TOO_MANY_MESSAGES = 'Too many messages. Please try again later.';
+
+// Submissions per IP address, counted before validation so malformed floods
+// are limited too, and per email address
+const ipLimit = rateLimit({
+  max: spamConfig.ipLimit,
+  windowMs: spamConfig.rateWindowMs,
+  key: req => req.ip,
+  message: TOO_MANY_MESSAGES
+});
+const emailLimit = rateLimit({
+  max: spamConfig.emailLimit,
+  windowMs: spamConfig.rateWindowMs,
+  key: req => req.body.email && req.body.email.toLowerCase(),
+  message: TOO_MANY_MESSAGES
+});
+
 // Public routes
-router.post('/', contactController.submitContact);
+router.post('/', ipLimit, validateBody(contactSchema), emailLimit, contactController.submitContact);
+
+// Admin routes
+const inboxAccess = [authenticate, authorize('contacts:manage')];
+const settingsAccess = [authenticate, authorize('settings:manage')];
 
-// Admin routes (you may want to add authentication middleware here)
-router.get('/', contactController.getAllMessages);
-router.get('/stats', contactController.getContactStats);
-router.get('/recent', contactController.getRecentMessages);
-router.get('/search', contactController.searchMessages);
-router.get('/:id', contactController.getMessageById);
-router.put('/:id/status', contactController.updateMessageStatus);
-router.delete('/:id', contactController.deleteMessage);
+router.get('/', inboxAccess, contactController.getAllMessages);
+router.get('/stats', inboxAccess, contactController.getContactStats);
+router.get('/recent', inboxAccess, contactController.getRecentMessages);
+router.get('/search', inboxAccess, contactController.searchMessages);
+router.get('/export', inboxAccess, contactController.exportMessages);
+router.get('/workflow', inboxAccess, contactController.getWorkflow);
+router.get('/trash', inboxAccess, contactController.getTrash);
+router.post('/trash/:id/restore', inboxAccess, contactController.restoreMessage);
+router.delete('/trash/:id', inboxAccess, contactController.purgeMessage);
+router.get('/spam-settings', settingsAccess, contactController.getSpamSettings);
+router.put('/spam-settings', settingsAccess, validateBody(spamSettingsSchema), contactController.updateSpamSettings);
+router.get('/outbox', inboxAccess, notificationController.getOutbox);
+router.post('/outbox/:id/retry', inboxAccess, notificationController.retryEmail);
+router.get('/:id', inboxAccess, contactController.getMessageById);
+router.put('/:id/status', inboxAccess, validateBody(contactStatusSchema), contactController.updateMessageStatus);
+router.put('/:id/assignee', inboxAccess, validateBody(assignmentSchema, { partial: true }), activityController.assignMessage);
+router.get('/:id/timeline', inboxAccess, activityController.getTimeline);
+router.post('/:id/notes', inboxAccess, validateBody(noteSchema), activityController.addNote);
+router.post('/:id/replies', inboxAccess, validateBody(replySchema), activityController.addReply);
+router.delete('/:id', inboxAccess, contactController.deleteMessage);
 
 export default router;
\ No newline at end of file
@@ -1,17 +1,49 @@
 import express from 'express';
 import portfolioController from '../controllers/portfolioController.js';
+import categoryController from '../controllers/categoryController.js';
+import revisionController from '../controllers/revisionController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { uploadImage, uploadDataFile } from '../middleware/upload.js';
+import {
+  dishSchema,
+  categorySchema,
+  categoryUpdateSchema,
+  categoryOrderSchema,
+  tagSuggestionSchema
+} from '../validation/schemas.js';
 
 const router = express.Router();
 
+const dishAccess = [authenticate, authorize('dishes:manage')];
+
 // Portfolio/Dishes routes
 router.get('/', portfolioController.getAllDishes);
 router.get('/stats', portfolioController.getStats);
-router.get('/categories', portfolioController.getCategories);
+router.get('/export', dishAccess, portfolioController.exportDishes);
+router.get('/trash', dishAccess, portfolioController.getTrash);
+router.get('/categories', categoryController.getCategories);
+router.get('/categories/:id', categoryController.getCategoryById);
 router.get('/:id', portfolioController.getDishById);
 
-// Admin routes (you may want to add authentication middleware here)
-router.post('/', portfolioController.createDish);
-router.put('/:id', portfolioController.updateDish);
-router.delete('/:id', portfolioController.deleteDish);
+// Admin routes
+router.post('/categories', dishAccess, validateBody(categorySchema), categoryController.createCategory);
+router.put('/categories/order', dishAccess, validateBody(categoryOrderSchema), categoryController.reorderCategories);
+router.put('/categories/:id', dishAccess, validateBody(categoryUpdateSchema, { partial: true }), categoryController.updateCategory);
+router.delete('/categories/:id', dishAccess, categoryController.deleteCategory);
+
+router.post('/', dishAccess, validateBody(dishSchema), portfolioController.createDish);
+router.post('/import', dishAccess, uploadDataFile, portfolioController.importDishes);
+router.post('/trash/:id/restore', dishAccess, portfolioController.restoreDish);
+router.delete('/trash/:id', dishAccess, portfolioController.purgeDish);
+router.post('/tags/suggest', dishAccess, validateBody(tagSuggestionSchema), portfolioController.suggestTags);
+router.put('/:id', dishAccess, validateBody(dishSchema, { partial: true }), portfolioController.updateDish);
+router.delete('/:id', dishAccess, portfolioController.deleteDish);
+router.post('/:id/image', dishAccess, uploadImage, portfolioController.uploadDishImage);
+router.delete('/:id/image', dishAccess, portfolioController.deleteDishImage);
+router.get('/:id/revisions', dishAccess, revisionController.getRevisions);
+router.get('/:id/revisions/diff', dishAccess, revisionController.diffRevisions);
+router.get('/:id/revisions/:revision', dishAccess, revisionController.getRevision);
+router.post('/:id/revisions/:revision/rollback', dishAccess, revisionController.rollbackDish);
 
 export default router;
\ No newline at end of file
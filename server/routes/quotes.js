@@ -0,0 +1,21 @@
+import express from 'express';
+import quoteController from '../controllers/quoteController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateBody } from '../middleware/validate.js';
+import { quoteSchema, quoteUpdateSchema, quoteStatusSchema } from '../validation/schemas.js';
+
+const router = express.Router();
+
+// Admin routes
+const quoteAccess = [authenticate, authorize('quotes:manage')];
+
+router.get('/', quoteAccess, quoteController.getQuotes);
+router.get('/:id', quoteAccess, quoteController.getQuoteById);
+router.get('/:id/export', quoteAccess, quoteController.exportQuote);
+router.post('/', quoteAccess, validateBody(quoteSchema), quoteController.createQuote);
+router.put('/:id', quoteAccess, validateBody(quoteUpdateSchema, { partial: true }), quoteController.updateQuote);
+router.post('/:id/revise', quoteAccess, validateBody(quoteUpdateSchema), quoteController.reviseQuote);
+router.put('/:id/status', quoteAccess, validateBody(quoteStatusSchema), quoteController.updateQuoteStatus);
+router.delete('/:id', quoteAccess, quoteController.deleteQuote);
+
+export default router;
\ No newline at end of file
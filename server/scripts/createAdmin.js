@@ -0,0 +1,51 @@
+import AdminUserModel from '../models/AdminUser.js';
+import { ROLES } from '../config/auth.js';
+
+// Usage: npm run admin:create -- <email> <password> [role] [name]
+const [email, password, role = 'admin', ...nameParts] = process.argv.slice(2);
+const name = nameParts.join(' ') || null;
+
+console.log('🔧 Creating admin user...');
+
+if (!email || !password) {
+  console.error('❌ Usage: npm run admin:create -- <email> <password> [role] [name]');
+  process.exit(1);
+}
+
+if (!ROLES.includes(role)) {
+  console.error(`❌ Invalid role "${role}". Must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+if (password.length < 8) {
+  console.error('❌ Password must be at least 8 characters long');
+  process.exit(1);
+}
+
+async function createAdmin() {
+  const existing = await AdminUserModel.getByEmail(email);
+
+  if (existing.error) {
+    console.error('❌ Error checking existing users:', existing.error.message);
+    return false;
+  }
+
+  if (existing.data) {
+    console.error(`❌ An admin user with email ${email} already exists`);
+    return false;
+  }
+
+  const result = await AdminUserModel.create({ email, password, role, name });
+
+  if (result.error) {
+    console.error('❌ Error creating admin user:', result.error.message);
+    return false;
+  }
+
+  console.log(`✅ Created ${role} account for ${result.data[0].email}`);
+  return true;
+}
+
+createAdmin().then(success => {
+  process.exit(success ? 0 : 1);
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+import DishModel from '../models/Dish.js';
+import DishRevisionModel from '../models/DishRevision.js';
+import { inferAllergens } from '../utils/dietary.js';
+
+// Usage: npm run dishes:tag [-- --force]
+// Fills in allergen tags inferred from ingredients for dishes that have none
+// yet. --force re-infers allergens for every dish. Diets are never inferred;
+// set them on each dish by hand. Each tagged dish gets a revision with no
+// author.
+const force = process.argv.slice(2).includes('--force');
+
+console.log('🔧 Tagging dishes from their ingredients...');
+
+async function tagDishes() {
+  const result = await DishModel.getAll();
+
+  if (result.error) {
+    console.error('❌ Error loading dishes:', result.error.message);
+    return false;
+  }
+
+  let tagged = 0;
+
+  for (const dish of result.data) {
+    if (!force && (dish.allergens || []).length > 0) continue;
+
+    const allergens = inferAllergens(dish.ingredients);
+    const update = await DishModel.update(dish.id, { allergens });
+
+    if (update.error) {
+      console.error(`❌ Error tagging "${dish.title}":`, update.error.message);
+      return false;
+    }
+
+    const recorded = await DishRevisionModel.record(update.data[0], { action: 'update', previous: dish });
+    if (recorded.error) {
+      console.error(`⚠️  Error recording revision of "${dish.title}":`, recorded.error.message);
+    }
+
+    console.log(`   ${dish.title}: allergens [${allergens.join(', ')}]`);
+    tagged++;
+  }
+
+  console.log(`✅ Tagged ${tagged} of ${result.data.length} dishes`);
+  return true;
+}
+
+tagDishes().then(success => {
+  process.exit(success ? 0 : 1);
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Local disk storage adapter. Files live under rootDir and are served by
+// Express from publicPath (see server/index.js).
+class LocalStorage {
+  constructor({ rootDir, publicPath = '/uploads' }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.publicPath = publicPath.replace(/\/$/, '');
+  }
+
+  // Resolve a key inside rootDir, refusing keys that escape it
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  // Write a file and return its public URL
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return this.url(key);
+  }
+
+  // Remove a file; missing files are ignored
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  url(key) {
+    return `${this.publicPath}/${key}`;
+  }
+}
+
+export default LocalStorage;
\ No newline at end of file
@@ -0,0 +1,41 @@
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// S3-compatible storage adapter (AWS S3, Cloudflare R2, MinIO, ...)
+class S3Storage {
+  constructor({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, publicUrl }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+    this.publicUrl = (publicUrl || (endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+  }
+
+  // Upload an object and return its public URL
+  async save(key, buffer, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+    return this.url(key);
+  }
+
+  // Remove an object; S3 treats missing keys as already deleted
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+export default S3Storage;
\ No newline at end of file
@@ -0,0 +1,87 @@
+import DishModel from '../models/Dish.js';
+import ContactModel from '../models/Contact.js';
+import { trashConfig } from '../config/trash.js';
+import { removeStoredImages } from '../utils/images.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently deletes dishes and contact messages from the trash, either
+// one at a time on request or, through purgeExpired(), once they have been
+// there longer than TRASH_RETENTION_DAYS
+class TrashPurger {
+  constructor() {
+    this.timer = null;
+    this.purging = false;
+  }
+
+  // Delete a dish in the trash for good, then its stored image files.
+  // Resolves the deleted rows; none when the dish was no longer in the
+  // trash (or not deleted before options.before), leaving its images.
+  async purgeDish(dish, options = {}) {
+    const result = await DishModel.purge(dish.id, options);
+    if (!result.error && result.data.length > 0) {
+      await removeStoredImages(result.data[0].image_renditions);
+    }
+    return result;
+  }
+
+  // Delete a message in the trash for good. Its timeline and quotes go
+  // with it.
+  async purgeMessage(message, options = {}) {
+    return await ContactModel.purge(message.id, options);
+  }
+
+  // Purge everything deleted more than the retention period ago. Resolves
+  // the number of dishes and messages removed.
+  async purgeExpired() {
+    if (this.purging) return { dishes: 0, messages: 0 };
+    this.purging = true;
+
+    const purged = { dishes: 0, messages: 0 };
+    try {
+      const cutoff = new Date(Date.now() - trashConfig.retentionDays * DAY_MS).toISOString();
+      const [dishes, messages] = await Promise.all([
+        DishModel.getDeletedBefore(cutoff),
+        ContactModel.getDeletedBefore(cutoff)
+      ]);
+
+      if (dishes.error || messages.error) {
+        console.error('Error fetching expired trash:', dishes.error || messages.error);
+        return purged;
+      }
+
+      // Items restored since they were fetched are left alone
+      for (const dish of dishes.data) {
+        const result = await this.purgeDish(dish, { before: cutoff });
+        if (result.error) console.error(`Error purging dish ${dish.id}:`, result.error);
+        else purged.dishes += result.data.length;
+      }
+      for (const message of messages.data) {
+        const result = await this.purgeMessage(message, { before: cutoff });
+        if (result.error) console.error(`Error purging contact message ${message.id}:`, result.error);
+        else purged.messages += result.data.length;
+      }
+
+      if (purged.dishes || purged.messages) {
+        console.log(`🗑️  Purged ${purged.dishes} dish(es) and ${purged.messages} message(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Error purging trash:', error);
+    } finally {
+      this.purging = false;
+    }
+
+    return purged;
+  }
+
+  // Purge expired trash now and then every TRASH_PURGE_INTERVAL_MINUTES
+  start() {
+    if (this.timer) return;
+    this.purgeExpired();
+    this.timer = setInterval(() => this.purgeExpired(), trashConfig.purgeIntervalMs);
+    this.timer.unref();
+  }
+}
+
+const trashPurger = new TrashPurger();
+export default trashPurger;
\ No newline at end of file
@@ -0,0 +1,123 @@
+import { restaurantConfig } from '../config/restaurant.js';
+
+// Dish availability schedules. A schedule, stored in
+// dishes.availability_schedule, narrows when a dish with is_available set
+// can be ordered, in the restaurant's timezone:
+//   date_ranges: [{ from, to }]          - only on these dates (e.g. a summer menu)
+//   windows: [{ days, start, end }]      - only at these times (e.g. weekend brunch)
+//   blackouts: [{ from, to, reason }]    - never on these dates
+// Dates are YYYY-MM-DD and inclusive; to defaults to from. Times are HH:MM;
+// a window whose end is not after its start runs past midnight. days
+// defaults to every day. Empty or missing lists don't restrict anything.
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+// The date, weekday and minutes since midnight of a moment in a timezone
+const localTime = (now, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const inRange = (date, range) => date >= range.from && date <= (range.to || range.from);
+
+// Whether a time window is open at a local time. The part of an overnight
+// window after midnight belongs to the day it started on.
+const inWindow = ({ weekday, minutes }, window) => {
+  const days = window.days && window.days.length > 0 ? window.days : WEEKDAYS;
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start < end) {
+    return days.includes(weekday) && minutes >= start && minutes < end;
+  }
+
+  const yesterday = WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7];
+  return (days.includes(weekday) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+};
+
+// Whether a dish can be ordered at a moment: is_available must be set and
+// its schedule, if any, must allow that moment
+const isAvailableAt = (dish, now = new Date(), timeZone = restaurantConfig.timezone) => {
+  if (!dish.is_available) return false;
+
+  const schedule = dish.availability_schedule;
+  if (!schedule) return true;
+
+  const local = localTime(now, timeZone);
+  const dateRanges = schedule.date_ranges || [];
+  const windows = schedule.windows || [];
+  const blackouts = schedule.blackouts || [];
+
+  if (blackouts.some(range => inRange(local.date, range))) return false;
+  if (dateRanges.length > 0 && !dateRanges.some(range => inRange(local.date, range))) return false;
+  if (windows.length > 0 && !windows.some(window => inWindow(local, window))) return false;
+  return true;
+};
+
+// Checks the request schema can't express: ranges must not end before they
+// start, and windows must not be empty. Returns a list of { field, message }.
+const checkSchedule = (schedule, field = 'availability_schedule') => {
+  if (!schedule) return [];
+
+  const errors = [];
+  ['date_ranges', 'blackouts'].forEach(list => {
+    (schedule[list] || []).forEach((range, index) => {
+      if (range.to && range.to < range.from) {
+        errors.push({ field, message: `${field} ${list} item ${index + 1} ends before it starts` });
+      }
+    });
+  });
+  (schedule.windows || []).forEach((window, index) => {
+    if (window.start === window.end) {
+      errors.push({ field, message: `${field} windows item ${index + 1} starts and ends at the same time` });
+    }
+  });
+  return errors;
+};
+
+// Put a schedule in a fixed shape so saved schedules compare equal
+// regardless of key order. Schedules that restrict nothing become null.
+const normalizeSchedule = (schedule) => {
+  if (!schedule) return null;
+
+  const range = ({ from, to }) => ({ from, to: to || from });
+  const normalized = {
+    date_ranges: (schedule.date_ranges || []).map(range),
+    windows: (schedule.windows || []).map(({ days, start, end }) => ({
+      days: days && days.length > 0 ? WEEKDAYS.filter(day => days.includes(day)) : [...WEEKDAYS],
+      start,
+      end
+    })),
+    blackouts: (schedule.blackouts || []).map(blackout => ({ ...range(blackout), reason: blackout.reason || null }))
+  };
+
+  return Object.values(normalized).some(list => list.length > 0) ? normalized : null;
+};
+
+export {
+  WEEKDAYS,
+  TIME_PATTERN,
+  isAvailableAt,
+  checkSchedule,
+  normalizeSchedule
+};
\ No newline at end of file
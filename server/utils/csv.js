@@ -0,0 +1,89 @@
+// CSV parsing for uploads (RFC 4180: quoted cells may hold commas, quotes
+// doubled as "" and line breaks).
+
+// Split CSV text into rows of cells. Resolves { data } or { error } with a
+// message when a quoted cell is never closed.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    return { data: null, error: 'CSV has a quoted cell that is never closed' };
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return { data: rows.filter(cells => cells.some(value => value.trim() !== '')), error: null };
+};
+
+// Parse CSV with a header row into objects keyed by the trimmed header
+// names. Resolves { data } or { error } with a message.
+const parseCsv = (text) => {
+  const parsed = parseCsvRows(text);
+  if (parsed.error) return parsed;
+
+  const [header, ...rows] = parsed.data;
+  if (!header) {
+    return { data: null, error: 'CSV is empty' };
+  }
+
+  const columns = header.map(name => name.trim());
+  const tooLong = rows.findIndex(cells => cells.length > columns.length);
+  if (tooLong !== -1) {
+    return { data: null, error: `CSV row ${tooLong + 1} has more cells than the header` };
+  }
+
+  return {
+    data: rows.map(cells => Object.fromEntries(
+      columns.map((column, index) => [column, cells[index] ?? ''])
+    )),
+    error: null
+  };
+};
+
+// Undo the apostrophe that exports put in front of cells a spreadsheet
+// would read as formulas (see utils/export.js)
+const unescapeFormula = (value) => value.replace(/^'(?=[=+\-@\t\r])/, '');
+
+export {
+  parseCsv,
+  unescapeFormula
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Helpers for calendar dates stored as YYYY-MM-DD strings. All arithmetic
+// is done in UTC so results don't depend on the server's timezone.
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check for a real YYYY-MM-DD date
+const isDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Today's date (UTC)
+const todayDate = () => new Date().toISOString().slice(0, 10);
+
+// Add (or subtract) whole days
+const addDays = (value, days) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Number of days from one date to another (negative when to is earlier)
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+// Every date from one date to another, inclusive
+const dateRange = (from, to) => {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+export {
+  isDateString,
+  todayDate,
+  addDays,
+  daysBetween,
+  dateRange
+};
\ No newline at end of file
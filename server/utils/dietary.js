@@ -0,0 +1,122 @@
+// Bundled ingredient mapping used to infer allergen tags and to check
+// dishes against dietary restrictions. Keywords match whole words
+// (plurals included), case-insensitively, so "beef tenderloin" conflicts
+// with "vegetarian" but "champagne" is not "ham".
+
+const MEAT = ['beef', 'pork', 'bacon', 'ham', 'lamb', 'veal', 'chicken', 'duck', 'turkey', 'sausage', 'prosciutto', 'chorizo', 'gelatin'];
+
+// Allergen -> ingredient keywords
+const ALLERGEN_KEYWORDS = {
+  gluten: ['wheat', 'flour', 'bread', 'pasta', 'pastry', 'puff pastry', 'ladyfingers', 'couscous', 'barley', 'rye', 'breadcrumbs', 'noodles', 'cake'],
+  dairy: ['milk', 'cream', 'butter', 'cheese', 'parmesan', 'mascarpone', 'mozzarella', 'ricotta', 'yogurt', 'ice cream', 'custard', 'ghee'],
+  eggs: ['egg', 'custard', 'mayonnaise', 'ladyfingers', 'meringue'],
+  nuts: ['nut', 'peanut', 'almond', 'walnut', 'pecan', 'cashew', 'pistachio', 'hazelnut', 'macadamia', 'praline'],
+  fish: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'halibut', 'trout', 'sardine'],
+  shellfish: ['seafood', 'shrimp', 'prawn', 'lobster', 'crab', 'scallop', 'mussel', 'clam', 'oyster', 'squid', 'calamari'],
+  soy: ['soy', 'soy sauce', 'tofu', 'edamame', 'miso', 'tempeh'],
+  sesame: ['sesame', 'tahini']
+};
+
+const ALLERGENS = Object.keys(ALLERGEN_KEYWORDS);
+
+const DIETARY_RULES = {
+  vegetarian: [...MEAT, ...ALLERGEN_KEYWORDS.fish, ...ALLERGEN_KEYWORDS.shellfish],
+  vegan: [...MEAT, ...ALLERGEN_KEYWORDS.fish, ...ALLERGEN_KEYWORDS.shellfish, ...ALLERGEN_KEYWORDS.dairy, ...ALLERGEN_KEYWORDS.eggs, 'honey'],
+  pescatarian: MEAT,
+  'gluten-free': ALLERGEN_KEYWORDS.gluten,
+  'dairy-free': ALLERGEN_KEYWORDS.dairy,
+  'nut-free': ALLERGEN_KEYWORDS.nuts,
+  'shellfish-free': ALLERGEN_KEYWORDS.shellfish,
+  'egg-free': ALLERGEN_KEYWORDS.eggs
+};
+
+// Diet tags stored on dishes and accepted by ?diet=
+const DIETS = ['vegetarian', 'vegan', 'pescatarian', 'gluten-free', 'dairy-free', 'nut-free'];
+
+// Allergen a "<allergen>-free" restriction rules out
+const RESTRICTION_ALLERGENS = {
+  'gluten-free': 'gluten',
+  'dairy-free': 'dairy',
+  'nut-free': 'nuts',
+  'shellfish-free': 'shellfish',
+  'egg-free': 'eggs'
+};
+
+// Accept "Gluten Free", "gluten_free" and "gluten-free" alike
+const normalizeRestriction = (restriction) => String(restriction).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+// Keywords to avoid for a restriction. Unknown restrictions (e.g. "mushrooms")
+// are treated as an ingredient to avoid.
+const keywordsFor = (restriction) => {
+  const normalized = normalizeRestriction(restriction);
+  return DIETARY_RULES[normalized] || [normalized.replace(/-/g, ' ').replace(/^no /, '')];
+};
+
+// Match a keyword as a whole word, allowing plural forms
+const keywordPattern = (keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}(s|es)?\\b`, 'i');
+};
+
+// Ingredients matching any of the keywords
+const matchIngredients = (ingredients = [], keywords = []) => {
+  const patterns = keywords.map(keywordPattern);
+  return ingredients.filter(ingredient => patterns.some(pattern => pattern.test(ingredient)));
+};
+
+// Allergens whose keywords appear in a list of ingredients. Only allergens
+// that are present are inferred: free-text ingredients can't prove a dish is
+// free of something, so diet tags are always set by hand.
+const inferAllergens = (ingredients = []) => {
+  return ALLERGENS.filter(allergen => matchIngredients(ingredients || [], ALLERGEN_KEYWORDS[allergen]).length > 0);
+};
+
+// Ingredients (or stored tags) of a dish that conflict with any of the
+// restrictions. Tags set on the dish count as well as its ingredients, and a
+// diet restriction only allows dishes tagged with that diet.
+const findConflicts = (dish, restrictions = []) => {
+  const conflicts = new Set();
+
+  restrictions.forEach(restriction => {
+    const normalized = normalizeRestriction(restriction);
+    matchIngredients(dish.ingredients || [], keywordsFor(normalized))
+      .forEach(ingredient => conflicts.add(ingredient));
+
+    const allergen = RESTRICTION_ALLERGENS[normalized];
+    if (allergen && (dish.allergens || []).includes(allergen)) {
+      conflicts.add(`contains ${allergen}`);
+    }
+    if (DIETS.includes(normalized) && !(dish.diets || []).includes(normalized)) {
+      conflicts.add(`not tagged ${normalized}`);
+    }
+  });
+
+  return [...conflicts];
+};
+
+// Split dishes into those that fit the restrictions and those excluded
+const filterByRestrictions = (dishes, restrictions = []) => {
+  const allowed = [];
+  const excluded = [];
+
+  dishes.forEach(dish => {
+    const conflicts = findConflicts(dish, restrictions);
+    if (conflicts.length > 0) {
+      excluded.push({ dish, conflicts });
+    } else {
+      allowed.push(dish);
+    }
+  });
+
+  return { allowed, excluded };
+};
+
+export {
+  ALLERGENS,
+  DIETS,
+  DIETARY_RULES,
+  normalizeRestriction,
+  inferAllergens,
+  findConflicts,
+  filterByRestrictions
+};
\ No newline at end of file
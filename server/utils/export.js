@@ -0,0 +1,97 @@
+// Streamed CSV, NDJSON and JSON downloads for admin exports.
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Spreadsheets treat cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape one CSV cell. Lists are joined with "; ", objects written as JSON,
+// and text that a spreadsheet would run as a formula is prefixed with an
+// apostrophe so it shows as plain text.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  let text = Array.isArray(value)
+    ? value.map(item => (typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item))).join('; ')
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Write a chunk, waiting for the client to catch up when the buffer is full
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+// Stream rows from an async iterable of batches as a download. The first
+// batch is read before anything is sent, so a failing query rejects and can
+// still be answered with an error response. A failure after that ends the
+// download early.
+const streamExport = async (res, { format, filename, columns, batches }) => {
+  const iterator = batches[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  const pick = (row) => Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+  const encode = {
+    csv: (row) => csvRow(columns.map(column => row[column])),
+    ndjson: (row) => `${JSON.stringify(pick(row))}\n`,
+    json: (row, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(pick(row))}`
+  }[format];
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // The byte order mark lets spreadsheet apps detect UTF-8
+  if (format === 'csv') await writeChunk(res, `\uFEFF${csvRow(columns)}`);
+  if (format === 'json') await writeChunk(res, '[');
+
+  let index = 0;
+  try {
+    while (!next.done) {
+      if (res.destroyed) {
+        await iterator.return();
+        return;
+      }
+      await writeChunk(res, next.value.map(row => encode(row, index++)).join(''));
+      next = await iterator.next();
+    }
+  } catch (error) {
+    console.error(`Error streaming ${filename} export:`, error);
+    res.destroy(error);
+    return;
+  }
+
+  if (format === 'json') await writeChunk(res, index === 0 ? ']' : '\n]');
+  res.end();
+};
+
+export {
+  EXPORT_FORMATS,
+  csvCell,
+  streamExport
+};
\ No newline at end of file
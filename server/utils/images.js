@@ -0,0 +1,82 @@
+import sharp from 'sharp';
+import { storage } from '../config/storage.js';
+
+// Upload limits for dish images
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif'];
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'heif'];
+const MAX_IMAGE_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// Sizes generated for every upload. "cover" crops to the exact size,
+// "inside" keeps the aspect ratio within the box.
+const RENDITIONS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  card: { width: 600, height: 400, fit: 'cover' },
+  hero: { width: 1600, height: 900, fit: 'inside' }
+};
+
+// Width of the tiny image used as a blurred placeholder while loading
+const PLACEHOLDER_WIDTH = 16;
+
+// Check that a buffer really is a supported image (the upload's declared
+// MIME type is not trusted). Returns { metadata } or { error }.
+const inspectImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (!IMAGE_FORMATS.includes(metadata.format)) {
+      return { error: `Unsupported image format "${metadata.format}"` };
+    }
+    return { metadata };
+  } catch {
+    return { error: 'File is not a readable image' };
+  }
+};
+
+// Resize an upload into every rendition (WebP) plus a base64 blur placeholder
+const createRenditions = async (buffer) => {
+  const source = sharp(buffer).rotate(); // apply EXIF orientation
+
+  const renditions = {};
+  for (const [name, { width, height, fit }] of Object.entries(RENDITIONS)) {
+    const { data, info } = await source
+      .clone()
+      .resize({ width, height, fit, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    renditions[name] = { buffer: data, width: info.width, height: info.height, contentType: 'image/webp' };
+  }
+
+  const placeholder = await source
+    .clone()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    renditions,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+  };
+};
+
+// Delete the stored files of an image's renditions. Failures are logged
+// rather than thrown so they never block the database change.
+const removeStoredImages = async (renditions) => {
+  if (!renditions) return;
+
+  const results = await Promise.allSettled(
+    Object.values(renditions).map(rendition => storage.delete(rendition.key))
+  );
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.warn('Failed to delete stored image:', result.reason));
+};
+
+export {
+  IMAGE_MIME_TYPES,
+  MAX_IMAGE_BYTES,
+  RENDITIONS,
+  inspectImage,
+  createRenditions,
+  removeStoredImages
+};
\ No newline at end of file
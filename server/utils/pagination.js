@@ -0,0 +1,150 @@
+// Shared helpers for list endpoints: limit/offset parsing, keyset cursors
+// and the pagination block returned alongside list responses.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Parse ?limit=&offset=&cursor= into safe numbers
+const parsePagination = (query = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+
+  return {
+    limit: Number.isNaN(limit) || limit < 1 ? defaultLimit : Math.min(limit, maxLimit),
+    offset: Number.isNaN(offset) || offset < 0 ? 0 : offset,
+    cursor: query.cursor || null
+  };
+};
+
+// Encode the sort value and id of the last row of a page
+const encodeCursor = (row, column) => {
+  return Buffer.from(JSON.stringify({ v: row[column] ?? null, id: row.id })).toString('base64url');
+};
+
+// Decode a cursor, returning null when it is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object' || !('v' in decoded) || !decoded.id) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+// Build the filter selecting rows after a cursor when ordering by
+// (column, id) with nulls last, e.g. price ascending then id ascending
+const keysetFilter = (column, ascending, cursor) => {
+  if (cursor.v === null) {
+    return {
+      and: [
+        { column, operator: 'is', value: null },
+        { column: 'id', operator: 'gt', value: cursor.id }
+      ]
+    };
+  }
+
+  return {
+    or: [
+      { column, operator: ascending ? 'gt' : 'lt', value: cursor.v },
+      {
+        and: [
+          { column, operator: 'eq', value: cursor.v },
+          { column: 'id', operator: 'gt', value: cursor.id }
+        ]
+      },
+      { column, operator: 'is', value: null }
+    ]
+  };
+};
+
+// Ordering that matches keysetFilter
+const keysetOrder = (column, ascending) => [
+  { column, ascending, nullsFirst: false },
+  { column: 'id', ascending: true }
+];
+
+// Pagination block for list responses. Offset is null for cursor requests.
+const paginationMeta = ({ total, limit, offset, cursor = null, hasMore, nextCursor = null }) => ({
+  total,
+  limit,
+  offset: cursor ? null : offset,
+  has_more: hasMore,
+  next_cursor: nextCursor
+});
+
+// Run a sorted, paginated query plus a total count of matching rows.
+// Fetches one extra row to know whether another page exists.
+const pagedQuery = async (db, table, { filters = [], sort, ascending, limit, offset = 0, cursor = null, columns = '*' }) => {
+  const pageFilters = cursor ? [...filters, keysetFilter(sort, ascending, cursor)] : filters;
+
+  const [page, counted] = await Promise.all([
+    db.query(table, {
+      columns,
+      filters: pageFilters,
+      order: keysetOrder(sort, ascending),
+      limit: limit + 1,
+      offset: cursor ? 0 : offset
+    }),
+    db.count(table, filters)
+  ]);
+
+  if (page.error || counted.error) {
+    return { data: null, error: page.error || counted.error };
+  }
+
+  const hasMore = page.data.length > limit;
+  const data = page.data.slice(0, limit);
+
+  return {
+    data,
+    error: null,
+    total: counted.count,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+};
+
+// Read every row matching the filters in (column, id) order, one batch at a
+// time, so large tables never have to fit in memory. Yields arrays of rows;
+// throws the database error if a query fails.
+async function* keysetBatches(db, table, { filters = [], sort, ascending, columns = '*', batchSize = 500 }) {
+  // The cursor needs the sort column and id even when they aren't exported
+  const selected = columns.trim() === '*'
+    ? columns
+    : [...new Set(['id', sort, ...columns.split(',').map(column => column.trim())])].join(', ');
+  let cursor = null;
+
+  while (true) {
+    const result = await db.query(table, {
+      columns: selected,
+      filters: cursor ? [...filters, keysetFilter(sort, ascending, cursor)] : filters,
+      order: keysetOrder(sort, ascending),
+      limit: batchSize
+    });
+
+    if (result.error) throw result.error;
+    if (result.data.length === 0) return;
+
+    yield result.data;
+
+    if (result.data.length < batchSize) return;
+    const last = result.data[result.data.length - 1];
+    cursor = { v: last[sort] ?? null, id: last.id };
+  }
+}
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  keysetOrder,
+  paginationMeta,
+  pagedQuery,
+  keysetBatches
+};
\ No newline at end of file
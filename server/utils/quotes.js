@@ -0,0 +1,53 @@
+// Catering quote arithmetic. Amounts are worked out in cents so totals
+// don't pick up floating point errors.
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Round a quantity to two decimals (quantities per guest can be fractional)
+const roundQuantity = (quantity) => Math.round(quantity * 100) / 100;
+
+// Price a quote.
+//   items: [{ dish_id, title, unit_price, quantity_per_guest }]
+// Each line is unit_price x quantity_per_guest x guests. The service fee is
+// a percentage of the subtotal plus a flat fee; tax applies to the subtotal
+// and service fee.
+const calculateQuote = ({ items, guests, serviceFeePercent = 0, flatFee = 0, taxRate = 0 }) => {
+  const lines = items.map(item => {
+    const quantity = roundQuantity(item.quantity_per_guest * guests);
+    return {
+      dish_id: item.dish_id,
+      title: item.title,
+      unit_price: item.unit_price,
+      quantity_per_guest: item.quantity_per_guest,
+      quantity,
+      line_total: fromCents(Math.round(toCents(item.unit_price) * quantity))
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + toCents(line.line_total), 0);
+  const serviceFee = Math.round(subtotal * serviceFeePercent / 100) + toCents(flatFee);
+  const tax = Math.round((subtotal + serviceFee) * taxRate / 100);
+
+  return {
+    items: lines,
+    subtotal: fromCents(subtotal),
+    service_fee: fromCents(serviceFee),
+    tax: fromCents(tax),
+    total: fromCents(subtotal + serviceFee + tax)
+  };
+};
+
+// Format an amount for display, e.g. 1234.5 -> "$1,234.50"
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+export {
+  calculateQuote,
+  formatMoney
+};
\ No newline at end of file
@@ -0,0 +1,236 @@
+// Relevance-ranked text search.
+//
+// Each query term must match a word in one of the searched fields, either
+// exactly, as a prefix, or within a small edit distance (typo tolerance).
+// Matches in heavier fields and closer matches rank higher.
+//
+// Against Postgres, matching and ranking run in the database
+// (search_dishes and search_contact_messages in schema.sql); rankRows is
+// their twin for the in-memory adapter. Query terms are parsed here and
+// passed to the database as an array, so search input never reaches a
+// filter string. Highlights are always built here, for the page returned.
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+
+// Score multipliers for how well a term matched a word
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.5 };
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+// Fields searched for dishes and messages, and their weight in the ranking.
+// The weights are repeated in the search functions in schema.sql.
+//   { name, weight, value: row => string | string[], digits }
+// Fields with digits: true (phone numbers) also match numbers typed without
+// separators.
+const DISH_SEARCH_FIELDS = [
+  { name: 'title', weight: 4, value: dish => dish.title },
+  { name: 'category', weight: 3, value: dish => [dish.category, dish.category_name] },
+  { name: 'ingredients', weight: 2, value: dish => dish.ingredients || [] },
+  { name: 'description', weight: 1, value: dish => dish.description }
+];
+
+const MESSAGE_SEARCH_FIELDS = [
+  { name: 'name', weight: 3, value: message => message.name },
+  { name: 'email', weight: 3, value: message => message.email },
+  { name: 'phone', weight: 3, value: message => message.phone, digits: true },
+  { name: 'event_type', weight: 1, value: message => message.event_type },
+  { name: 'message', weight: 1, value: message => message.message }
+];
+
+// Lowercase and strip accents so "creme brulee" finds "Crème Brûlée"
+const normalize = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Escape % and _ so user input can be used in a LIKE/ILIKE pattern literally
+const escapeLike = (text) => String(text).replace(/[\\%_]/g, '\\$&');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split a search query into normalized terms (duplicates removed)
+const parseQuery = (query) => {
+  const terms = normalize(String(query || '').slice(0, MAX_QUERY_LENGTH)).match(WORD_REGEX) || [];
+  return [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+};
+
+// Words of a text with their positions in the original string
+const tokenize = (text) => {
+  return [...String(text).matchAll(WORD_REGEX)].map(match => ({
+    word: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+// Find a run of digits anywhere in a text, ignoring separators, so
+// "5551234567" matches "+1 (555) 123-4567". Returns the matched range.
+const findDigits = (term, text) => {
+  const positions = [];
+  [...text].forEach((char, index) => {
+    if (char >= '0' && char <= '9') positions.push(index);
+  });
+
+  const at = positions.map(index => text[index]).join('').indexOf(term);
+  if (at === -1) return null;
+  return { start: positions[at], end: positions[at + term.length - 1] + 1 };
+};
+
+// Shortest number matched by findDigits
+const MIN_DIGITS = 4;
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a term: none for short terms, more for long ones
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// How well a query term matches a word (0 when it doesn't)
+const matchQuality = (term, word) => {
+  if (word === term) return MATCH_QUALITY.exact;
+  if (term.length >= 2 && word.startsWith(term)) return MATCH_QUALITY.prefix;
+
+  // Numbers (phone digits, years, guest counts) must not match by typo
+  const typos = /^\d+$/.test(term) ? 0 : allowedTypos(term);
+  if (typos > 0 && editDistance(term, word, typos) <= typos) return MATCH_QUALITY.fuzzy;
+  return 0;
+};
+
+// Wrap matched ranges in <mark>, escaping everything else. Long texts are
+// cut to a window around the first match.
+const highlight = (text, ranges) => {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start || b.end - a.end);
+  let from = 0;
+  let to = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    from = Math.max(0, sorted[0].start - Math.floor(SNIPPET_LENGTH / 3));
+    to = Math.min(text.length, from + SNIPPET_LENGTH);
+  }
+
+  let output = from > 0 ? '…' : '';
+  let position = from;
+  sorted
+    .filter(range => range.start >= from && range.end <= to)
+    .forEach(range => {
+      if (range.start < position) return;
+      output += escapeHtml(text.slice(position, range.start));
+      output += `<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+      position = range.end;
+    });
+  output += escapeHtml(text.slice(position, to));
+  return to < text.length ? `${output}…` : output;
+};
+
+// Match a row against parsed query terms. Returns { matched, rank,
+// highlights }: matched is true when every term matched, and highlights
+// maps field names to HTML snippets with <mark> around matches.
+const matchRow = (row, terms, fields) => {
+  const texts = fields.flatMap(field => {
+    const value = field.value(row);
+    const multiple = Array.isArray(value);
+    return (multiple ? value : [value])
+      .filter(text => text !== null && text !== undefined && text !== '')
+      .map(text => ({ field, multiple, text: String(text), words: tokenize(text) }));
+  });
+
+  let rank = 0;
+  const matchedRanges = new Map();
+
+  const termMatches = terms.map(term => {
+    let best = 0;
+    texts.forEach(entry => {
+      entry.words.forEach(word => {
+        const quality = matchQuality(term, word.word);
+        if (quality === 0) return;
+        best = Math.max(best, quality * entry.field.weight);
+        if (!matchedRanges.has(entry)) matchedRanges.set(entry, []);
+        matchedRanges.get(entry).push(word);
+      });
+
+      if (entry.field.digits && /^\d+$/.test(term) && term.length >= MIN_DIGITS) {
+        const range = findDigits(term, entry.text);
+        if (!range) return;
+        best = Math.max(best, MATCH_QUALITY.exact * entry.field.weight);
+        if (!matchedRanges.has(entry)) matchedRanges.set(entry, []);
+        matchedRanges.get(entry).push(range);
+      }
+    });
+    rank += best;
+    return best > 0;
+  });
+
+  // Bonus when the whole query appears as typed, e.g. a dish title
+  const phrase = terms.join(' ');
+  if (terms.length > 1 && texts.some(entry => entry.words.map(word => word.word).join(' ').includes(phrase))) {
+    rank *= 1.5;
+  }
+
+  const highlights = {};
+  matchedRanges.forEach((ranges, entry) => {
+    const snippet = highlight(entry.text, ranges);
+    if (entry.multiple) {
+      highlights[entry.field.name] = [...(highlights[entry.field.name] || []), snippet];
+    } else {
+      highlights[entry.field.name] = snippet;
+    }
+  });
+
+  return {
+    matched: termMatches.length > 0 && termMatches.every(Boolean),
+    rank: Math.round(rank * 1000) / 1000,
+    highlights
+  };
+};
+
+// Rank rows against a query. Returns [{ row, rank, highlights }] for rows
+// matching every term, best first.
+const rankRows = (rows, query, fields) => {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+
+  return rows
+    .map(row => ({ row, ...matchRow(row, terms, fields) }))
+    .filter(result => result.matched)
+    .map(({ row, rank, highlights }) => ({ row, rank, highlights }))
+    .sort((a, b) => b.rank - a.rank);
+};
+
+// Highlights of a row the database already matched
+const highlightRow = (row, query, fields) => matchRow(row, parseQuery(query), fields).highlights;
+
+export {
+  MAX_QUERY_LENGTH,
+  DISH_SEARCH_FIELDS,
+  MESSAGE_SEARCH_FIELDS,
+  normalize,
+  escapeLike,
+  escapeHtml,
+  parseQuery,
+  editDistance,
+  rankRows,
+  highlightRow
+};
\ No newline at end of file
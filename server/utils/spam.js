@@ -0,0 +1,108 @@
+// Spam checks for contact form submissions.
+//
+// Bot signals (a filled honeypot, a form sent faster than a person could
+// fill it in) flag a message outright. Content rules add up to a score that
+// is compared with the admin-adjustable threshold. Either way the message is
+// kept with status 'spam' so false positives can be reviewed.
+
+// Words that rarely appear in genuine catering inquiries
+const SPAM_KEYWORDS = [
+  'casino', 'viagra', 'cialis', 'crypto', 'bitcoin', 'forex', 'backlink', 'backlinks',
+  'seo', 'loan', 'loans', 'porn', 'click here', 'buy now', 'limited offer',
+  'guaranteed', 'work from home', 'make money'
+];
+
+const URL_REGEX = /\b(?:https?:\/\/|www\.)\S+/gi;
+const MARKUP_REGEX = /<a\s|\[url[=\]]|\[link[=\]]/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const KEYWORD_REGEXES = SPAM_KEYWORDS.map(keyword => ({
+  keyword,
+  regex: new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i')
+}));
+
+// Content rules: { reason, score, test(contact) } where test returns a
+// multiplier (0 when the rule doesn't apply)
+const CONTENT_RULES = [
+  {
+    reason: 'links',
+    score: 2,
+    test: ({ message }) => Math.min((message.match(URL_REGEX) || []).length, 3)
+  },
+  {
+    reason: 'link_markup',
+    score: 3,
+    test: ({ message }) => (MARKUP_REGEX.test(message) ? 1 : 0)
+  },
+  {
+    reason: 'spam_keywords',
+    score: 2,
+    test: ({ message }) => Math.min(KEYWORD_REGEXES.filter(({ regex }) => regex.test(message)).length, 3)
+  },
+  {
+    reason: 'link_in_name',
+    score: 4,
+    test: ({ name }) => (/https?:|www\.|\.(?:com|net|ru|xyz)\b/i.test(name) ? 1 : 0)
+  },
+  {
+    reason: 'shouting',
+    score: 1,
+    test: ({ message }) => {
+      const letters = message.replace(/[^A-Za-z]/g, '');
+      return letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7 ? 1 : 0;
+    }
+  },
+  {
+    reason: 'repeated_characters',
+    score: 1,
+    test: ({ message }) => (/(.)\1{7,}/.test(message) ? 1 : 0)
+  },
+  {
+    reason: 'missing_form_timestamp',
+    score: 2,
+    test: ({ startedAt }) => (startedAt === undefined || startedAt === null ? 1 : 0)
+  }
+];
+
+// Score a submission's content. Returns { score, reasons }.
+const scoreContent = (contact) => {
+  const input = { ...contact, name: contact.name || '', message: contact.message || '' };
+  let score = 0;
+  const reasons = [];
+
+  CONTENT_RULES.forEach(rule => {
+    const hits = rule.test(input);
+    if (hits > 0) {
+      score += rule.score * hits;
+      reasons.push(rule.reason);
+    }
+  });
+
+  return { score, reasons };
+};
+
+// Signals that the form was filled in by a bot. Returns a list of reasons.
+//   website   - hidden honeypot field, left empty by people
+//   startedAt - when the form was rendered (epoch milliseconds)
+const detectBot = ({ website, startedAt }, { minSubmitMs, now = Date.now() }) => {
+  const reasons = [];
+
+  if (website) {
+    reasons.push('honeypot');
+  }
+  if (startedAt !== undefined && startedAt !== null && (now - startedAt < minSubmitMs || startedAt > now)) {
+    reasons.push('submitted_too_fast');
+  }
+
+  return reasons;
+};
+
+// Collapse case and whitespace so resubmissions compare equal
+const normalizeMessage = (message) => String(message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+export {
+  SPAM_KEYWORDS,
+  scoreContent,
+  detectBot,
+  normalizeMessage
+};
\ No newline at end of file
@@ -0,0 +1,198 @@
+import DishModel from '../models/Dish.js';
+import ContactModel from '../models/Contact.js';
+import QuoteModel from '../models/Quote.js';
+import { WEEKDAYS, TIME_PATTERN } from '../utils/availability.js';
+
+// Request schemas mirroring the columns in server/database/schema.sql.
+// Fields not listed here (id, created_at, status, ...) are dropped.
+
+// Dish availability schedules (see server/utils/availability.js)
+const timeRule = { type: 'string', required: true, pattern: TIME_PATTERN, patternMessage: 'must be a time in HH:MM format' };
+
+const dateRangeSchema = {
+  from: { type: 'date', required: true },
+  to: { type: 'date' }
+};
+
+const availabilityScheduleSchema = {
+  date_ranges: { type: 'array', items: { type: 'object', fields: dateRangeSchema }, maxItems: 50 },
+  windows: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        days: { type: 'array', items: { type: 'enum', values: WEEKDAYS }, maxItems: 7 },
+        start: timeRule,
+        end: timeRule
+      }
+    },
+    maxItems: 50
+  },
+  blackouts: {
+    type: 'array',
+    items: { type: 'object', fields: { ...dateRangeSchema, reason: { type: 'string', maxLength: 255 } } },
+    maxItems: 100
+  }
+};
+
+const dishSchema = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', required: true, maxLength: 5000 },
+  category: { type: 'string', required: true, maxLength: 50 },
+  image_url: { type: 'string', maxLength: 2048 },
+  price: { type: 'number', min: 0, max: 99999999.99 },
+  ingredients: { type: 'array', items: { type: 'string', maxLength: 255 }, maxItems: 100, nullable: false },
+  allergens: { type: 'array', items: { type: 'enum', values: DishModel.allergens }, nullable: false },
+  diets: { type: 'array', items: { type: 'enum', values: DishModel.diets }, nullable: false },
+  is_featured: { type: 'boolean', nullable: false },
+  is_available: { type: 'boolean', nullable: false },
+  external_key: { type: 'string', maxLength: 100 },
+  availability_schedule: { type: 'object', fields: availabilityScheduleSchema }
+};
+
+// Category ids are URL slugs such as "brunch" or "chef-specials"
+const categoryUpdateSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 1000 },
+  image_url: { type: 'string', maxLength: 2048 },
+  sort_order: { type: 'integer', min: 0, max: 100000, nullable: false }
+};
+
+const categorySchema = {
+  id: {
+    type: 'string',
+    required: true,
+    maxLength: 50,
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    patternMessage: 'must be a lowercase slug such as "brunch" or "chef-specials"'
+  },
+  ...categoryUpdateSchema
+};
+
+const categoryOrderSchema = {
+  order: { type: 'array', required: true, minItems: 1, maxItems: 500, items: { type: 'string', maxLength: 50 } }
+};
+
+// Passwords are compared as typed, so they are not trimmed
+const loginSchema = {
+  email: { type: 'string', required: true, maxLength: 255 },
+  password: { type: 'string', required: true, maxLength: 1024, trim: false }
+};
+
+const tagSuggestionSchema = {
+  ingredients: { type: 'array', required: true, items: { type: 'string', maxLength: 255 }, maxItems: 100 }
+};
+
+const contactSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  email: { type: 'email', required: true, maxLength: 255 },
+  phone: { type: 'string', maxLength: 50 },
+  eventType: { type: 'string', maxLength: 100 },
+  guests: { type: 'integer', min: 1, max: 100000 },
+  date: { type: 'date', future: true },
+  message: { type: 'string', required: true, maxLength: 5000 },
+  // Spam checks: hidden honeypot field and when the form was rendered (epoch ms)
+  website: { type: 'string', maxLength: 500 },
+  startedAt: { type: 'integer', min: 0 }
+};
+
+// Booking from an inquiry; the date and guests default to the inquiry's
+const bookingSchema = {
+  contact_message_id: { type: 'string', required: true, maxLength: 36 },
+  event_date: { type: 'date' },
+  guests: { type: 'integer', min: 1, max: 100000 },
+  event_type: { type: 'string', maxLength: 100 },
+  notes: { type: 'string', maxLength: 5000 }
+};
+
+const bookingUpdateSchema = {
+  event_date: { type: 'date', required: true },
+  guests: { type: 'integer', required: true, min: 1, max: 100000 },
+  event_type: { type: 'string', maxLength: 100 },
+  notes: { type: 'string', maxLength: 5000 }
+};
+
+const blackoutDateSchema = {
+  date: { type: 'date', required: true },
+  reason: { type: 'string', maxLength: 500 }
+};
+
+const bookingSettingsSchema = {
+  daily_capacity: { type: 'integer', required: true, min: 1, max: 100000 }
+};
+
+const quoteItemSchema = {
+  dish_id: { type: 'string', required: true, maxLength: 36 },
+  quantity_per_guest: { type: 'number', required: true, min: 0.01, max: 100 }
+};
+
+// Quote pricing; rates left out use the QUOTE_* defaults
+const quoteFields = {
+  guests: { type: 'integer', min: 1, max: 100000, nullable: false },
+  items: { type: 'array', minItems: 1, maxItems: 100, items: { type: 'object', fields: quoteItemSchema }, nullable: false },
+  service_fee_percent: { type: 'number', min: 0, max: 100, nullable: false },
+  flat_fee: { type: 'number', min: 0, max: 10000000, nullable: false },
+  tax_rate: { type: 'number', min: 0, max: 100, nullable: false },
+  notes: { type: 'string', maxLength: 5000 },
+  valid_until: { type: 'date' }
+};
+
+const quoteSchema = {
+  contact_message_id: { type: 'string', required: true, maxLength: 36 },
+  ...quoteFields,
+  items: { ...quoteFields.items, required: true }
+};
+
+const quoteUpdateSchema = quoteFields;
+
+const quoteStatusSchema = {
+  status: { type: 'enum', required: true, values: QuoteModel.statuses }
+};
+
+const spamSettingsSchema = {
+  threshold: { type: 'integer', required: true, min: 1, max: 100 }
+};
+
+// Some status changes need a reason (see server/config/workflow.js)
+const contactStatusSchema = {
+  status: { type: 'enum', required: true, values: ContactModel.statuses },
+  reason: { type: 'string', maxLength: 1000 }
+};
+
+const noteSchema = {
+  body: { type: 'string', required: true, maxLength: 5000 }
+};
+
+// Reply to the customer; emailed unless send_email is false
+const replySchema = {
+  body: { type: 'string', required: true, maxLength: 10000 },
+  subject: { type: 'string', maxLength: 200 },
+  send_email: { type: 'boolean', nullable: false }
+};
+
+// assigned_to is a user id, or null to unassign
+const assignmentSchema = {
+  assigned_to: { type: 'string', maxLength: 36 }
+};
+
+export {
+  loginSchema,
+  dishSchema,
+  categorySchema,
+  categoryUpdateSchema,
+  categoryOrderSchema,
+  tagSuggestionSchema,
+  contactSchema,
+  contactStatusSchema,
+  noteSchema,
+  replySchema,
+  assignmentSchema,
+  spamSettingsSchema,
+  bookingSchema,
+  bookingUpdateSchema,
+  blackoutDateSchema,
+  bookingSettingsSchema,
+  quoteSchema,
+  quoteUpdateSchema,
+  quoteStatusSchema
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+// Declarative request validation.
+//
+// A schema maps field names to rules:
+//   { type, required, nullable, maxLength, pattern, min, max, values, items, fields, future, trim }
+// Supported types: string, email, number, integer, boolean, enum, array, date, object.
+// validate() coerces values to their types, drops unknown fields and returns
+// { value, errors } where errors is a list of { field, message }.
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Check that an identifier looks like a UUID before it reaches the database
+const isUuid = (value) => typeof value === 'string' && UUID_REGEX.test(value);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Today's date as YYYY-MM-DD (UTC)
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Coerce and check a single value against its rule
+const checkValue = (rule, value) => {
+  switch (rule.type) {
+    case 'string':
+    case 'email': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: 'must be a string' };
+      }
+      const text = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.minLength && text.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return { error: rule.patternMessage || 'has an invalid format' };
+      }
+      if (rule.type === 'email' && !EMAIL_REGEX.test(text)) {
+        return { error: 'must be a valid email address' };
+      }
+      return { value: text };
+    }
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: 'must be a number' };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'must be an integer' };
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return { error: rule.min === 0 ? 'must not be negative' : `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      return { value: number };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 1 || value === '1') return { value: true };
+      if (value === 'false' || value === 0 || value === '0') return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'enum': {
+      const values = typeof rule.values === 'function' ? rule.values() : rule.values;
+      if (!values.includes(value)) {
+        return { error: `must be one of: ${values.join(', ')}` };
+      }
+      return { value };
+    }
+    case 'date': {
+      const text = String(value).trim();
+      if (!DATE_REGEX.test(text) || Number.isNaN(new Date(text).getTime())) {
+        return { error: 'must be a date in YYYY-MM-DD format' };
+      }
+      if (rule.future && text <= today()) {
+        return { error: 'must be a future date' };
+      }
+      return { value: text };
+    }
+    case 'array': {
+      // Accept comma-separated strings from form posts
+      const list = typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(list)) {
+        return { error: 'must be an array' };
+      }
+      if (rule.minItems && list.length < rule.minItems) {
+        return { error: `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}` };
+      }
+      if (rule.maxItems && list.length > rule.maxItems) {
+        return { error: `must have at most ${rule.maxItems} items` };
+      }
+      if (!rule.items) {
+        return { value: list };
+      }
+      const items = [];
+      for (let i = 0; i < list.length; i++) {
+        const item = checkValue(rule.items, list[i]);
+        if (item.error) return { error: `item ${i + 1} ${item.error}` };
+        items.push(item.value);
+      }
+      return { value: items };
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be an object' };
+      }
+      if (!rule.fields) {
+        return { value };
+      }
+      // Nested schema: report the first failing field
+      const nested = validate(rule.fields, value);
+      if (nested.errors.length > 0) {
+        return { error: `has invalid field: ${nested.errors[0].message}` };
+      }
+      return { value: nested.value };
+    }
+    default:
+      return { error: `has unsupported type ${rule.type}` };
+  }
+};
+
+// Validate input against a schema. With { partial: true } (updates) required
+// fields may be omitted, but at least one known field must be present.
+const validate = (schema, input, { partial = false } = {}) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const provided = Object.prototype.hasOwnProperty.call(source, field);
+    const raw = source[field];
+
+    if (!provided || isBlank(raw)) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (rule.required && provided) {
+        errors.push({ field, message: `${field} cannot be empty` });
+      } else if (provided && rule.nullable !== false) {
+        value[field] = null;
+      }
+      return;
+    }
+
+    const result = checkValue(rule, raw);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: null, message: `Provide at least one of: ${Object.keys(schema).join(', ')}` });
+  }
+
+  return { value, errors };
+};
+
+export {
+  validate,
+  isUuid
+};
\ No newline at end of file